@@ -0,0 +1,216 @@
+/**
+ * SonicMind Analysis Worklet — DSP core on the audio thread
+ *
+ * Sees every sample block, so analysis runs at a fixed hop (not the display refresh
+ * rate), never skips audio on slow frames and keeps going in background tabs.
+ *
+ * Inputs:
+ * - [0] focus-filtered mix (same signal as the main AnalyserNode)
+ * - [1] bass-lowpassed mix (same signal as the bass AnalyserNode)
+ * Output: silence (connected to the destination only so the node keeps being pulled).
+ *
+ * Messages in:
+ * - {type: "clock", ctxTime, songTime, rate, playing}  song-time anchor from the main thread
+ * - {type: "reset", songTime, epoch}                   clear analysis state (epoch is echoed in results)
+ * - {type: "active", active}                           pause/resume analysis
+ * - {type: "qualities", qualities}                     chord vocabulary (CHORD_QUALITIES keys)
+ * - {type: "decoding", mode}                           "hysteresis" | "viterbi"
+ * - {type: "tuning", cents?, reset?}                   tuning override (null = auto) / new recording
+ * - {type: "pitchShift", semitones}                    playback transpose to compensate for
+ * Messages out:
+ * - {type: "analysis", epoch, t, chord, confidence, bpm, chroma, bassPc, chordCandidates, key, tuning,
+ *    tempoCandidates, beatPeriod, meter, chordStart, chordConfidence, events?, keyChanges?, onsets?, beats?,
+ *    beatsFrom?, beatLabels?, tempoCurve?, lastEvent?}
+ *   lastEvent = {index, chord, conf}: the open segment's running confidence / settled slash bass
+ *   beats = the beat list from index beatsFrom on
+ *   beatLabels = {beatsPerBar, downPhase}: the meter or downbeat phase changed; relabel the beats
+ *     already sent (labelBeats) before appending `beats`
+ */
+
+import { AnalysisCore } from "./dsp-core.js";
+
+class AnalysisProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const { fftSize = 4096, hopSize = 1024, coreOptions = {} } = options.processorOptions || {};
+
+    // `sampleRate` and `currentTime` are AudioWorkletGlobalScope globals
+    this.core = new AnalysisCore({ sampleRate, fftSize, ...coreOptions });
+    this.hopSize = hopSize;
+
+    // Ring buffers holding the last fftSize samples of each input
+    this._ring = new Float32Array(fftSize);
+    this._bassRing = new Float32Array(fftSize);
+    this._writePos = 0;
+    this._sinceHop = 0;
+
+    this._frame = new Float32Array(fftSize);
+    this._bassFrame = new Float32Array(fftSize);
+
+    // Song-time anchor (main thread owns playback state)
+    this._clock = { ctxTime: 0, songTime: 0, rate: 1, playing: false };
+    this._active = true;
+    this._epoch = 0; // echoed in results so the main thread can drop stale ones
+
+    // What has already been posted
+    this._postedEvents = 0;
+    this._postedKeyChanges = 0;
+    this._postedOnset = null;
+    this._postedBeats = 0;
+    this._postedBeatLabels = 0;
+    this._postedTempo = 0;
+    this._postedLast = null;
+
+    this.port.onmessage = (e) => this._onMessage(e.data);
+  }
+
+  _onMessage(msg) {
+    if (!msg) return;
+
+    if (msg.type === "clock") {
+      this._clock = {
+        ctxTime: msg.ctxTime,
+        songTime: msg.songTime,
+        rate: msg.rate,
+        playing: msg.playing
+      };
+    } else if (msg.type === "reset") {
+      // Drop buffered audio too, so no frame straddles a seek
+      this._ring.fill(0);
+      this._bassRing.fill(0);
+      this._sinceHop = 0;
+      this._epoch = msg.epoch ?? 0;
+      this.core.reset(Math.round((msg.songTime || 0) * sampleRate));
+      this._postedEvents = 0;
+      this._postedKeyChanges = 0;
+      this._postedOnset = null;
+      this._postedBeats = 0;
+      this._postedBeatLabels = this.core.beatTracker.labelRevision;
+      this._postedTempo = 0;
+      this._postedLast = null;
+    } else if (msg.type === "active") {
+      this._active = !!msg.active;
+    } else if (msg.type === "qualities") {
+      this.core.setChordQualities(msg.qualities);
+    } else if (msg.type === "decoding") {
+      this.core.setChordDecoding(msg.mode);
+    } else if (msg.type === "tuning") {
+      if (msg.reset) this.core.resetTuning();
+      if ("cents" in msg) this.core.setTuning(msg.cents);
+    } else if (msg.type === "pitchShift") {
+      this.core.setPitchShift(msg.semitones);
+    }
+  }
+
+  _songTime() {
+    const c = this._clock;
+    if (!c.playing) return c.songTime;
+    return c.songTime + (currentTime - c.ctxTime) * c.rate;
+  }
+
+  process(inputs) {
+    if (!this._active) return true;
+
+    const main = inputs[0]?.[0];
+    const bass = inputs[1]?.[0];
+    const len = main?.length || bass?.length || 128;
+
+    const n = this._ring.length;
+    let w = this._writePos;
+    for (let i = 0; i < len; i++) {
+      this._ring[w] = main ? main[i] : 0;
+      this._bassRing[w] = bass ? bass[i] : 0;
+      w = (w + 1) % n;
+    }
+    this._writePos = w;
+
+    this._sinceHop += len;
+    if (this._sinceHop >= this.hopSize) {
+      this._sinceHop -= this.hopSize;
+      this._analyze();
+    }
+
+    return true;
+  }
+
+  _analyze() {
+    // Unroll rings (oldest sample first)
+    const n = this._ring.length;
+    const w = this._writePos;
+    this._frame.set(this._ring.subarray(w), 0);
+    this._frame.set(this._ring.subarray(0, w), n - w);
+    this._bassFrame.set(this._bassRing.subarray(w), 0);
+    this._bassFrame.set(this._bassRing.subarray(0, w), n - w);
+
+    const t = this._songTime();
+    const res = this.core.process(this._frame, Math.round(t * sampleRate), this._bassFrame);
+
+    const msg = {
+      type: "analysis",
+      epoch: this._epoch,
+      t,
+      chord: res.chord,
+      confidence: res.confidence,
+      bpm: res.bpm,
+      chroma: res.chroma,
+      bassPc: res.bassPc,
+      chordCandidates: res.chordCandidates,
+      key: res.key,
+      tuning: res.tuning,
+      tempoCandidates: res.tempoCandidates,
+      beatPeriod: res.beatPeriod,
+      meter: res.meter,
+      chordStart: res.chordStart,
+      chordConfidence: res.chordConfidence
+    };
+
+    const events = this.core.events;
+    if (events.length > this._postedEvents) {
+      msg.events = events.slice(this._postedEvents);
+      this._postedEvents = events.length;
+    }
+
+    const last = events[events.length - 1];
+    if (last && !msg.events && (last.chord !== this._postedLast?.chord || last.conf !== this._postedLast?.conf)) {
+      msg.lastEvent = { index: events.length - 1, chord: last.chord, conf: last.conf };
+    }
+    if (last) this._postedLast = { chord: last.chord, conf: last.conf };
+
+    const keyChanges = this.core.keyChanges;
+    if (keyChanges.length > this._postedKeyChanges) {
+      msg.keyChanges = keyChanges.slice(this._postedKeyChanges);
+      this._postedKeyChanges = keyChanges.length;
+    }
+
+    const onsets = this.core.onsets;
+    const lastOnset = onsets.length ? onsets[onsets.length - 1] : null;
+    if (lastOnset !== this._postedOnset) {
+      msg.onsets = onsets.slice();
+      this._postedOnset = lastOnset;
+    }
+
+    const beats = this.core.beats;
+    const { labelRevision, beatsPerBar, downPhase } = this.core.beatTracker;
+    if (labelRevision !== this._postedBeatLabels) {
+      // Meter or downbeat phase changed: beats already sent carry stale labels
+      if (this._postedBeats) msg.beatLabels = { beatsPerBar, downPhase };
+      this._postedBeatLabels = labelRevision;
+    }
+    if (beats.length > this._postedBeats) {
+      msg.beatsFrom = this._postedBeats;
+      msg.beats = beats.slice(this._postedBeats);
+      this._postedBeats = beats.length;
+    }
+
+    const tempoCurve = this.core.tempoCurve;
+    if (tempoCurve.length > this._postedTempo) {
+      msg.tempoCurve = tempoCurve.slice(this._postedTempo);
+      this._postedTempo = tempoCurve.length;
+    }
+
+    this.port.postMessage(msg);
+  }
+}
+
+registerProcessor("sonicmind-analysis", AnalysisProcessor);
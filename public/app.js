@@ -1,4 +1,45 @@
 import { AudioEngine } from "./audio-engine.js";
+import { CHORD_QUALITIES, DEFAULT_CHORD_QUALITIES, NO_CHORD, SPELLINGS, keyName, spellNote } from "./dsp-core.js";
+import { EXPORT_FORMATS } from "./chart-export.js";
+import { formatChord, parseChordSymbol, readChordInput, transposeChord } from "./chord-symbols.js";
+import { guitarDiagramSVG, guitarVoicings, keyboardDiagramSVG, keyboardVoicings } from "./chord-diagrams.js";
+import {
+  EditHistory,
+  MIN_BLOCK_S,
+  blockLabel,
+  deleteBlocks,
+  insertBlock,
+  mergeBlocks,
+  moveEdge,
+  relabelBlocks,
+  snapshotTimeline,
+  splitBlock
+} from "./timeline-edit.js";
+import {
+  PROJECT_EXTENSION,
+  PROJECT_MIME,
+  createProject,
+  hashAudioFile,
+  parseProject,
+  serializeProject,
+  sourceMatches,
+  youtubeVideoId
+} from "./project.js";
+import { SongLibrary, songId } from "./library.js";
+import {
+  ROWS_PER_SEMITONE,
+  SPEC_HIGH_MIDI,
+  SPEC_LOW_MIDI,
+  SPEC_ROWS,
+  colormapLUT,
+  levelIndex,
+  midiToHz,
+  rowBands,
+  rowMidi,
+  songSpectrogram,
+  spectrumRows
+} from "./spectrogram.js";
+import { buildPeaks, peaksInRange } from "./waveform.js";
 
 /* -------------------------- DOM -------------------------- */
 const el = (id) => document.getElementById(id);
@@ -6,6 +47,7 @@ const el = (id) => document.getElementById(id);
 const fileInput = el("fileInput");
 const fileBtn = el("fileBtn");
 const fileName = el("fileName");
+const wholeTrack = el("wholeTrack");
 
 const dropZone = el("dropZone");
 const dropHint = el("dropHint");
@@ -13,23 +55,75 @@ const dropHint = el("dropHint");
 const ytUrl = el("ytUrl");
 const loadStreamBtn = el("loadStreamBtn");
 
+const inputDevice = el("inputDevice");
+const inputBtn = el("inputBtn");
+const inputMeterFill = el("inputMeterFill");
+const inputMeterPeak = el("inputMeterPeak");
+const inputLevelVal = el("inputLevelVal");
+const inputProcessing = el("inputProcessing");
+const recordBtn = el("recordBtn");
+const reviewBtn = el("reviewBtn");
+const saveRecordingBtn = el("saveRecordingBtn");
+
 const playBtn = el("playBtn");
 const pauseBtn = el("pauseBtn");
 const stopBtn = el("stopBtn");
+const seekBar = el("seekBar");
+const seekTime = el("seekTime");
 
 const speed = el("speed");
 const speedVal = el("speedVal");
+const speedHint = el("speedHint");
+
+const loopSetA = el("loopSetA");
+const loopSetB = el("loopSetB");
+const loopBlocks = el("loopBlocks");
+const loopClear = el("loopClear");
+const loopCountIn = el("loopCountIn");
+const loopRamp = el("loopRamp");
+const loopHold = el("loopHold");
+const loopStatus = el("loopStatus");
 
 const capo = el("capo");
 const capoVal = el("capoVal");
+const capoAudio = el("capoAudio");
+const capoChords = el("capoChords");
+const capoHint = el("capoHint");
+
+const tuning = el("tuning");
+const tuningAuto = el("tuningAuto");
+const tuningVal = el("tuningVal");
 
 const eqFull = el("eqFull");
 const eqBass = el("eqBass");
 const eqMid = el("eqMid");
 
+const qualityGrid = el("qualityGrid");
+const decHysteresis = el("decHysteresis");
+const decViterbi = el("decViterbi");
+const diagramMode = el("diagramMode");
+const spelling = el("spelling");
+const spellingKey = el("spellingKey");
+const exportRow = el("exportRow");
+const projectSave = el("projectSave");
+const projectOpen = el("projectOpen");
+const projectInput = el("projectInput");
+const projectStatus = el("projectStatus");
+const librarySearch = el("librarySearch");
+const librarySort = el("librarySort");
+const libraryList = el("libraryList");
+const libraryQuota = el("libraryQuota");
+
 const chordReadout = el("chordReadout");
+const chordDiagram = el("chordDiagram");
+const keyReadout = el("keyReadout");
+const keyConf = el("keyConf");
+const bpmPill = el("bpmPill");
 const bpmReadout = el("bpmReadout");
+const bpmConf = el("bpmConf");
+const tsPill = el("tsPill");
 const tsReadout = el("tsReadout");
+const tsConf = el("tsConf");
 
 const audioDot = el("audioDot");
 const audioStatus = el("audioStatus");
@@ -37,8 +131,38 @@ const timeReadout = el("timeReadout");
 
 const specCanvas = el("spec");
 const specCtx = specCanvas.getContext("2d", { alpha: false });
+const specKeys = el("specKeys");
+const specReadout = el("specReadout");
+const specHint = el("specHint");
+const specColormap = el("specColormap");
+const specFloor = el("specFloor");
+const specCeil = el("specCeil");
+const specRangeVal = el("specRangeVal");
+const specFreeze = el("specFreeze");
+
+const chromaBars = el("chromaBars");
+const chromaBass = el("chromaBass");
+const chromaChord = el("chromaChord");
+const chordCands = el("chordCands");
+const chromaHistory = el("chromaHistory");
+
+const waveOverview = el("waveOverview");
+const waveDetail = el("waveDetail");
+const chordLane = el("chordLane");
+const waveZoomIn = el("waveZoomIn");
+const waveZoomOut = el("waveZoomOut");
+const waveZoomVal = el("waveZoomVal");
+const waveFit = el("waveFit");
+const waveFollow = el("waveFollow");
 
 const timeline = el("timeline");
+const editUndo = el("editUndo");
+const editRedo = el("editRedo");
+const editSplit = el("editSplit");
+const editMerge = el("editMerge");
+const editInsert = el("editInsert");
+const editDelete = el("editDelete");
+const snapBeats = el("snapBeats");
 
 // Overlay
 const overlay = el("loadingOverlay");
@@ -58,8 +182,13 @@ const engine = new AudioEngine({
 
 let rafId = null;
 let capoSemis = 0;
-
-const PC = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+let trackTitle = ""; // file name (no extension) for exports
+let shownBpm = null; // BPM / key / meter readouts as last drawn
+let shownKey = null;
+let shownMeter = null;
+let currentSource = null; // project source reference of the loaded audio
+let currentAudioFile = null; // the local file behind currentSource (kept in the library)
+let restoredProject = null; // opened project whose timeline replaces live detection
 
 /* -------------------------- UX Helpers -------------------------- */
 function fmtTime(s) {
@@ -97,28 +226,75 @@ function hideOverlay() {
   loadingBar.style.width = "0%";
 }
 
-function transposeChordText(chord, semis) {
-  if (!chord || chord === "—") return chord;
-  if (semis === 0) return chord;
+/**
+ * Chord text moved by `semis`, root and bass spelled for `key` (see spellNote), in
+ * canonical form. keepSpelling: a user's override stays as typed unless transposed.
+ * Text outside the chord grammar (overrides from before it) is shown as is.
+ */
+function transposeChordText(chord, semis, key = null, keepSpelling = false) {
+  if (!chord || chord === "—" || chord === NO_CHORD) return chord;
+  if (semis === 0 && keepSpelling) return chord;
 
-  const [main, slash] = chord.split("/");
-  const m = main.match(/^([A-G])(#?)(.*)$/);
-  if (!m) return chord;
+  const parsed = parseChordSymbol(chord);
+  if (!parsed) return chord;
+  return formatChord(transposeChord(parsed, semis, (pc) => spellNote(pc, { spelling: spelling.value, key })));
+}
 
-  const rootName = `${m[1]}${m[2] || ""}`;
-  const rest = m[3] || "";
+function transposeKeyName(key, semis) {
+  if (!key) return "—";
+  return keyName((key.tonic + semis + 1200) % 12, key.mode, spelling.value);
+}
 
-  const rootIdx = PC.indexOf(rootName);
-  if (rootIdx < 0) return chord;
+/**
+ * Key chord names at time t are spelled in, as shown (capo applied): the one picked
+ * in Chord Spelling, else the detected key there (or the saved one of a project).
+ */
+function spellingKeyAt(t) {
+  if (spellingKey.value) {
+    const [tonic, mode] = spellingKey.value.split(":");
+    return { tonic: Number(tonic), mode };
+  }
+  const key = engine.keyAt(t) ?? shownKey;
+  return key ? { tonic: (key.tonic + labelSemis() + 1200) % 12, mode: key.mode } : null;
+}
 
-  const newRoot = PC[(rootIdx + semis + 1200) % 12];
+/** Chord name as shown: transposed by the capo and spelled for the key at `t`. */
+function displayChord(chord, t, overridden = false) {
+  return transposeChordText(chord, labelSemis(), spellingKeyAt(t), overridden);
+}
 
-  let out = `${newRoot}${rest}`;
-  if (slash) {
-    const bassIdx = PC.indexOf(slash.trim());
-    out += bassIdx >= 0 ? `/${PC[(bassIdx + semis + 1200) % 12]}` : `/${slash.trim()}`;
+function renderTuning(t) {
+  if (!t) {
+    tuningVal.textContent = "A4 440.0 Hz";
+    return;
   }
-  return out;
+  const cents = Math.round(t.cents);
+  const detail = t.manual ? "manual" : t.locked ? "detected" : "detecting…";
+  tuningVal.textContent = `A4 ${t.a4.toFixed(1)} Hz · ${cents > 0 ? "+" : ""}${cents}¢ · ${detail}`;
+  if (!t.manual) tuning.value = String(cents);
+}
+
+/** Confidence of the candidate matching the shown tempo; all candidates in the tooltip. */
+function renderTempoCandidates(bpm, candidates) {
+  const shown = bpm ? candidates.find((c) => Math.abs(c.bpm - bpm) / bpm < 0.04) : null;
+  bpmConf.textContent = shown ? `${Math.round(shown.confidence * 100)}%` : "";
+  bpmPill.title = candidates.length
+    ? `Tempo candidates: ${candidates.map((c) => `${Math.round(c.bpm)} (${Math.round(c.confidence * 100)}%)`).join(" · ")}`
+    : "Stable tempo · confidence";
+}
+
+/** Detected meter; "?" while the evidence is ambiguous, runners-up in the tooltip. */
+function renderMeter(meter) {
+  tsReadout.textContent = meter ? `${meter.timeSignature}${meter.uncertain ? "?" : ""}` : "—";
+  tsConf.textContent = meter ? `${Math.round(meter.confidence * 100)}%` : "";
+  tsPill.title = meter
+    ? `Meter candidates: ${meter.candidates.map((c) => `${c.timeSignature} (${Math.round(c.confidence * 100)}%)`).join(" · ")}`
+    : "Time signature · confidence";
+}
+
+function renderKeyReadout(key) {
+  keyReadout.textContent = transposeKeyName(key, labelSemis());
+  keyConf.textContent = key ? `${Math.round(key.confidence * 100)}%` : "";
 }
 
 /* -------------------------- Timeline: Merge + Min Duration -------------------------- */
@@ -128,8 +304,8 @@ function transposeChordText(chord, semis) {
  * - Ignore any chord that lasts < 400ms
  * - Grid layout handled by CSS (2 rows, fixed height)
  */
-const timelineEvents = []; // {start, end, chord, overridden, userChord}
-const MIN_CHORD_DUR_S = 0.4;
+const timelineEvents = []; // {start, end, chord, conf, overridden, userChord, voicing}
+const MIN_CHORD_DUR_S = MIN_BLOCK_S; // also the shortest block the editor makes
 
 function finalizeLastEvent(endTime) {
   const last = timelineEvents[timelineEvents.length - 1];
@@ -143,7 +319,20 @@ function finalizeLastEvent(endTime) {
   }
 }
 
-function pushOrMergeChord(chord, t) {
+/**
+ * Rebuilds the merged timeline from a finished whole-track analysis
+ * (same merge + min-duration rules as the live path).
+ */
+function loadTimelineFromAnalysis(analysis, { keepHistory = false } = {}) {
+  timelineEvents.length = 0;
+  if (!keepHistory) clearEditHistory();
+  for (const ev of analysis.events) {
+    if (ev.chord && ev.chord !== "—") pushOrMergeChord(ev.chord, ev.t, ev.conf);
+  }
+  finalizeLastEvent(analysis.duration);
+}
+
+function pushOrMergeChord(chord, t, conf = null) {
   // If no previous, start one
   const last = timelineEvents[timelineEvents.length - 1];
 
@@ -175,15 +364,90 @@ function pushOrMergeChord(chord, t) {
     start: t,
     end: null,
     chord,
+    conf,
     overridden: false,
-    userChord: null
+    userChord: null,
+    voicing: null
   });
 }
 
+/** End of the charted time; live detection extends an open last block, so that counts as none. */
+function chartedUntil() {
+  return timelineEvents[timelineEvents.length - 1]?.end ?? -Infinity;
+}
+
+/** Beat grid strip for a block: one tick per beat, taller ticks on downbeats. */
+function renderBeatTicks(start, end) {
+  const strip = document.createElement("div");
+  strip.className = "beatTicks";
+
+  const dur = end - start;
+  if (dur <= 0) return strip;
+
+  for (const b of engine.beatsBetween(start, end)) {
+    const tick = document.createElement("span");
+    tick.className = b.downbeat ? "tick down" : "tick";
+    tick.style.left = `${((b.t - start) / dur) * 100}%`;
+    strip.appendChild(tick);
+  }
+  return strip;
+}
+
+/** "start · duration · confidence" line of a block. */
+function blockMeta(ev, chord, dur) {
+  let text = `${fmtTime(ev.start)} · ${dur.toFixed(1)}s`;
+  if (ev.conf != null && !ev.overridden && chord !== NO_CHORD) text += ` · ${Math.round(ev.conf * 100)}%`;
+  return text;
+}
+
+let renderedStamp = null; // timelineStamp() the blocks were last built for
+
+/**
+ * What live playback changes in the built blocks: one added or closed, the open one
+ * long enough to show, beats under the closed ones (new or relabelled), the key (spelling).
+ * Anything else that changes them (edits, selection, capo, transpose) renders itself.
+ */
+function timelineStamp() {
+  const last = timelineEvents[timelineEvents.length - 1];
+  const open = !!last && last.end == null;
+  const closedUntil = open ? last.start : chartedUntil();
+  let beats = 0;
+  let downbeats = 0;
+  for (const b of engine.beats) {
+    if (b.t > closedUntil) break;
+    beats++;
+    if (b.downbeat) downbeats++;
+  }
+  const shown = open && engine.currentTime - last.start >= MIN_CHORD_DUR_S;
+  const key = shownKey ? `${shownKey.tonic}${shownKey.mode}` : "";
+  return [timelineEvents.length, last?.end, shown, beats, downbeats, engine.keyChanges.length, key].join();
+}
+
+/** Per frame: rebuilds the blocks only when live playback changed them, else just grows the open one. */
+function refreshTimeline() {
+  if (timelineStamp() !== renderedStamp) {
+    renderTimeline();
+    return;
+  }
+  const idx = timelineEvents.length - 1;
+  const ev = timelineEvents[idx];
+  const block = ev?.end == null && !inlineEdit ? timeline.querySelector(`.block[data-idx="${idx}"]`) : null;
+  if (!block) return;
+  const now = engine.currentTime;
+  block.querySelector(".meta").textContent = blockMeta(ev, blockLabel(ev), Math.max(0, now - ev.start));
+  block.querySelector(".beatTicks").replaceWith(renderBeatTicks(ev.start, now));
+}
+
 function renderTimeline() {
+  // The inline chord editor lives in the DOM; the timeline holds still while it's open
+  if (inlineEdit) return;
+  renderedStamp = timelineStamp();
   timeline.innerHTML = "";
+  timeline.classList.toggle("withDiagrams", diagramMode.value !== "off");
 
   const now = engine.currentTime;
+  const keyChanges = engine.keyChanges;
+
   // Render all events; for the currently open one, compute end as "now"
   timelineEvents.forEach((ev, idx) => {
     const end = ev.end == null ? now : ev.end;
@@ -192,11 +456,29 @@ function renderTimeline() {
     // Don’t render ultra-short open events yet (prevents visual overload)
     if (ev.end == null && dur < MIN_CHORD_DUR_S) return;
 
-    const chord = ev.overridden ? ev.userChord : ev.chord;
-    const shown = transposeChordText(chord, capoSemis);
+    // Key change between this block's start and the next one (anything before the first block lands on it)
+    const nextStart = timelineEvents[idx + 1]?.start ?? Infinity;
+    const keyChange = keyChanges.filter((k) => (idx === 0 || k.t >= ev.start) && k.t < nextStart).pop();
+
+    const chord = blockLabel(ev);
+    const shown = displayChord(chord, ev.start, ev.overridden);
 
     const block = document.createElement("div");
-    block.className = "block" + (ev.overridden ? " overridden" : "");
+    block.dataset.idx = String(idx);
+    block.className =
+      "block" +
+      (isSelected(idx) ? " selected" : "") +
+      (ev.overridden ? " overridden" : "") +
+      (chord === NO_CHORD ? " noChord" : "") +
+      (keyChange ? " keyChange" : "");
+
+    if (keyChange) {
+      const mark = document.createElement("div");
+      mark.className = "keyMark mono";
+      mark.textContent = `Key: ${transposeKeyName(keyChange, labelSemis())}`;
+      mark.title = `Key change at ${fmtTime(keyChange.t)}`;
+      block.appendChild(mark);
+    }
 
     const chordEl = document.createElement("div");
     chordEl.className = "chord";
@@ -204,128 +486,962 @@ function renderTimeline() {
 
     const meta = document.createElement("div");
     meta.className = "meta mono";
-    meta.textContent = `${fmtTime(ev.start)} · ${dur.toFixed(1)}s`;
+    meta.textContent = blockMeta(ev, chord, dur);
 
     block.appendChild(chordEl);
+    if (diagramMode.value !== "off" && chord !== NO_CHORD) {
+      const diagrams = renderBlockDiagrams(ev, chord);
+      if (diagrams) block.appendChild(diagrams);
+    }
     block.appendChild(meta);
-
-    block.addEventListener("click", () => {
-      const current = ev.overridden ? ev.userChord : ev.chord;
-      const user = prompt("Override chord:", current);
-      if (user && user.trim()) {
-        ev.overridden = true;
-        ev.userChord = user.trim();
-        renderTimeline();
+    block.appendChild(renderBeatTicks(ev.start, end));
+    block.appendChild(renderEdgeHandle(idx, "start"));
+    if (ev.end != null) block.appendChild(renderEdgeHandle(idx, "end"));
+
+    block.title =
+      "Click to edit · Shift-click to play from here · Alt-click to split here · Ctrl/⌘-click to select · drag an edge to move it";
+    block.addEventListener("click", (e) => {
+      if (e.shiftKey) {
+        seekTo(ev.start);
+        return;
+      }
+      if (e.ctrlKey || e.metaKey) {
+        selectBlock(ev);
+        return;
+      }
+      if (e.altKey) {
+        // The open block has grown since it was built
+        const rect = block.getBoundingClientRect();
+        const span = Math.max(0, (ev.end ?? engine.currentTime) - ev.start);
+        const t = ev.start + ((e.clientX - rect.left) / rect.width) * span;
+        editTimeline("Split", () => splitBlock(timelineEvents, idx, snapTime(t)));
+        return;
       }
+      // A click inside a multi-block selection re-labels all of it
+      const range = selectionRange();
+      if (range && isSelected(idx)) editBlocks(range[0], range[1]);
+      else editBlocks(idx, idx);
     });
 
     timeline.appendChild(block);
   });
 }
 
+/* -------------------------- Chord Diagrams -------------------------- */
+/**
+ * Diagrams show the chord as it sounds (audio transpose included): the keyboard at
+ * concert pitch, the guitar as the shape fingered above the capo (capo 3: C -> A shape).
+ * A negative capo is no capo on the neck.
+ */
+function capoFret() {
+  return Math.max(0, capoSemis);
+}
+
+/** Voicings of a timeline chord plus the block's choice (indices into each list); null if unreadable. */
+function chordVoicings(text, voicing = null) {
+  const parsed = parseChordSymbol(text);
+  if (!parsed) return null;
+  const name = (pc) => spellNote(pc, { spelling: spelling.value });
+  const concert = transposeChord(parsed, capoAudio.checked ? capoSemis : 0, name);
+  const shape = transposeChord(concert, -capoFret(), name);
+  const guitar = guitarVoicings(shape);
+  const keys = keyboardVoicings(concert);
+  return {
+    concert,
+    shape,
+    guitar,
+    keys,
+    guitarIdx: Math.max(0, guitar.indexOf(voicing?.guitar)),
+    keysIdx: voicing?.keys != null && voicing.keys < keys.length ? voicing.keys : 0
+  };
+}
+
+/** SVG markup for the diagram mode. */
+function diagramMarkup(v) {
+  const mode = diagramMode.value;
+  let html = "";
+  if ((mode === "guitar" || mode === "both") && v.guitar.length) {
+    const frets = v.guitar[v.guitarIdx];
+    const capoText = capoFret() ? ` · capo ${capoFret()}` : "";
+    html += guitarDiagramSVG(frets, {
+      capo: capoFret(),
+      title: `${formatChord(v.shape)} shape${capoText} · ${frets} (${v.guitarIdx + 1}/${v.guitar.length})`
+    });
+  }
+  if ((mode === "keys" || mode === "both") && v.keys.length) {
+    html += keyboardDiagramSVG(v.keys[v.keysIdx], {
+      title: `${formatChord(v.concert)} (${v.keysIdx + 1}/${v.keys.length})`
+    });
+  }
+  return html;
+}
+
+/** A block's diagrams; clicking one picks the next voicing, saved on the block. */
+function renderBlockDiagrams(ev, chord) {
+  const v = chordVoicings(chord, ev.voicing);
+  if (!v) return null;
+
+  const wrap = document.createElement("div");
+  wrap.className = "diagrams";
+  wrap.innerHTML = diagramMarkup(v);
+  wrap.addEventListener("click", (e) => {
+    const diagram = e.target.closest(".diagram");
+    if (!diagram || e.shiftKey || e.ctrlKey || e.metaKey) return;
+    e.stopPropagation();
+
+    const voicing = { guitar: v.guitar[v.guitarIdx] ?? null, keys: v.keysIdx, ...ev.voicing };
+    if (diagram.classList.contains("guitar")) {
+      voicing.guitar = v.guitar[(v.guitarIdx + 1) % v.guitar.length];
+    } else {
+      voicing.keys = (v.keysIdx + 1) % v.keys.length;
+    }
+    ev.voicing = voicing;
+    renderTimeline();
+    renderReadoutDiagram(engine.lastChord, true);
+    scheduleLibrarySave();
+  });
+  return wrap;
+}
+
+let readoutDiagramKey = null;
+
+/** Diagram next to the chord readout, with the voicing chosen for the block under the playhead. */
+function renderReadoutDiagram(chord, force = false) {
+  const now = engine.currentTime;
+  const ev = timelineEvents.find((e) => e.start <= now && (e.end == null || now < e.end));
+  const voicing = ev && (ev.overridden ? ev.userChord : ev.chord) === chord ? ev.voicing : null;
+
+  const key = [diagramMode.value, chord, capoSemis, capoAudio.checked, voicing?.guitar, voicing?.keys].join("|");
+  if (key === readoutDiagramKey && !force) return;
+  readoutDiagramKey = key;
+
+  const v = diagramMode.value === "off" ? null : chordVoicings(chord, voicing);
+  chordDiagram.innerHTML = v ? diagramMarkup(v) : "";
+}
+
 /* -------------------------- Spectrogram -------------------------- */
-function drawSpectrogram(byteFreqData) {
-  if (!byteFreqData) return;
+/**
+ * Note-spaced rows (spectrogram.js), C1 at the bottom to C8 at the top, beside a piano
+ * axis. Live: one analyser column per frame scrolls in from the right (kept in a ring so
+ * hover and colormap changes still work on what is on screen). Decoded files also get
+ * a whole-song image, computed in the background; once it is there the view follows the
+ * playhead through it and can be scrolled back. Freeze keeps the image still.
+ */
+const SPEC_PLAYHEAD_AT = 0.8; // song view: playhead position across the canvas
+
+const specW = specCanvas.width;
+const specH = SPEC_ROWS;
+specCanvas.height = specH;
+specKeys.height = specH;
+
+let specBands = null; // analyser bins per row (needs the context's sample rate)
+let specLUT = colormapLUT(specColormap.value);
+let specFrozen = false;
+
+// Live ring: the columns on screen (dB rows, song time, beat 0 / 1 / 2 = downbeat)
+const specHistory = new Float32Array(specW * specH).fill(-Infinity);
+const specHistoryTimes = new Float64Array(specW).fill(NaN);
+const specHistoryBeats = new Uint8Array(specW);
+let specHead = specW - 1; // ring index of the rightmost column
+const specColumn = specCtx.createImageData(1, specH);
+
+// Whole song
+let specSong = null; // {hop, sampleRate, frames, data} from songSpectrogram()
+let specSongImage = null; // canvas, one column per frame
+let specJob = null; // AbortController of the running computation
+let specViewStart = 0; // song view: frame at the left edge
+
+function specRange() {
+  return { minDb: Number(specFloor.value), maxDb: Number(specCeil.value) };
+}
+
+function paintColumn(pixels, offset, stride, rows, minDb, maxDb) {
+  for (let r = 0; r < specH; r++) {
+    const i = levelIndex(rows[r], minDb, maxDb) * 4;
+    const p = offset + r * stride;
+    pixels[p] = specLUT[i];
+    pixels[p + 1] = specLUT[i + 1];
+    pixels[p + 2] = specLUT[i + 2];
+    pixels[p + 3] = 255;
+  }
+}
+
+function drawBeatColumn(x, beat) {
+  if (!beat) return;
+  specCtx.fillStyle = beat === 2 ? "rgba(204, 255, 0, 0.55)" : "rgba(255, 255, 255, 0.14)";
+  specCtx.fillRect(x, 0, 1, specH);
+}
+
+function historyIndex(x) {
+  return (specHead - (specW - 1 - x) + specW) % specW;
+}
+
+/**
+ * beat: null | {downbeat} — a beat fell inside this column; drawn as a grid line
+ * that scrolls with the spectrogram.
+ */
+function drawSpectrogram(freqData, beat = null) {
+  if (!freqData || specFrozen) return;
+  specBands ??= rowBands(engine.ctx.sampleRate, engine.fftSize);
+
+  specHead = (specHead + 1) % specW;
+  const rows = specHistory.subarray(specHead * specH, (specHead + 1) * specH);
+  spectrumRows(freqData, specBands, rows);
+  specHistoryTimes[specHead] = engine.currentTime;
+  specHistoryBeats[specHead] = beat ? (beat.downbeat ? 2 : 1) : 0;
+  if (specSong) return; // the song view is drawn instead
+
+  // Shift left by 1 px, paint the new column
+  specCtx.drawImage(specCanvas, 1, 0, specW - 1, specH, 0, 0, specW - 1, specH);
+  const { minDb, maxDb } = specRange();
+  paintColumn(specColumn.data, 0, 4, rows, minDb, maxDb);
+  specCtx.putImageData(specColumn, specW - 1, 0);
+  drawBeatColumn(specW - 1, specHistoryBeats[specHead]);
+}
+
+/** Repaints the live view from the ring (colormap / range changed). */
+function redrawLiveSpectrogram() {
+  const image = specCtx.createImageData(specW, specH);
+  const { minDb, maxDb } = specRange();
+  for (let x = 0; x < specW; x++) {
+    const i = historyIndex(x);
+    paintColumn(image.data, x * 4, specW * 4, specHistory.subarray(i * specH, (i + 1) * specH), minDb, maxDb);
+  }
+  specCtx.putImageData(image, 0, 0);
+  for (let x = 0; x < specW; x++) drawBeatColumn(x, specHistoryBeats[historyIndex(x)]);
+}
+
+function buildSongImage() {
+  const { frames, data } = specSong;
+  const canvas = document.createElement("canvas");
+  canvas.width = frames;
+  canvas.height = specH;
+  const ctx = canvas.getContext("2d");
+  const image = ctx.createImageData(frames, specH);
+  const { minDb, maxDb } = specRange();
+  for (let f = 0; f < frames; f++) {
+    paintColumn(image.data, f * 4, frames * 4, data.subarray(f * specH, (f + 1) * specH), minDb, maxDb);
+  }
+  ctx.putImageData(image, 0, 0);
+  specSongImage = canvas;
+}
 
-  const w = specCanvas.width;
-  const h = specCanvas.height;
+/** Song view: columns per second, and the rows the audio transpose moves the image by. */
+function songViewGeometry() {
+  const perSec = specSong.sampleRate / specSong.hop;
+  return { perSec, dy: -(engine.buffer ? engine.pitchShift : 0) * ROWS_PER_SEMITONE };
+}
 
-  // Shift left by 1 px
-  const imageData = specCtx.getImageData(1, 0, w - 1, h);
-  specCtx.putImageData(imageData, 0, 0);
+function drawSongSpectrogram() {
+  const { perSec, dy } = songViewGeometry();
+  if (!specFrozen) specViewStart = Math.round(engine.currentTime * perSec - specW * SPEC_PLAYHEAD_AT);
+  const x0 = specViewStart;
 
-  const x = w - 1;
   specCtx.fillStyle = "#0d0d0d";
-  specCtx.fillRect(x, 0, 1, h);
+  specCtx.fillRect(0, 0, specW, specH);
+  const f0 = Math.max(0, x0);
+  const f1 = Math.min(specSong.frames, x0 + specW);
+  if (f1 > f0) specCtx.drawImage(specSongImage, f0, 0, f1 - f0, specH, f0 - x0, dy, f1 - f0, specH);
+
+  for (const b of engine.beatsBetween(x0 / perSec, (x0 + specW) / perSec)) {
+    drawBeatColumn(Math.round(b.t * perSec - x0), b.downbeat ? 2 : 1);
+  }
+  specCtx.fillStyle = "#ffffff";
+  specCtx.fillRect(Math.round(engine.currentTime * perSec - x0), 0, 1, specH);
+}
+
+/** Piano keys along the rows, C labelled with its octave. */
+function drawSpecKeys() {
+  const ctx = specKeys.getContext("2d");
+  const w = specKeys.width;
+  ctx.fillStyle = "#0d0d0d";
+  ctx.fillRect(0, 0, w, specH);
+  ctx.font = `600 9px "JetBrains Mono", ui-monospace, monospace`;
+  ctx.textBaseline = "middle";
+  for (let midi = SPEC_LOW_MIDI; midi < SPEC_HIGH_MIDI; midi++) {
+    const y = (SPEC_HIGH_MIDI - 1 - midi) * ROWS_PER_SEMITONE;
+    const black = [1, 3, 6, 8, 10].includes(midi % 12);
+    ctx.fillStyle = black ? "#1c1c1c" : "#d8d8d8";
+    ctx.fillRect(black ? w * 0.45 : 0, y, black ? w * 0.55 : w, ROWS_PER_SEMITONE - (black ? 0 : 0.5));
+    if (midi % 12 === 0) {
+      ctx.fillStyle = "#00f3ff";
+      ctx.fillText(`C${midi / 12 - 1}`, 2, y + ROWS_PER_SEMITONE / 2);
+    }
+  }
+}
 
-  const bins = byteFreqData.length;
-  for (let y = 0; y < h; y++) {
-    const ny = 1 - y / h;
-    const idx = Math.floor(Math.pow(ny, 2.2) * (bins - 1));
-    const v = byteFreqData[idx] / 255;
+function renderSpecHint(progress = null) {
+  if (progress != null) {
+    specHint.textContent = `Computing the whole-song view… ${Math.round(progress * 100)}%`;
+  } else if (specSong) {
+    specHint.textContent = "Whole song · wheel / drag to scroll back · click to seek · hover for note and level";
+  } else {
+    specHint.textContent = "Live · Freeze keeps the image · hover for note and level";
+  }
+}
+
+function setSpecFrozen(frozen) {
+  specFrozen = frozen;
+  specFreeze.classList.toggle("active", frozen);
+}
 
-    const b = Math.floor(60 + 195 * v);
-    const g = Math.floor(10 + 245 * Math.pow(v, 1.7));
-    const r = Math.floor(8 + 80 * Math.pow(v, 2.2));
+/** New audio: live ring cleared, whole-song view computed for decoded files. */
+async function resetSpectrogram() {
+  specJob?.abort();
+  specJob = null;
+  specSong = null;
+  specSongImage = null;
+  specHistory.fill(-Infinity);
+  specHistoryTimes.fill(NaN);
+  specHistoryBeats.fill(0);
+  setSpecFrozen(false);
+  specCtx.fillStyle = "#0d0d0d";
+  specCtx.fillRect(0, 0, specW, specH);
+  renderSpecHint();
+
+  const buffer = engine.buffer;
+  if (!buffer) return;
+  const job = new AbortController();
+  specJob = job;
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  try {
+    const song = await songSpectrogram(channels, buffer.sampleRate, {
+      fftSize: engine.fftSize,
+      signal: job.signal,
+      onProgress: (p) => renderSpecHint(p)
+    });
+    if (!song || job.signal.aborted) return;
+    specSong = song;
+    buildSongImage();
+  } catch (err) {
+    console.error(err);
+  } finally {
+    if (specJob === job) {
+      specJob = null;
+      renderSpecHint();
+    }
+  }
+}
 
-    specCtx.fillStyle = `rgb(${r},${g},${b})`;
-    specCtx.fillRect(x, y, 1, 1);
+/** {time, row, db} under a canvas point (row on the key axis), or null. */
+function spectrogramAt(clientX, clientY) {
+  const rect = specCanvas.getBoundingClientRect();
+  const x = Math.floor(((clientX - rect.left) / rect.width) * specW);
+  const row = Math.floor(((clientY - rect.top) / rect.height) * specH);
+  if (x < 0 || x >= specW || row < 0 || row >= specH) return null;
+
+  if (specSong) {
+    const { perSec, dy } = songViewGeometry();
+    const frame = specViewStart + x;
+    const dataRow = row - dy;
+    if (frame < 0 || frame >= specSong.frames || dataRow < 0 || dataRow >= specH) return null;
+    return { time: frame / perSec, row, db: specSong.data[frame * specH + dataRow] };
   }
+  const i = historyIndex(x);
+  if (!Number.isFinite(specHistoryTimes[i])) return null;
+  return { time: specHistoryTimes[i], row, db: specHistory[i * specH + row] };
+}
+
+function renderSpecReadout(e) {
+  const hit = spectrogramAt(e.clientX, e.clientY);
+  specReadout.classList.toggle("hidden", !hit);
+  if (!hit) return;
+
+  const midi = rowMidi(hit.row);
+  const note = Math.round(midi);
+  const cents = Math.round((midi - note) * 100);
+  const name = spellNote(note % 12, { spelling: spelling.value, key: spellingKeyAt(hit.time) });
+  const level = Number.isFinite(hit.db) ? `${Math.round(hit.db)} dB` : "—";
+  specReadout.textContent =
+    `${name}${Math.floor(note / 12) - 1} ${cents >= 0 ? "+" : ""}${cents}¢ · ` +
+    `${midiToHz(midi).toFixed(1)} Hz · ${level} · ${fmtTime(hit.time)}`;
+
+  const wrap = specReadout.parentElement.getBoundingClientRect();
+  const left = Math.min(e.clientX - wrap.left + 12, wrap.width - specReadout.offsetWidth - 4);
+  specReadout.style.left = `${Math.max(4, left)}px`;
+  specReadout.style.top = `${Math.max(4, e.clientY - wrap.top - 28)}px`;
+}
+
+specCanvas.addEventListener("pointermove", renderSpecReadout);
+specCanvas.addEventListener("pointerleave", () => specReadout.classList.add("hidden"));
+
+// Song view: drag / wheel scrolls (and freezes), click seeks
+specCanvas.addEventListener("pointerdown", (e) => {
+  if (!specSong) return;
+  specCanvas.setPointerCapture(e.pointerId);
+  const rect = specCanvas.getBoundingClientRect();
+  const x0 = e.clientX;
+  const start = specViewStart;
+  let moved = false;
+  const move = (m) => {
+    if (!moved && Math.abs(m.clientX - x0) < 4) return;
+    moved = true;
+    setSpecFrozen(true);
+    specViewStart = Math.round(start - ((m.clientX - x0) / rect.width) * specW);
+  };
+  const up = (u) => {
+    specCanvas.removeEventListener("pointermove", move);
+    specCanvas.removeEventListener("pointerup", up);
+    specCanvas.removeEventListener("pointercancel", up);
+    if (!moved && u.type === "pointerup" && specSong) {
+      const { perSec } = songViewGeometry();
+      seekTo((specViewStart + ((u.clientX - rect.left) / rect.width) * specW) / perSec);
+    }
+  };
+  specCanvas.addEventListener("pointermove", move);
+  specCanvas.addEventListener("pointerup", up);
+  specCanvas.addEventListener("pointercancel", up);
+});
+
+specCanvas.addEventListener(
+  "wheel",
+  (e) => {
+    if (!specSong) return;
+    e.preventDefault();
+    const scale = e.deltaMode === 1 ? 16 : 1; // lines -> px
+    const delta = (Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY) * scale;
+    const rect = specCanvas.getBoundingClientRect();
+    setSpecFrozen(true);
+    specViewStart = Math.round(specViewStart + (delta / rect.width) * specW);
+    renderSpecReadout(e);
+  },
+  { passive: false }
+);
+
+specFreeze.addEventListener("click", () => setSpecFrozen(!specFrozen));
+
+function applySpecColors() {
+  // Keep at least 10 dB between floor and ceiling
+  if (Number(specCeil.value) - Number(specFloor.value) < 10) specFloor.value = String(Number(specCeil.value) - 10);
+  specRangeVal.textContent = `${specFloor.value}…${specCeil.value} dB`;
+  specLUT = colormapLUT(specColormap.value);
+  if (specSong) buildSongImage();
+  else redrawLiveSpectrogram();
 }
 
-/* -------------------------- Time Signature Estimation -------------------------- */
+for (const input of [specColormap, specFloor, specCeil]) input.addEventListener("input", applySpecColors);
+
+drawSpecKeys();
+renderSpecHint();
+
+/* -------------------------- Waveform + Chord Lane -------------------------- */
 /**
- * Basic 3/4 vs 4/4 heuristic using engine._onsets (internal array) + bpm beat grid.
- * - Build beat-synchronous indicator vector (last ~24 beats)
- * - Compare autocorrelation at lag 3 vs lag 4
- * Default: 4/4 if uncertain.
+ * Proportional time view: the whole song (overview, with the detail window marked),
+ * a zoomable detail waveform with the beat grid, and the chord lane under it (block
+ * widths = durations). Drawn every frame from engine.currentTime. The waveform needs a
+ * decoded file; streams and projects without audio still get the lane.
  */
-function estimateTimeSignature(bpm) {
-  try {
-    const onsets = engine._onsets; // internal but accessible in JS
-    if (!onsets || !Array.isArray(onsets) || onsets.length < 8) return "4/4";
-    if (!bpm || !isFinite(bpm) || bpm < 60 || bpm > 220) return "4/4";
-
-    const beat = 60 / bpm;
-    const now = engine.currentTime;
-
-    // Consider last 24 beats window
-    const beatsN = 24;
-    const startT = Math.max(0, now - beatsN * beat);
-
-    // Build beat bins
-    const x = new Array(beatsN).fill(0);
-    for (const t of onsets) {
-      if (t < startT || t > now) continue;
-      const k = Math.round((t - startT) / beat);
-      if (k >= 0 && k < beatsN) x[k] = 1;
+const WAVE_DEFAULT_SPAN_S = 20;
+const WAVE_MIN_SPAN_S = 1;
+
+let wavePeaks = null;
+let waveOverviewCache = null; // whole-song waveform, redrawn when the size changes
+const waveView = { start: 0, span: 0 }; // detail window (s); span 0 = not set yet
+let followHeld = false; // view moved off the playhead by hand: no following until it's back (or a seek)
+const chordHues = new Map();
+
+/** New audio: peaks for the waveform, view back to the start. */
+function resetWaveView() {
+  wavePeaks = engine.buffer ? buildPeaks(engine.buffer) : null;
+  waveOverviewCache = null;
+  waveView.start = 0;
+  waveView.span = 0;
+}
+
+/** Song length, or the chart's while there is no audio (restored project). */
+function waveDuration() {
+  const d = engine.duration;
+  if (Number.isFinite(d) && d > 0) return d;
+  return Math.max(0, ...timelineEvents.map((ev) => ev.end ?? engine.currentTime));
+}
+
+function setWaveView(start, span) {
+  const dur = waveDuration();
+  if (!dur) return;
+  waveView.span = Math.min(dur, Math.max(WAVE_MIN_SPAN_S, span));
+  waveView.start = Math.min(dur - waveView.span, Math.max(0, start));
+  followHeld = true;
+}
+
+function zoomWave(factor, anchorFrac = 0.5) {
+  const anchor = waveView.start + anchorFrac * waveView.span;
+  const span = waveView.span * factor;
+  setWaveView(anchor - anchorFrac * span, span);
+}
+
+/** Canvas backing store at device resolution; true if it changed. */
+function fitCanvas(canvas) {
+  const dpr = window.devicePixelRatio || 1;
+  const w = Math.round(canvas.clientWidth * dpr);
+  const h = Math.round(canvas.clientHeight * dpr);
+  if (canvas.width === w && canvas.height === h) return false;
+  canvas.width = w;
+  canvas.height = h;
+  return true;
+}
+
+function drawEnvelope(ctx, { min, max }, h, color) {
+  ctx.fillStyle = color;
+  const mid = h / 2;
+  for (let x = 0; x < min.length; x++) {
+    const top = mid - max[x] * mid;
+    ctx.fillRect(x, top, 1, Math.max(1, (max[x] - min[x]) * mid));
+  }
+}
+
+/** Hue per chord root, so repeats stand out; no chord / unreadable text is grey. */
+function chordHue(label) {
+  if (!chordHues.has(label)) {
+    const root = parseChordSymbol(label)?.root;
+    chordHues.set(label, root == null ? null : root * 30);
+  }
+  return chordHues.get(label);
+}
+
+/** A–B loop shading and the playhead over a view of [t0, t0 + span]. */
+function drawTimeMarks(ctx, w, h, t0, span) {
+  const x = (t) => ((t - t0) / span) * w;
+  const dpr = window.devicePixelRatio || 1;
+  const loop = engine.loop;
+  if (loop) {
+    ctx.fillStyle = "rgba(0, 243, 255, 0.12)";
+    ctx.fillRect(x(loop.start), 0, x(loop.end) - x(loop.start), h);
+  }
+  ctx.fillStyle = "#ccff00";
+  ctx.fillRect(Math.round(x(engine.currentTime)) - Math.floor(dpr / 2), 0, Math.max(1, Math.round(dpr)), h);
+}
+
+function drawOverview(dur) {
+  const ctx = waveOverview.getContext("2d");
+  const { width: w, height: h } = waveOverview;
+  if (wavePeaks && !waveOverviewCache) {
+    waveOverviewCache = document.createElement("canvas");
+    waveOverviewCache.width = w;
+    waveOverviewCache.height = h;
+    drawEnvelope(waveOverviewCache.getContext("2d"), peaksInRange(wavePeaks, 0, dur, w), h, "rgba(232, 232, 232, 0.45)");
+  }
+  ctx.clearRect(0, 0, w, h);
+  if (waveOverviewCache) ctx.drawImage(waveOverviewCache, 0, 0);
+
+  // Detail window
+  const x0 = (waveView.start / dur) * w;
+  const x1 = ((waveView.start + waveView.span) / dur) * w;
+  ctx.fillStyle = "rgba(0, 243, 255, 0.10)";
+  ctx.fillRect(x0, 0, x1 - x0, h);
+  ctx.strokeStyle = "rgba(0, 243, 255, 0.55)";
+  ctx.strokeRect(x0 + 0.5, 0.5, Math.max(1, x1 - x0 - 1), h - 1);
+  drawTimeMarks(ctx, w, h, 0, dur);
+}
+
+function drawDetail() {
+  const ctx = waveDetail.getContext("2d");
+  const { width: w, height: h } = waveDetail;
+  const { start, span } = waveView;
+  ctx.clearRect(0, 0, w, h);
+
+  // Beat grid under the waveform (downbeats only when beats would crowd)
+  const beats = engine.beatsBetween(start, start + span);
+  const sparse = beats.length < w / 6;
+  for (const b of beats) {
+    if (!b.downbeat && !sparse) continue;
+    ctx.fillStyle = b.downbeat ? "rgba(204, 255, 0, 0.35)" : "rgba(255, 255, 255, 0.10)";
+    ctx.fillRect(Math.round(((b.t - start) / span) * w), 0, 1, h);
+  }
+  if (wavePeaks) {
+    drawEnvelope(ctx, peaksInRange(wavePeaks, start, start + span, w), h, "rgba(0, 243, 255, 0.7)");
+  } else {
+    ctx.fillStyle = "rgba(154, 154, 154, 0.8)";
+    ctx.font = `${11 * (window.devicePixelRatio || 1)}px "JetBrains Mono", ui-monospace, monospace`;
+    ctx.fillText(engine.mediaEl?.src ? "No waveform for streams" : "Load a file to see its waveform", 8, h / 2 + 4);
+  }
+  drawTimeMarks(ctx, w, h, start, span);
+}
+
+function drawChordLane() {
+  const ctx = chordLane.getContext("2d");
+  const { width: w, height: h } = chordLane;
+  const { start, span } = waveView;
+  const dpr = window.devicePixelRatio || 1;
+  const now = engine.currentTime;
+  const x = (t) => ((t - start) / span) * w;
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = `600 ${11 * dpr}px "JetBrains Mono", ui-monospace, monospace`;
+  ctx.textBaseline = "middle";
+
+  timelineEvents.forEach((ev, idx) => {
+    const end = ev.end ?? now;
+    if (end <= start || ev.start >= start + span || end <= ev.start) return;
+    const x0 = Math.max(0, x(ev.start));
+    const x1 = Math.min(w, x(end));
+    const label = blockLabel(ev);
+    const hue = label === NO_CHORD ? null : chordHue(label);
+    ctx.fillStyle = hue == null ? "rgba(255, 255, 255, 0.06)" : `hsla(${hue}, 70%, 50%, 0.28)`;
+    ctx.fillRect(x0 + 1, 1, Math.max(1, x1 - x0 - 2), h - 2);
+    if (isSelected(idx)) {
+      ctx.strokeStyle = "#00f3ff";
+      ctx.strokeRect(x0 + 1.5, 1.5, Math.max(1, x1 - x0 - 3), h - 3);
     }
+    if (x1 - x0 > 18 * dpr) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(x0, 0, x1 - x0 - 2, h);
+      ctx.clip();
+      ctx.fillStyle = ev.overridden ? "#00f3ff" : "#e8e8e8";
+      ctx.fillText(displayChord(label, ev.start, ev.overridden), x0 + 5 * dpr, h / 2);
+      ctx.restore();
+    }
+  });
+  drawTimeMarks(ctx, w, h, start, span);
+}
 
-    function corr(lag) {
-      let s = 0;
-      let c = 0;
-      for (let i = lag; i < beatsN; i++) {
-        s += x[i] * x[i - lag];
-        c++;
-      }
-      return c ? s / c : 0;
+function renderWaveView() {
+  if (fitCanvas(waveOverview)) waveOverviewCache = null;
+  fitCanvas(waveDetail);
+  fitCanvas(chordLane);
+  const dur = waveDuration();
+  if (!dur || !waveOverview.width) {
+    for (const c of [waveOverview, waveDetail, chordLane]) c.getContext("2d").clearRect(0, 0, c.width, c.height);
+    waveZoomVal.textContent = "—";
+    return;
+  }
+  if (!waveView.span) setWaveView(0, WAVE_DEFAULT_SPAN_S);
+
+  // Follow: page to the playhead when it leaves the view (seeks and loop jumps included)
+  const now = engine.currentTime;
+  if (now >= waveView.start && now <= waveView.start + waveView.span) {
+    followHeld = false;
+  } else if (waveFollow.checked && !followHeld) {
+    setWaveView(now - waveView.span * 0.05, waveView.span);
+    followHeld = false;
+  }
+
+  drawOverview(dur);
+  drawDetail();
+  drawChordLane();
+  waveZoomVal.textContent = `${waveView.span < 10 ? waveView.span.toFixed(1) : Math.round(waveView.span)} s`;
+}
+
+/**
+ * Detail / lane gestures: click = seek, drag = pan, two pointers = pinch zoom
+ * around their midpoint; wheel zooms at the cursor (horizontal / Shift+wheel pans).
+ */
+function attachWaveGestures(canvas) {
+  const pointers = new Map(); // pointerId -> clientX
+  let gesture = null;
+
+  const begin = (moved) => {
+    const xs = [...pointers.values()];
+    gesture = {
+      mid: xs.reduce((a, b) => a + b, 0) / xs.length,
+      dist: xs.length > 1 ? Math.abs(xs[0] - xs[1]) : 0,
+      start: waveView.start,
+      span: waveView.span,
+      rect: canvas.getBoundingClientRect(),
+      moved
+    };
+  };
+
+  canvas.addEventListener("pointerdown", (e) => {
+    if (!waveDuration()) return;
+    canvas.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, e.clientX);
+    begin(pointers.size > 1);
+  });
+
+  canvas.addEventListener("pointermove", (e) => {
+    if (!gesture || !pointers.has(e.pointerId)) return;
+    pointers.set(e.pointerId, e.clientX);
+    const xs = [...pointers.values()];
+    const mid = xs.reduce((a, b) => a + b, 0) / xs.length;
+    if (!gesture.moved && Math.abs(mid - gesture.mid) < 4) return;
+    gesture.moved = true;
+
+    const { rect } = gesture;
+    const dist = xs.length > 1 ? Math.abs(xs[0] - xs[1]) : 0;
+    const span = gesture.dist > 10 && dist > 0 ? (gesture.span * gesture.dist) / dist : gesture.span;
+    // The time under the gesture's first midpoint stays under the current one
+    const anchor = gesture.start + ((gesture.mid - rect.left) / rect.width) * gesture.span;
+    setWaveView(anchor - ((mid - rect.left) / rect.width) * span, span);
+  });
+
+  const end = (e) => {
+    if (!pointers.delete(e.pointerId) || !gesture) return;
+    if (pointers.size) {
+      begin(true);
+      return;
     }
+    if (!gesture.moved && e.type === "pointerup") {
+      const { rect } = gesture;
+      seekTo(waveView.start + ((e.clientX - rect.left) / rect.width) * waveView.span);
+    }
+    gesture = null;
+  };
+  canvas.addEventListener("pointerup", end);
+  canvas.addEventListener("pointercancel", end);
+
+  canvas.addEventListener(
+    "wheel",
+    (e) => {
+      if (!waveDuration() || !waveView.span) return;
+      e.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      const scale = e.deltaMode === 1 ? 16 : 1; // lines -> px
+      const dx = (e.shiftKey ? e.deltaY : e.deltaX) * scale;
+      if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+        setWaveView(waveView.start + (dx / rect.width) * waveView.span, waveView.span);
+      } else {
+        zoomWave(Math.exp(e.deltaY * scale * 0.002), (e.clientX - rect.left) / rect.width);
+      }
+    },
+    { passive: false }
+  );
+}
+
+attachWaveGestures(waveDetail);
+attachWaveGestures(chordLane);
+
+// Overview: click seeks, dragging moves the detail window
+waveOverview.addEventListener("pointerdown", (e) => {
+  const dur = waveDuration();
+  if (!dur) return;
+  waveOverview.setPointerCapture(e.pointerId);
+  const rect = waveOverview.getBoundingClientRect();
+  const timeAt = (clientX) => Math.min(dur, Math.max(0, ((clientX - rect.left) / rect.width) * dur));
+  const x0 = e.clientX;
+  let moved = false;
+  const move = (m) => {
+    if (!moved && Math.abs(m.clientX - x0) < 4) return;
+    moved = true;
+    setWaveView(timeAt(m.clientX) - waveView.span / 2, waveView.span);
+  };
+  const up = (u) => {
+    waveOverview.removeEventListener("pointermove", move);
+    waveOverview.removeEventListener("pointerup", up);
+    waveOverview.removeEventListener("pointercancel", up);
+    if (!moved && u.type === "pointerup") seekTo(timeAt(u.clientX));
+  };
+  waveOverview.addEventListener("pointermove", move);
+  waveOverview.addEventListener("pointerup", up);
+  waveOverview.addEventListener("pointercancel", up);
+});
+
+for (const type of ["seek", "loop"]) {
+  engine.addEventListener(type, () => {
+    followHeld = false;
+  });
+}
+
+waveZoomIn.addEventListener("click", () => zoomWave(0.5));
+waveZoomOut.addEventListener("click", () => zoomWave(2));
+waveFit.addEventListener("click", () => setWaveView(0, waveDuration()));
+
+/* -------------------------- Chromagram -------------------------- */
+/**
+ * What the chord detector sees: the 12 chroma bins (the shown chord's notes lit, its
+ * root brightest, the detected bass marked), the best-scoring templates and a
+ * scrolling chromagram. Live values come from the analysis hop; after a whole-track
+ * analysis, from its frame at the playhead. Pitch classes follow the chord display
+ * (capo applied, spelled like the chord names).
+ */
+const CHROMA_ROW_H = 8; // history: px per pitch class (C at the bottom)
+
+const chromaHistoryCtx = chromaHistory.getContext("2d", { alpha: false });
+let chromaCandsKey = "";
+let lastChromaTime = -1;
+
+/** Chroma of displayed pitch class p (the engine's bins are in the original key). */
+function displayChroma(chroma, semis, p) {
+  return chroma[(p - semis + 1200) % 12];
+}
+
+/** Pitch classes of a displayed chord: {root, notes, bass} or null (N, unparseable). */
+function chordPitchClasses(text) {
+  const chord = parseChordSymbol(text);
+  if (!chord) return null;
+  return { root: chord.root, notes: new Set(chord.intervals.map((i) => (chord.root + i) % 12)), bass: chord.bass };
+}
+
+function drawChromaBars(chroma, bassPc, chordText, t) {
+  fitCanvas(chromaBars);
+  const ctx = chromaBars.getContext("2d");
+  const { width: w, height: h } = chromaBars;
+  const dpr = window.devicePixelRatio || 1;
+  const semis = labelSemis();
+  const pcs = chordPitchClasses(chordText);
+  const key = spellingKeyAt(t);
+  const labelH = 14 * dpr;
+  const barW = w / 12;
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = `600 ${10 * dpr}px "JetBrains Mono", ui-monospace, monospace`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  let max = 0;
+  if (chroma) for (let p = 0; p < 12; p++) max = Math.max(max, chroma[p]);
+  for (let p = 0; p < 12; p++) {
+    const x = p * barW;
+    const v = chroma && max > 0 ? displayChroma(chroma, semis, p) / max : 0;
+    const inChord = pcs?.notes.has(p);
+    ctx.fillStyle = "rgba(255, 255, 255, 0.05)";
+    ctx.fillRect(x + 2, 0, barW - 4, h - labelH);
+    ctx.fillStyle = pcs?.root === p ? "#00f3ff" : inChord ? "rgba(0, 243, 255, 0.55)" : "rgba(232, 232, 232, 0.35)";
+    const barH = v * (h - labelH - 2);
+    ctx.fillRect(x + 2, h - labelH - barH, barW - 4, barH);
+
+    ctx.fillStyle = inChord ? "#e8e8e8" : "rgba(154, 154, 154, 0.8)";
+    ctx.fillText(spellNote(p, { spelling: spelling.value, key }), x + barW / 2, h - labelH / 2);
+  }
+
+  // Detected bass: a marker over its bin
+  if (bassPc != null) {
+    const x = ((bassPc + semis + 1200) % 12) * barW;
+    ctx.fillStyle = "#ccff00";
+    ctx.fillRect(x + 2, 0, barW - 4, 3 * dpr);
+  }
+}
 
-    const c3 = corr(3);
-    const c4 = corr(4);
+function renderChordCandidates(candidates, chord, t) {
+  const chosen = chord?.split("/")[0];
+  const list = candidates ?? [];
+  const key = list.map((c) => `${c.chord}:${Math.round(c.confidence * 100)}`).join("|") + `|${chosen}|${labelSemis()}`;
+  if (key === chromaCandsKey) return;
+  chromaCandsKey = key;
+
+  chordCands.textContent = "";
+  for (const c of list) {
+    const li = document.createElement("li");
+    li.classList.toggle("chosen", c.chord === chosen);
+    const name = document.createElement("span");
+    name.className = "mono";
+    name.textContent = c.chord === NO_CHORD ? "N (threshold)" : displayChord(c.chord, t);
+    const bar = document.createElement("span");
+    bar.className = "candBar";
+    bar.style.setProperty("--conf", String(c.confidence));
+    const pct = document.createElement("span");
+    pct.className = "mono small";
+    pct.textContent = `${Math.round(c.confidence * 100)}%`;
+    li.append(name, bar, pct);
+    chordCands.appendChild(li);
+  }
+  if (!list.length) {
+    const li = document.createElement("li");
+    li.className = "small hint";
+    li.textContent = "No detector frames yet";
+    chordCands.appendChild(li);
+  }
+}
 
-    // Confidence margin; if too close, default 4/4
-    if (c3 > c4 + 0.06) return "3/4";
-    return "4/4";
-  } catch {
-    return "4/4";
+/** Scrolling chromagram: one column per frame while song time moves. */
+function drawChromaHistory(chroma, bassPc) {
+  const ctx = chromaHistoryCtx;
+  const { width: w, height: h } = chromaHistory;
+  const now = engine.currentTime;
+  if (now === lastChromaTime) return;
+  lastChromaTime = now;
+
+  ctx.drawImage(chromaHistory, 1, 0, w - 1, h, 0, 0, w - 1, h);
+  ctx.fillStyle = "#0d0d0d";
+  ctx.fillRect(w - 1, 0, 1, h);
+  if (!chroma) return;
+
+  const semis = labelSemis();
+  let max = 0;
+  for (let p = 0; p < 12; p++) max = Math.max(max, chroma[p]);
+  for (let p = 0; p < 12; p++) {
+    const v = max > 0 ? displayChroma(chroma, semis, p) / max : 0;
+    ctx.fillStyle = `rgba(0, 243, 255, ${(v * v).toFixed(3)})`;
+    ctx.fillRect(w - 1, h - (p + 1) * CHROMA_ROW_H, 1, CHROMA_ROW_H);
   }
+  if (bassPc != null) {
+    ctx.fillStyle = "#ccff00";
+    ctx.fillRect(w - 1, h - ((bassPc + semis + 1200) % 12) * CHROMA_ROW_H - CHROMA_ROW_H / 2 - 1, 1, 2);
+  }
+}
+
+function renderChromagram({ chroma, bassPc, chordCandidates, chord }) {
+  const t = engine.currentTime;
+  const shown = chord && chord !== "—" ? displayChord(chord, t) : null;
+  drawChromaBars(chroma, bassPc, shown, t);
+  const bass = bassPc == null ? null : (bassPc + labelSemis() + 1200) % 12;
+  chromaBass.textContent = bass == null ? "—" : spellNote(bass, { spelling: spelling.value, key: spellingKeyAt(t) });
+  chromaChord.textContent = shown ?? "—";
+  renderChordCandidates(chordCandidates, chord, t);
+  drawChromaHistory(chroma, bassPc);
 }
 
-/* -------------------------- Main Loop -------------------------- */
+chromaHistory.height = 12 * CHROMA_ROW_H;
+chromaHistoryCtx.fillStyle = "#0d0d0d";
+chromaHistoryCtx.fillRect(0, 0, chromaHistory.width, chromaHistory.height);
+
+/* -------------------------- Analysis Results -------------------------- */
 let lastStableChord = "—";
-let rhythmWarmupUntil = 0; // overlay gating for “Analyzing Rhythms…”
 
-function loop() {
-  const { freqData, chord, bpm } = engine.tick();
+/**
+ * Engine "analysis" events arrive per analysis hop (AudioWorklet) — also while the
+ * tab is hidden and rAF is paused — so the timeline is built here, not in loop().
+ */
+function handleAnalysis({ chord, t, chordStart, chordConfidence }) {
+  // Whole-track mode / restored project: the timeline is already complete
+  if (engine.offlineAnalysis || restoredProject) return;
 
-  // If a chord changes (stable chord coming out of engine), build merged timeline
+  // After seeking back, time that is already charted is not charted twice
+  const chartEnd = chartedUntil();
+  if (t < chartEnd) return;
+
+  // If a chord changes (stable chord coming out of engine), build merged timeline.
+  // chordStart is where the decoder placed the change (HMM mode decides ~1s late).
   if (chord && chord !== "—" && chord !== lastStableChord) {
-    const t = engine.currentTime;
-    pushOrMergeChord(chord, t);
+    pushOrMergeChord(chord, Math.max(chordStart ?? t, chartEnd), chordConfidence);
     lastStableChord = chord;
   }
 
-  // Keep the open event’s duration updating; render periodically
-  renderTimeline();
+  // Segment confidence keeps settling while the chord lasts
+  const open = timelineEvents[timelineEvents.length - 1];
+  if (open && open.end == null && chordConfidence != null) open.conf = chordConfidence;
+}
+
+engine.addEventListener("analysis", (e) => handleAnalysis(e.detail));
+
+/* -------------------------- Main Loop (drawing only) -------------------------- */
+let rhythmWarmupUntil = 0; // overlay gating for “Analyzing Rhythms…”
+let lastSpecTime = 0; // song time of the last spectrogram column
+
+function loop() {
+  const tick = engine.tick();
+  const { freqData, chord } = tick;
+
+  // A restored project shows its saved readouts until the audio has its own
+  const saved = restoredProject?.analysis;
+  const bpm = tick.bpm || saved?.bpm || null;
+  const key = tick.key ?? saved?.key ?? null;
+  const meter = engine.meter ?? saved?.meter ?? null;
+
+  // Keep the open event’s duration updating
+  refreshTimeline();
 
   // Readouts
-  chordReadout.textContent = transposeChordText(chord || "—", capoSemis);
+  chordReadout.textContent = displayChord(chord || "—", engine.currentTime);
+  renderReadoutDiagram(chord);
+  renderKeyReadout(key);
+  renderTuning(engine.tuning);
   bpmReadout.textContent = bpm ? String(bpm) : "—";
-  tsReadout.textContent = bpm ? estimateTimeSignature(bpm) : "4/4";
+  shownBpm = bpm || null;
+  shownKey = key;
+  shownMeter = meter;
+  renderTempoCandidates(bpm, engine.tempoCandidates);
+  renderMeter(meter);
   timeReadout.textContent = fmtTime(engine.currentTime);
+  renderSeekBar();
+  renderWaveView();
+  renderChromagram(tick);
+  renderInputLevel();
 
-  drawSpectrogram(freqData);
+  // Beat grid: mark the column if a beat passed since the last frame
+  const now = engine.currentTime;
+  const beats = now > lastSpecTime ? engine.beatsBetween(lastSpecTime, now) : [];
+  lastSpecTime = now;
+  drawSpectrogram(freqData, beats.find((b) => b.downbeat) || beats[0] || null);
+  if (specSong) drawSongSpectrogram();
   setStatus(engine.isPlaying, engine.isPlaying ? "Analyzing" : "Paused");
 
   // Hide rhythm overlay after warmup window
@@ -337,10 +1453,66 @@ function loop() {
 }
 
 /* -------------------------- Loading / Input -------------------------- */
-async function loadLocalFile(file) {
+/** Returns true when the analysis finished (keepHistory: a re-analysis adds its own undo step). */
+async function analyzeWholeTrack({ keepHistory = false } = {}) {
+  if (!engine.buffer) return false;
+  showOverlay("Analyzing Track… 0%", 0);
+
+  try {
+    const analysis = await engine.analyzeWholeTrack({
+      onProgress: (p) => showOverlay(`Analyzing Track… ${Math.round(p * 100)}%`, p)
+    });
+
+    // A restored project keeps its (edited) timeline; the analysis only adds beats/key/meter
+    if (!restoredProject) loadTimelineFromAnalysis(analysis, { keepHistory });
+    lastStableChord = "—";
+    bpmReadout.textContent = analysis.bpm ? String(analysis.bpm) : "—";
+    renderTimeline();
+    hideOverlay();
+    scheduleLibrarySave();
+    return true;
+  } catch (err) {
+    console.error(err);
+    hideOverlay();
+    alert("Whole-track analysis failed. Chords will be detected live during playback.");
+    return false;
+  }
+}
+
+/** Speed and focus EQ as set in the UI, applied to a freshly loaded source (loops don't carry over). */
+function applyPlaybackSettings() {
+  renderSpeedHint();
+  engine.setPlaybackRate(Number(speed.value));
+  engine.setFocusEQ(activeFocusEQ());
+  resetLoop();
+}
+
+/**
+ * Called with the source about to load while a project is open.
+ * true = it is the project's audio (keep the restored timeline), false = start
+ * fresh, null = the user cancelled to keep the project.
+ */
+function relinkProject(source) {
+  if (!restoredProject) return false;
+  if (sourceMatches(restoredProject.source, source)) return true;
+  if (!confirm("This audio doesn't match the open project. Load it anyway and discard the project's chart?")) {
+    return null;
+  }
+  restoredProject = null;
+  return false;
+}
+
+/**
+ * chart: the timeline that belongs to this audio (a live input recording), shown once
+ * it has loaded; a failed load leaves the current timeline alone.
+ */
+async function loadLocalFile(file, { chart = null } = {}) {
+  const keepChart = chart != null;
   if (!file) return;
+  if (file.name.toLowerCase().endsWith(`.${PROJECT_EXTENSION}`)) return openProject(file);
   showOverlay("Decoding Audio…", 0.15);
 
+  const prevName = fileName.textContent;
   try {
     fileName.textContent = file.name;
     dropHint.textContent = `Loading: ${file.name}`;
@@ -355,16 +1527,44 @@ async function loadLocalFile(file) {
       reader.readAsArrayBuffer(file);
     });
 
+    const source = { type: "file", name: file.name, size: file.size, sha256: await hashAudioFile(arrayBuffer) };
+    let relinked = keepChart || relinkProject(source);
+    if (relinked === false) relinked = await restoreFromLibrary(source);
+    if (relinked === null) {
+      fileName.textContent = prevName;
+      dropHint.textContent = "Drop MP3/WAV/OGG here";
+      hideOverlay();
+      return;
+    }
+
     showOverlay("Decoding Audio…", 0.9);
     await engine.loadFromFileArrayBuffer(arrayBuffer);
-
-    // Reset timeline state
-    timelineEvents.length = 0;
+    await releaseRecording();
+    currentSource = source;
+    currentAudioFile = file;
+    trackTitle = file.name.replace(/\.[^.]+$/, "");
+    applyPlaybackSettings();
+    resetWaveView();
+    resetSpectrogram();
+
+    // Reset timeline state (a re-linked project keeps its chart)
+    if (keepChart) {
+      timelineEvents.splice(0, timelineEvents.length, ...chart);
+      clearEditHistory();
+    } else if (!relinked) {
+      timelineEvents.length = 0;
+      clearEditHistory();
+    }
     lastStableChord = "—";
+    renderProjectStatus();
 
-    setStatus(false, "Loaded local file");
+    setStatus(false, keepChart ? "Recording loaded" : relinked ? "Project audio linked" : "Loaded local file");
     dropHint.textContent = `Ready: ${file.name}`;
     hideOverlay();
+    renderLibrary();
+
+    // A restored chart is shown as saved (toggle whole-track mode to analyze anyway)
+    if (wholeTrack.checked && !relinked) await analyzeWholeTrack();
   } catch (err) {
     console.error(err);
     dropHint.textContent = "Drop MP3/WAV/OGG here";
@@ -376,15 +1576,31 @@ async function loadLocalFile(file) {
 
 async function loadYouTube(url) {
   if (!url) return;
+  const source = { type: "youtube", url };
+  let relinked = relinkProject(source);
+  if (relinked === false) relinked = await restoreFromLibrary(source);
+  if (relinked === null) return;
   showOverlay("Fetching from YouTube…", 0.2);
 
   try {
     const proxy = `/api/stream?url=${encodeURIComponent(url)}`;
     await engine.setSourceFromStream(proxy);
-
-    // Reset timeline state
-    timelineEvents.length = 0;
+    await releaseRecording();
+    currentSource = source;
+    currentAudioFile = null;
+    trackTitle = "";
+    applyPlaybackSettings();
+    resetWaveView();
+    resetSpectrogram();
+
+    // Reset timeline state (a re-linked project keeps its chart)
+    if (!relinked) {
+      timelineEvents.length = 0;
+      clearEditHistory();
+    }
     lastStableChord = "—";
+    renderProjectStatus();
+    renderLibrary();
 
     setStatus(false, "Stream loaded");
     hideOverlay();
@@ -395,9 +1611,149 @@ async function loadYouTube(url) {
   }
 }
 
-/* -------------------------- Wiring -------------------------- */
+/* -------------------------- Live Input -------------------------- */
+/**
+ * Microphone / line-in: charted live like a stream but never played back (no feedback).
+ * A recording of the session can be reviewed afterwards as a local file, keeping the
+ * chart made while listening.
+ */
+let lastRecording = null; // {blob, start}: start = session time it began at (null: the chart moved on)
+
+async function renderInputDevices() {
+  const devices = await engine.listInputDevices();
+  const selected = inputDevice.value || engine.inputSettings?.deviceId || "";
+  inputDevice.textContent = "";
+  inputDevice.add(new Option("Default input", ""));
+  for (const d of devices) {
+    if (d.deviceId && d.deviceId !== "default") inputDevice.add(new Option(d.label, d.deviceId));
+  }
+  inputDevice.value = [...inputDevice.options].some((o) => o.value === selected) ? selected : "";
+}
 
-// Custom file button
+function renderInputControls() {
+  const live = !!engine.inputStream;
+  inputBtn.textContent = live ? "Close Input" : "Listen";
+  inputDevice.disabled = live;
+  inputProcessing.disabled = live;
+  recordBtn.disabled = !live;
+  recordBtn.textContent = engine.isRecording ? "Stop Recording" : "Record";
+  recordBtn.classList.toggle("active", engine.isRecording);
+  reviewBtn.disabled = !lastRecording;
+  saveRecordingBtn.disabled = !lastRecording;
+  if (!live) {
+    inputMeterFill.style.width = "0%";
+    inputMeterPeak.style.left = "0%";
+    inputLevelVal.textContent = "— dB";
+  }
+}
+
+const INPUT_METER_FLOOR_DB = -60;
+
+function renderInputLevel() {
+  const level = engine.inputLevel();
+  if (!level) return;
+  const pos = (db) => `${Math.max(0, Math.min(1, 1 - db / INPUT_METER_FLOOR_DB)) * 100}%`;
+  inputMeterFill.style.width = pos(level.rms);
+  inputMeterPeak.style.left = pos(level.peak);
+  inputMeterFill.classList.toggle("clip", level.peak > -1);
+  inputLevelVal.textContent = Number.isFinite(level.rms) ? `${Math.round(level.rms)} dB` : "-∞ dB";
+}
+
+async function finishRecording() {
+  const rec = await engine.stopRecording();
+  if (rec?.blob.size) lastRecording = rec;
+  renderInputControls();
+}
+
+function toggleRecording() {
+  if (engine.isRecording) return finishRecording();
+  engine.startRecording();
+  renderInputControls();
+}
+
+/** Another source took over: a recording is kept, but the chart no longer belongs to it. */
+async function releaseRecording() {
+  if (engine.isRecording) await finishRecording();
+  if (lastRecording) lastRecording.start = null;
+  renderInputControls();
+}
+
+function recordingName({ blob }) {
+  const ext = /ogg/.test(blob.type) ? "ogg" : /mp4/.test(blob.type) ? "m4a" : "webm";
+  return `${trackTitle || "recording"}.${ext}`;
+}
+
+async function startLiveInput() {
+  if (restoredProject && !confirm("Close the open project and chart the live input?")) return;
+  try {
+    if (engine.isRecording) await finishRecording();
+    await engine.setSourceFromInput({ deviceId: inputDevice.value || null, processing: inputProcessing.checked });
+  } catch (err) {
+    console.error(err);
+    alert(
+      err.name === "NotAllowedError"
+        ? "Microphone access was denied."
+        : "Could not open the input. Check the device and try again."
+    );
+    return;
+  }
+
+  restoredProject = null;
+  currentSource = null; // nothing to re-link: live sessions stay out of the library
+  currentAudioFile = null;
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  const date = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  trackTitle = `Live ${date} ${pad(d.getHours())}-${pad(d.getMinutes())}`;
+  applyPlaybackSettings();
+  resetWaveView();
+  resetSpectrogram();
+  timelineEvents.length = 0;
+  clearEditHistory();
+  lastStableChord = "—";
+  renderProjectStatus();
+  renderTimeline();
+
+  setStatus(true, "Listening");
+  await renderInputDevices();
+  renderInputControls();
+  if (!rafId) rafId = requestAnimationFrame(loop);
+}
+
+async function closeLiveInput() {
+  finalizeLastEvent(engine.currentTime);
+  if (engine.isRecording) await finishRecording();
+  engine.closeInput();
+  renderTimeline();
+  renderInputControls();
+  setStatus(false, "Input closed");
+}
+
+/** Loads the recording like a local file; the chart made while listening is kept. */
+async function reviewRecording() {
+  if (!lastRecording) return;
+  if (engine.inputStream) await closeLiveInput();
+  const { blob, start } = lastRecording;
+
+  // Session time -> recording time, on a copy until the recording has loaded
+  const chart =
+    start == null
+      ? null
+      : snapshotTimeline(timelineEvents)
+          .filter((ev) => (ev.end ?? Infinity) > start)
+          .map((ev) => ({ ...ev, start: Math.max(0, ev.start - start), end: ev.end == null ? null : ev.end - start }));
+
+  const file = new File([blob], recordingName(lastRecording), { type: blob.type });
+  await loadLocalFile(file, { chart });
+}
+
+function saveRecording() {
+  if (lastRecording) downloadFile(lastRecording.blob, lastRecording.blob.type, recordingName(lastRecording));
+}
+
+/* -------------------------- Wiring -------------------------- */
+
+// Custom file button
 fileBtn.addEventListener("click", () => fileInput.click());
 
 fileInput.addEventListener("change", async (e) => {
@@ -405,6 +1761,13 @@ fileInput.addEventListener("change", async (e) => {
   await loadLocalFile(file);
 });
 
+wholeTrack.addEventListener("change", async () => {
+  // Turning the mode on after loading analyzes the current file right away
+  if (wholeTrack.checked && engine.buffer && !engine.offlineAnalysis && !engine.isPlaying) {
+    await analyzeWholeTrack();
+  }
+});
+
 // Drag & Drop
 function setDropActive(active) {
   dropZone.classList.toggle("active", active);
@@ -444,12 +1807,29 @@ loadStreamBtn.addEventListener("click", async () => {
   await loadYouTube(url);
 });
 
+// Live input
+inputBtn.addEventListener("click", () => (engine.inputStream ? closeLiveInput() : startLiveInput()));
+recordBtn.addEventListener("click", toggleRecording);
+reviewBtn.addEventListener("click", reviewRecording);
+saveRecordingBtn.addEventListener("click", saveRecording);
+navigator.mediaDevices?.addEventListener("devicechange", renderInputDevices);
+
+engine.addEventListener("inputended", async () => {
+  await closeLiveInput();
+  setStatus(false, "Input disconnected");
+});
+
+renderInputDevices();
+renderInputControls();
+
 // Playback
 playBtn.addEventListener("click", async () => {
   try {
-    // Rhythm warmup overlay
-    showOverlay("Analyzing Rhythms…", 0.35);
-    rhythmWarmupUntil = performance.now() + 1800;
+    // Rhythm warmup overlay (not needed once the whole track is analyzed)
+    if (!engine.offlineAnalysis) {
+      showOverlay("Analyzing Rhythms…", 0.35);
+      rhythmWarmupUntil = performance.now() + 1800;
+    }
 
     await engine.play();
 
@@ -466,45 +1846,1067 @@ pauseBtn.addEventListener("click", () => {
   // Close the open block cleanly on pause (duration becomes meaningful)
   finalizeLastEvent(engine.currentTime);
   renderTimeline();
+  saveToLibrary();
 });
 
 stopBtn.addEventListener("click", () => {
-  engine.stop();
+  // Close the open block before the playhead jumps back to 0
   finalizeLastEvent(engine.currentTime);
+  engine.stop();
+  lastStableChord = "—";
+  saveToLibrary();
   chordReadout.textContent = "—";
+  renderReadoutDiagram(null);
+  keyReadout.textContent = "—";
+  keyConf.textContent = "";
   bpmReadout.textContent = "—";
-  tsReadout.textContent = "4/4";
+  renderMeter(null);
+  renderTimeline();
+});
+
+// Seeking: the open block ends where playback left off; detection restarts at the target
+let scrubbing = false;
+
+function seekTo(t) {
+  if (!engine.buffer && !engine.mediaEl?.src) return;
+  finalizeLastEvent(engine.currentTime);
+  lastStableChord = "—";
+  engine.seek(t);
+  lastSpecTime = engine.currentTime;
+  renderTimeline();
+}
+
+function renderSeekBar() {
+  const dur = engine.duration;
+  const seekable = Number.isFinite(dur) && dur > 0;
+  seekBar.disabled = !seekable;
+  if (!seekable) {
+    seekTime.textContent = `${fmtTime(engine.currentTime)} / --:--`;
+    return;
+  }
+  seekBar.max = String(dur);
+  // While dragging, the thumb shows the target, not the playhead
+  const t = scrubbing ? Number(seekBar.value) : engine.currentTime;
+  if (!scrubbing) seekBar.value = String(t);
+  seekTime.textContent = `${fmtTime(t)} / ${fmtTime(dur)}`;
+}
+
+seekBar.addEventListener("input", () => {
+  scrubbing = true;
+  renderSeekBar();
+});
+
+seekBar.addEventListener("change", () => {
+  scrubbing = false;
+  seekTo(Number(seekBar.value));
+});
+
+// A–B loop: points from the playhead (or the scrub bar thumb) or a block selection
+let loopA = null;
+let loopB = null;
+let selAnchor = null; // first / last Ctrl-clicked block; the range between them is selected
+let selEnd = null;
+
+function selectionRange() {
+  const a = timelineEvents.indexOf(selAnchor);
+  const b = timelineEvents.indexOf(selEnd);
+  if (a < 0 || b < 0) return null;
+  return [Math.min(a, b), Math.max(a, b)];
+}
+
+function isSelected(idx) {
+  const range = selectionRange();
+  return !!range && idx >= range[0] && idx <= range[1];
+}
+
+/** Ctrl/⌘-click: start a selection, extend it, or clear it by clicking its only block. */
+function selectBlock(ev) {
+  if (!selectionRange() || (selAnchor === ev && selEnd === ev)) {
+    selAnchor = selAnchor === ev ? null : ev;
+    selEnd = selAnchor;
+  } else {
+    selEnd = ev;
+  }
+  renderTimeline();
+  renderLoop();
+  renderEditTools();
+}
+
+function fmtLoopTime(s) {
+  return `${fmtTime(s)}.${Math.floor((s % 1) * 10)}`;
+}
+
+function renderLoop() {
+  const loop = engine.loop;
+  loopBlocks.disabled = !selectionRange();
+  loopClear.disabled = loopA == null && loopB == null;
+  loopHold.disabled = !loop || !loopRamp.checked || engine.loopHeld;
+
+  if (loop) {
+    const pass = engine.loopPass ? ` · pass ${engine.loopPass + 1}` : "";
+    const held = engine.loopHeld ? " (repeat)" : "";
+    loopStatus.textContent =
+      `A ${fmtLoopTime(loop.start)} → B ${fmtLoopTime(loop.end)}${pass} · ${Number(speed.value).toFixed(2)}×${held}`;
+  } else if (loopA != null) {
+    loopStatus.textContent = `A ${fmtLoopTime(loopA)} → set B`;
+  } else if (loopB != null) {
+    loopStatus.textContent = `set A → B ${fmtLoopTime(loopB)}`;
+  } else {
+    loopStatus.textContent = "No loop";
+  }
+}
+
+function applyLoop() {
+  if (loopA != null && loopB != null && !engine.setLoop(loopA, loopB)) {
+    alert(
+      engine.inputStream
+        ? "Live input can't loop. Record it and review the recording instead."
+        : "Loop is too short (B must come after A)."
+    );
+    loopB = null;
+  }
+  renderLoop();
+}
+
+function resetLoop() {
+  loopA = loopB = null;
+  selAnchor = selEnd = null;
+  engine.clearLoop();
+  renderLoop();
+  renderEditTools();
+}
+
+function playheadForLoop() {
+  return Number.isFinite(engine.duration) && engine.duration > 0 ? Number(seekBar.value) : engine.currentTime;
+}
+
+loopSetA.addEventListener("click", () => {
+  loopA = playheadForLoop();
+  if (loopB != null && loopB <= loopA) loopB = null;
+  applyLoop();
+});
+
+loopSetB.addEventListener("click", () => {
+  loopB = playheadForLoop();
+  if (loopA == null) loopA = 0;
+  applyLoop();
+});
+
+loopBlocks.addEventListener("click", () => {
+  const range = selectionRange();
+  if (!range) return;
+  const last = timelineEvents[range[1]];
+  loopA = timelineEvents[range[0]].start;
+  loopB = last.end ?? engine.currentTime;
+  applyLoop();
+});
+
+loopClear.addEventListener("click", () => {
+  loopA = loopB = null;
+  engine.clearLoop();
+  renderLoop();
+});
+
+function applyLoopOptions() {
+  engine.setLoopOptions({ countIn: loopCountIn.checked, rampStep: loopRamp.checked ? 0.05 : 0, rampTo: 1 });
+}
+
+loopCountIn.addEventListener("change", applyLoopOptions);
+loopRamp.addEventListener("change", () => {
+  applyLoopOptions();
+  renderLoop();
+});
+
+// The ramp steps up after every pass unless the player asks to repeat this speed
+loopHold.addEventListener("click", () => {
+  engine.holdLoopSpeed();
+  renderLoop();
+});
+
+// Back at A: the pass's block ends at B and the chart isn't recorded again
+engine.addEventListener("loop", (e) => {
+  const { from, rate } = e.detail;
+  finalizeLastEvent(from);
+  lastStableChord = "—";
+  speed.value = String(rate);
+  speedVal.textContent = `${rate.toFixed(2)}×`;
+  renderLoop();
   renderTimeline();
 });
 
 // Speed / Capo / EQ
+/** stretch = {rate, semitones, progress} while a local file is rendered for a new speed / transpose. */
+function renderSpeedHint(stretch = null) {
+  if (stretch && stretch.progress < 1) {
+    const semis = stretch.semitones ? ` · ${stretch.semitones > 0 ? "+" : ""}${stretch.semitones} st` : "";
+    speedHint.textContent = `Rendering ${stretch.rate.toFixed(2)}×${semis}… ${Math.round(stretch.progress * 100)}%`;
+  } else if (!engine.buffer && engine.mediaEl?.src) {
+    speedHint.textContent = "Streams: pitch preservation is browser-dependent.";
+  } else {
+    speedHint.textContent = "Pitch stays the same at every speed.";
+  }
+}
+
+engine.addEventListener("stretch", (e) => renderSpeedHint(e.detail));
+
 speed.addEventListener("input", () => {
   const r = Number(speed.value);
   speedVal.textContent = `${r.toFixed(2)}×`;
   engine.setPlaybackRate(r);
+  renderLoop();
+  scheduleLibrarySave();
 });
 
+/**
+ * Semitones chord/key names are shown transposed by: the capo, unless the audio is
+ * transposed as well and the names should stay original (analysis always reports
+ * the original key).
+ */
+function labelSemis() {
+  return capoAudio.checked && capoChords.value === "original" ? 0 : capoSemis;
+}
+
+function applyCapo() {
+  capoVal.textContent = String(capoSemis);
+  engine.setPitchShift(capoAudio.checked ? capoSemis : 0);
+  capoChords.disabled = !capoAudio.checked;
+  capoHint.textContent = !capoAudio.checked
+    ? "Display transpose only."
+    : `Audio ${capoSemis > 0 ? "+" : ""}${capoSemis} semitones, same tempo.`;
+  chordReadout.textContent = displayChord(engine.lastChord, engine.currentTime);
+  renderReadoutDiagram(engine.lastChord);
+  renderTimeline();
+}
+
 capo.addEventListener("input", () => {
   capoSemis = Number(capo.value);
-  capoVal.textContent = String(capoSemis);
-  chordReadout.textContent = transposeChordText(engine.lastChord, capoSemis);
+  applyCapo();
+  scheduleLibrarySave();
+});
+
+for (const input of [capoAudio, capoChords]) {
+  input.addEventListener("change", () => {
+    applyCapo();
+    scheduleLibrarySave();
+  });
+}
+
+diagramMode.addEventListener("change", () => {
+  renderReadoutDiagram(engine.lastChord);
   renderTimeline();
+  scheduleLibrarySave();
 });
 
+// Chord spelling: accidentals from a key (detected or picked here) or always sharps / flats
+function buildSpellingKeys() {
+  for (const mode of ["major", "minor"]) {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      const option = document.createElement("option");
+      option.value = `${tonic}:${mode}`;
+      option.textContent = keyName(tonic, mode);
+      spellingKey.appendChild(option);
+    }
+  }
+}
+
+function applySpelling() {
+  spellingKey.disabled = spelling.value !== "auto";
+  chordReadout.textContent = displayChord(engine.lastChord, engine.currentTime);
+  renderKeyReadout(shownKey);
+  renderTimeline();
+}
+
+for (const input of [spelling, spellingKey]) {
+  input.addEventListener("change", () => {
+    applySpelling();
+    scheduleLibrarySave();
+  });
+}
+
 for (const btn of [eqFull, eqBass, eqMid]) {
   btn.addEventListener("click", () => {
     engine.setFocusEQ(btn.dataset.eq);
     setActiveToggle(btn.id);
+    scheduleLibrarySave();
   });
 }
 
+/**
+ * Vocabulary, decoding and tuning changes redo a finished whole-track analysis, which
+ * rebuilds the timeline. Overrides, voicings and editor changes on it are confirmed
+ * first, and the old timeline stays one undo step away.
+ */
+const REANALYSIS = "re-analysis";
+
+function timelineHasUserChanges() {
+  const edited = editHistory.undoLabel && editHistory.undoLabel !== REANALYSIS;
+  return Boolean(edited) || timelineEvents.some((ev) => ev.overridden || ev.voicing);
+}
+
+/** false: the user keeps the current timeline (the change should be undone). */
+function confirmReanalysis(change) {
+  if (!engine.offlineAnalysis || restoredProject || !timelineHasUserChanges()) return true;
+  return confirm(
+    `${change} re-analyzes the track and rebuilds the chord timeline. Undo brings your edits back. Continue?`
+  );
+}
+
+async function reanalyzeWholeTrack() {
+  if (!engine.offlineAnalysis) return;
+  const before = restoredProject ? null : timelineState();
+  if (!(await analyzeWholeTrack({ keepHistory: true })) || !before) return;
+  editHistory.push(REANALYSIS, before);
+  renderEditTools();
+}
+
+// Tuning: dragging overrides the estimate; a finished whole-track timeline is redone on release
+tuning.addEventListener("input", () => {
+  engine.setTuning(Number(tuning.value));
+  tuningAuto.classList.remove("active");
+});
+
+/** Back to the tuning the whole-track timeline was analyzed with. */
+function restoreAnalyzedTuning() {
+  const t = engine.offlineAnalysis.tuning;
+  engine.setTuning(t.manual ? t.cents : null);
+  tuning.value = String(Math.round(t.cents));
+  tuningAuto.classList.toggle("active", !t.manual);
+}
+
+tuning.addEventListener("change", async () => {
+  const analyzed = engine.offlineAnalysis?.tuning;
+  if (analyzed?.manual && analyzed.cents === Number(tuning.value)) return;
+  if (!confirmReanalysis("Changing the tuning")) {
+    restoreAnalyzedTuning();
+    return;
+  }
+  scheduleLibrarySave();
+  await reanalyzeWholeTrack();
+});
+
+tuningAuto.addEventListener("click", async () => {
+  if (engine.tuning && !engine.tuning.manual) return;
+  if (!confirmReanalysis("Going back to the detected tuning")) return;
+  engine.setTuning(null);
+  tuningAuto.classList.add("active");
+  scheduleLibrarySave();
+  await reanalyzeWholeTrack();
+});
+
+// Chord decoding: a finished whole-track timeline is decoded again in the new mode
+for (const btn of [decHysteresis, decViterbi]) {
+  btn.addEventListener("click", async () => {
+    if (engine.chordDecoding === btn.dataset.decoding) return;
+    if (!confirmReanalysis("Switching the chord decoding")) return;
+    engine.setChordDecoding(btn.dataset.decoding);
+    for (const b of [decHysteresis, decViterbi]) b.classList.toggle("active", b === btn);
+    scheduleLibrarySave();
+    await reanalyzeWholeTrack();
+  });
+}
+
+// Chord vocabulary: one toggle per detectable quality (labelled as a C chord)
+function buildQualityToggles() {
+  qualityGrid.innerHTML = "";
+  for (const [quality, { suffix }] of Object.entries(CHORD_QUALITIES)) {
+    const label = document.createElement("label");
+    label.className = "check mono";
+
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.value = quality;
+    input.checked = DEFAULT_CHORD_QUALITIES.includes(quality);
+    // A finished whole-track timeline is decoded again with the new vocabulary
+    input.addEventListener("change", async () => {
+      if (!confirmReanalysis("Changing the chord vocabulary")) {
+        input.checked = !input.checked;
+        return;
+      }
+      const enabled = [...qualityGrid.querySelectorAll("input:checked")].map((i) => i.value);
+      engine.setChordQualities(enabled);
+      scheduleLibrarySave();
+      await reanalyzeWholeTrack();
+    });
+
+    const text = document.createElement("span");
+    text.textContent = `C${suffix}`;
+
+    label.appendChild(input);
+    label.appendChild(text);
+    qualityGrid.appendChild(label);
+  }
+}
+
+/* -------------------------- Timeline Editing -------------------------- */
+/**
+ * Split / merge / delete / insert / re-label / edge drags on timelineEvents, each one
+ * step in the undo history (with the block selection it left). The history is
+ * cleared whenever the timeline is rebuilt from scratch (new audio, project, analysis).
+ */
+const editHistory = new EditHistory();
+let inlineEdit = null; // {from, to} of the blocks being re-labelled
+let edgeDrag = null; // {idx, side, x0, t0, secPerPx, before, moved}
+
+function timelineState() {
+  return { events: snapshotTimeline(timelineEvents), selection: selectionRange() };
+}
+
+function afterTimelineEdit() {
+  renderTimeline();
+  renderLoop();
+  renderEditTools();
+  renderReadoutDiagram(engine.lastChord, true);
+  scheduleLibrarySave();
+}
+
+/** Runs an edit as one undo step; apply() returns false when it changed nothing. */
+function editTimeline(label, apply) {
+  const before = timelineState();
+  if (!apply()) return false;
+  editHistory.push(label, before);
+  afterTimelineEdit();
+  return true;
+}
+
+function restoreTimelineState(state) {
+  timelineEvents.splice(0, timelineEvents.length, ...state.events);
+  selAnchor = state.selection ? timelineEvents[state.selection[0]] : null;
+  selEnd = state.selection ? timelineEvents[state.selection[1]] : null;
+  afterTimelineEdit();
+}
+
+function undoEdit() {
+  const state = editHistory.undo(timelineState());
+  if (state) restoreTimelineState(state);
+}
+
+function redoEdit() {
+  const state = editHistory.redo(timelineState());
+  if (state) restoreTimelineState(state);
+}
+
+function clearEditHistory() {
+  editHistory.clear();
+  renderEditTools();
+}
+
+function clearSelection() {
+  selAnchor = selEnd = null;
+  renderTimeline();
+  renderLoop();
+  renderEditTools();
+}
+
+function renderEditTools() {
+  const range = selectionRange();
+  editUndo.disabled = !editHistory.undoLabel;
+  editRedo.disabled = !editHistory.redoLabel;
+  editUndo.title = editHistory.undoLabel ? `Undo ${editHistory.undoLabel} (Ctrl/⌘+Z)` : "Undo (Ctrl/⌘+Z)";
+  editRedo.title = editHistory.redoLabel ? `Redo ${editHistory.redoLabel} (Ctrl/⌘+Shift+Z)` : "Redo (Ctrl/⌘+Shift+Z)";
+  editMerge.disabled = !range || range[0] === range[1];
+  editDelete.disabled = !range;
+}
+
+/** Beat nearest to t while snapping is on (`free`: Alt held during a drag). */
+function snapTime(t, free = false) {
+  return snapBeats.checked && !free ? engine.snapToBeat(t) : t;
+}
+
+function blockIndexAt(t) {
+  return timelineEvents.findIndex((e) => e.start <= t && (e.end == null || t < e.end));
+}
+
+function splitAtPlayhead() {
+  const t = engine.currentTime;
+  editTimeline("Split", () => splitBlock(timelineEvents, blockIndexAt(t), snapTime(t)));
+}
+
+function mergeSelection() {
+  const range = selectionRange();
+  if (!range) return;
+  editTimeline("Merge", () => {
+    if (!mergeBlocks(timelineEvents, range[0], range[1])) return false;
+    selAnchor = selEnd = timelineEvents[range[0]];
+    return true;
+  });
+}
+
+function deleteSelection() {
+  const range = selectionRange();
+  if (range) editTimeline("Delete", () => deleteBlocks(timelineEvents, range[0], range[1]));
+}
+
+/**
+ * A chord at the playhead up to the next downbeat (2 s without a beat grid), named
+ * like the block it lands in; the inline editor opens on it for the real name.
+ */
+function insertAtPlayhead() {
+  const start = snapTime(engine.currentTime);
+  const downbeat = engine.beatsBetween(start + MIN_BLOCK_S, start + 8).find((b) => b.downbeat);
+  const end = downbeat?.t ?? start + 2;
+  const under = timelineEvents[blockIndexAt(start)];
+  const chord = under ? blockLabel(under) : NO_CHORD;
+  let inserted = false;
+  editTimeline("Insert", () => {
+    inserted = insertBlock(timelineEvents, start, end, chord);
+    if (inserted) selAnchor = selEnd = inserted;
+    return inserted;
+  });
+  if (!inserted) return;
+  const idx = timelineEvents.indexOf(inserted);
+  editBlocks(idx, idx);
+}
+
+/* Inline chord editor: Enter applies, Esc / leaving the field cancels, Tab takes the suggestion */
+function editBlocks(from, to) {
+  finishInlineEdit();
+  renderTimeline();
+  const block = timeline.querySelector(`.block[data-idx="${from}"]`);
+  const chordEl = block?.querySelector(".chord");
+  if (!chordEl) return;
+
+  const input = document.createElement("input");
+  input.className = "chordInput mono";
+  input.value = blockLabel(timelineEvents[from]);
+  input.spellcheck = false;
+  input.setAttribute("aria-label", to > from ? `Chord for ${to - from + 1} blocks` : "Chord");
+  const hint = document.createElement("div");
+  hint.className = "editHint small";
+  hint.textContent = to > from ? `${to - from + 1} blocks` : "";
+  chordEl.replaceWith(input);
+  input.after(hint);
+  inlineEdit = { from, to };
+
+  let suggestion = null;
+  const check = () => {
+    const text = input.value.trim();
+    const result = text ? readChordInput(text) : { ok: true };
+    suggestion = result.ok ? null : result.suggestion;
+    input.classList.toggle("invalid", !result.ok);
+    if (!result.ok) hint.textContent = suggestion ? `${result.error} Tab: ${suggestion}` : result.error;
+    else hint.textContent = to > from ? `${to - from + 1} blocks` : "";
+    return result;
+  };
+
+  input.addEventListener("input", check);
+  input.addEventListener("click", (e) => e.stopPropagation());
+  input.addEventListener("blur", () => finishInlineEdit());
+  input.addEventListener("keydown", (e) => {
+    e.stopPropagation();
+    if (e.key === "Escape") {
+      finishInlineEdit();
+    } else if (e.key === "Tab" && suggestion) {
+      e.preventDefault();
+      input.value = suggestion;
+      check();
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      const result = check();
+      if (!input.value.trim()) finishInlineEdit();
+      else if (result.ok) finishInlineEdit(result.text);
+    }
+  });
+  input.focus();
+  input.select();
+}
+
+/** Closes the inline editor, applying `text` (canonical chord) to its blocks if given. */
+function finishInlineEdit(text = null) {
+  if (!inlineEdit) return;
+  const { from, to } = inlineEdit;
+  inlineEdit = null;
+  if (text == null || !editTimeline("Re-label", () => relabelBlocks(timelineEvents, from, to, text))) {
+    renderTimeline();
+  }
+}
+
+/* Edge drags: a block's width stands for its duration, so the drag scale follows the block */
+function renderEdgeHandle(idx, side) {
+  const handle = document.createElement("div");
+  handle.className = `edge ${side}`;
+  handle.title = side === "start" ? "Drag to move the start" : "Drag to move the end";
+  handle.addEventListener("click", (e) => e.stopPropagation());
+  handle.addEventListener("pointerdown", (e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const ev = timelineEvents[idx];
+    const width = handle.parentElement.getBoundingClientRect().width;
+    edgeDrag = {
+      idx,
+      side,
+      x0: e.clientX,
+      t0: side === "start" ? ev.start : ev.end,
+      secPerPx: Math.max(MIN_BLOCK_S, (ev.end ?? engine.currentTime) - ev.start) / Math.max(1, width),
+      before: timelineState(),
+      moved: false
+    };
+  });
+  return handle;
+}
+
+window.addEventListener("pointermove", (e) => {
+  if (!edgeDrag) return;
+  let t = edgeDrag.t0 + (e.clientX - edgeDrag.x0) * edgeDrag.secPerPx;
+  if (Number.isFinite(engine.duration) && engine.duration > 0) t = Math.min(t, engine.duration);
+  if (moveEdge(timelineEvents, edgeDrag.idx, edgeDrag.side, snapTime(Math.max(0, t), e.altKey))) {
+    edgeDrag.moved = true;
+    renderTimeline();
+  }
+});
+
+for (const type of ["pointerup", "pointercancel"]) {
+  window.addEventListener(type, () => {
+    if (!edgeDrag) return;
+    const { before, moved } = edgeDrag;
+    edgeDrag = null;
+    if (!moved) return;
+    editHistory.push("Move edge", before);
+    afterTimelineEdit();
+  });
+}
+
+editUndo.addEventListener("click", undoEdit);
+editRedo.addEventListener("click", redoEdit);
+editSplit.addEventListener("click", splitAtPlayhead);
+editMerge.addEventListener("click", mergeSelection);
+editInsert.addEventListener("click", insertAtPlayhead);
+editDelete.addEventListener("click", deleteSelection);
+
+/** Enter: re-label the selection, else the block under the playhead. */
+function editAtPlayhead() {
+  const range = selectionRange();
+  const idx = blockIndexAt(engine.currentTime);
+  if (range) editBlocks(range[0], range[1]);
+  else if (idx >= 0) editBlocks(idx, idx);
+}
+
+const EDIT_SHORTCUTS = {
+  s: splitAtPlayhead,
+  m: mergeSelection,
+  i: insertAtPlayhead,
+  delete: deleteSelection,
+  backspace: deleteSelection,
+  enter: editAtPlayhead,
+  escape: clearSelection
+};
+
+// Shortcuts (not while typing in a field; Enter on a button is the button's)
+document.addEventListener("keydown", (e) => {
+  if (e.target.closest?.("input, select, textarea, [contenteditable='true']")) return;
+  const key = e.key.toLowerCase();
+  let action = null;
+  if (e.ctrlKey || e.metaKey) action = key === "z" ? (e.shiftKey ? redoEdit : undoEdit) : key === "y" ? redoEdit : null;
+  else if (!e.altKey && !(key === "enter" && e.target.closest?.("button"))) action = EDIT_SHORTCUTS[key];
+  if (!action) return;
+  e.preventDefault();
+  action();
+});
+
+/* -------------------------- Export -------------------------- */
+/**
+ * The chart as shown: overrides and capo applied, the open block closed at the
+ * playhead, too-short blocks left out. Tempo / meter / key come from the readouts
+ * (the key picked in Chord Spelling wins over the detected one).
+ */
+function buildChart() {
+  const now = engine.currentTime;
+  const events = [];
+  for (const ev of timelineEvents) {
+    const end = ev.end ?? now;
+    if (end - ev.start < MIN_CHORD_DUR_S) continue;
+    events.push({ start: ev.start, end, chord: displayChord(ev.overridden ? ev.userChord : ev.chord, ev.start, ev.overridden) });
+  }
+
+  const meter = shownMeter;
+  return {
+    title: trackTitle,
+    bpm: shownBpm,
+    timeSignature: meter?.timeSignature ?? null,
+    beatsPerBar: meter?.beatsPerBar ?? null,
+    barOrigin: engine.downbeats[0] ?? null,
+    key: spellingKey.value ? transposeKeyName(spellingKeyAt(0), 0) : shownKey ? transposeKeyName(shownKey, labelSemis()) : null,
+    events
+  };
+}
+
+function downloadFile(data, mime, name) {
+  const url = URL.createObjectURL(new Blob([data], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function downloadChart(formatId) {
+  const chart = buildChart();
+  if (!chart.events.length) {
+    alert("Nothing to export yet: the timeline is empty.");
+    return;
+  }
+
+  const { extension, mime, build } = EXPORT_FORMATS[formatId];
+  downloadFile(build(chart), mime, `${chart.title || "sonicmind-chords"}.${extension}`);
+}
+
+function buildExportButtons() {
+  exportRow.innerHTML = "";
+  for (const [id, { label }] of Object.entries(EXPORT_FORMATS)) {
+    const btn = document.createElement("button");
+    btn.className = "btn";
+    btn.type = "button";
+    btn.textContent = label;
+    btn.addEventListener("click", () => downloadChart(id));
+    exportRow.appendChild(btn);
+  }
+}
+
+/* -------------------------- Project Files -------------------------- */
+function activeFocusEQ() {
+  return [eqFull, eqBass, eqMid].find((b) => b.classList.contains("active"))?.dataset.eq ?? "full";
+}
+
+function currentSettings() {
+  return {
+    capo: capoSemis,
+    capoAudio: capoAudio.checked,
+    capoChords: capoChords.value,
+    speed: Number(speed.value),
+    focusEQ: activeFocusEQ(),
+    tuningCents: tuningAuto.classList.contains("active") ? null : Number(tuning.value),
+    chordDecoding: engine.chordDecoding,
+    chordQualities: [...qualityGrid.querySelectorAll("input:checked")].map((i) => i.value),
+    diagrams: diagramMode.value,
+    spelling: spelling.value,
+    spellingKey: spellingKey.value ? spellingKeyAt(0) : null
+  };
+}
+
+/** Project state of the session: open block closed at the playhead, short blocks left out (as in exports). */
+function sessionState() {
+  const now = engine.currentTime;
+  const timeline = timelineEvents
+    .map((ev) => ({ ...ev, end: ev.end ?? now }))
+    .filter((ev) => ev.end - ev.start >= MIN_CHORD_DUR_S);
+  return {
+    source: currentSource ?? restoredProject?.source ?? null,
+    timeline,
+    settings: currentSettings(),
+    analysis: { bpm: shownBpm, meter: shownMeter, key: shownKey }
+  };
+}
+
+function saveProject() {
+  const state = sessionState();
+  if (!state.timeline.length && !currentSource) {
+    alert("Nothing to save yet: load audio or open a project first.");
+    return;
+  }
+
+  const text = serializeProject(state);
+  const base = trackTitle || restoredProject?.title || "session";
+  downloadFile(text, PROJECT_MIME, `${base}.${PROJECT_EXTENSION}`);
+}
+
+/** Settings UI + engine from a project (missing fields keep their current value). */
+function applySettings(settings) {
+  if (Number.isFinite(settings.capo)) {
+    capo.value = String(settings.capo);
+    capoSemis = Number(capo.value);
+  }
+  if (typeof settings.capoAudio === "boolean") capoAudio.checked = settings.capoAudio;
+  if (["heard", "original"].includes(settings.capoChords)) capoChords.value = settings.capoChords;
+  applyCapo();
+  if (Number.isFinite(settings.speed)) {
+    speed.value = String(settings.speed);
+    speedVal.textContent = `${Number(speed.value).toFixed(2)}×`;
+  }
+  const eqBtn = [eqFull, eqBass, eqMid].find((b) => b.dataset.eq === settings.focusEQ);
+  if (eqBtn) setActiveToggle(eqBtn.id);
+  applyPlaybackSettings();
+
+  if (settings.tuningCents !== undefined) {
+    const manual = Number.isFinite(settings.tuningCents);
+    engine.setTuning(manual ? settings.tuningCents : null);
+    if (manual) tuning.value = String(settings.tuningCents);
+    tuningAuto.classList.toggle("active", !manual);
+  }
+
+  const decBtn = [decHysteresis, decViterbi].find((b) => b.dataset.decoding === settings.chordDecoding);
+  if (decBtn) {
+    engine.setChordDecoding(decBtn.dataset.decoding);
+    for (const b of [decHysteresis, decViterbi]) b.classList.toggle("active", b === decBtn);
+  }
+
+  if (Array.isArray(settings.chordQualities)) {
+    const enabled = settings.chordQualities.filter((q) => q in CHORD_QUALITIES);
+    for (const input of qualityGrid.querySelectorAll("input")) input.checked = enabled.includes(input.value);
+    engine.setChordQualities(enabled);
+  }
+
+  if (SPELLINGS.includes(settings.spelling)) spelling.value = settings.spelling;
+  if (settings.spellingKey !== undefined) {
+    const { tonic, mode } = settings.spellingKey ?? {};
+    const valid = Number.isInteger(tonic) && tonic >= 0 && tonic < 12 && ["major", "minor"].includes(mode);
+    spellingKey.value = valid ? `${tonic}:${mode}` : "";
+  }
+  applySpelling();
+
+  if (["off", "guitar", "keys", "both"].includes(settings.diagrams)) {
+    diagramMode.value = settings.diagrams;
+    renderReadoutDiagram(engine.lastChord);
+  }
+}
+
+async function openProject(file) {
+  let project;
+  try {
+    project = parseProject(await file.text());
+  } catch (err) {
+    console.error(err);
+    alert(err.message);
+    return;
+  }
+  restoreProject(project, file.name.replace(/\.[^.]+$/, ""));
+}
+
+/** Shows a saved chart with its settings; live detection leaves it alone until another song loads. */
+function restoreProject(project, title) {
+  engine.stop();
+  resetLoop();
+  applySettings(project.settings);
+
+  timelineEvents.length = 0;
+  timelineEvents.push(...project.timeline);
+  clearEditHistory();
+  resetWaveView();
+  resetSpectrogram();
+  lastStableChord = "—";
+  restoredProject = { ...project, title };
+
+  if (project.source?.type === "youtube") ytUrl.value = project.source.url;
+  renderProjectStatus();
+  renderTimeline();
+}
+
+/** Which audio the open project needs (or that it is linked). */
+function renderProjectStatus() {
+  const source = restoredProject?.source;
+  if (!restoredProject) {
+    projectStatus.textContent = "Chords, edits and settings. The audio itself is not stored.";
+  } else if (sourceMatches(source, currentSource)) {
+    projectStatus.textContent = `Linked: ${source.type === "youtube" ? "YouTube stream" : source.name}`;
+  } else if (source?.type === "youtube") {
+    projectStatus.textContent = "Fetch the project's YouTube URL to re-link audio.";
+  } else if (source) {
+    projectStatus.textContent = `Drop ${source.name} to re-link audio.`;
+  } else {
+    projectStatus.textContent = "Project has no audio reference.";
+  }
+}
+
+projectSave.addEventListener("click", saveProject);
+projectOpen.addEventListener("click", () => projectInput.click());
+projectInput.addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  if (file) await openProject(file);
+  projectInput.value = "";
+});
+
+/* -------------------------- Song Library -------------------------- */
+const library = new SongLibrary();
+let librarySaveTimer = null;
+let libraryRenderToken = 0;
+
+function fmtBytes(n) {
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  if (n < 1024 ** 3) return `${(n / 1024 ** 2).toFixed(1)} MB`;
+  return `${(n / 1024 ** 3).toFixed(1)} GB`;
+}
+
+/** Remembers the current song shortly after analysis, edits and setting changes. */
+function scheduleLibrarySave() {
+  if (!library.supported) return;
+  clearTimeout(librarySaveTimer);
+  librarySaveTimer = setTimeout(saveToLibrary, 800);
+}
+
+async function saveToLibrary() {
+  clearTimeout(librarySaveTimer);
+  if (!library.supported) return;
+  // An opened project without its audio belongs to another source
+  if (!currentSource || (restoredProject && !sourceMatches(restoredProject.source, currentSource))) return;
+
+  const state = sessionState();
+  if (!state.timeline.length) return;
+
+  const title =
+    trackTitle ||
+    restoredProject?.title ||
+    (currentSource.type === "youtube" ? `YouTube · ${youtubeVideoId(currentSource.url)}` : "");
+  const audio = currentAudioFile
+    ? { blob: currentAudioFile, name: currentAudioFile.name, type: currentAudioFile.type }
+    : null;
+
+  try {
+    await library.save(
+      createProject(state),
+      {
+        title,
+        key: shownKey ? transposeKeyName(shownKey, 0) : null,
+        bpm: shownBpm,
+        timeSignature: shownMeter?.timeSignature ?? null
+      },
+      audio
+    );
+    library.persist().catch(() => {});
+    renderLibrary();
+  } catch (err) {
+    console.error(err);
+    libraryQuota.textContent = "Could not save to the library (storage full?).";
+  }
+}
+
+/** Loading a song the library knows restores its chart instead of starting over. */
+async function restoreFromLibrary(source) {
+  const id = songId(source);
+  if (!id || !library.supported) return false;
+  try {
+    const entry = await library.get(id);
+    if (!entry) return false;
+    restoreProject(entry.project, entry.title);
+    return true;
+  } catch (err) {
+    console.error(err);
+    return false;
+  }
+}
+
+async function openFromLibrary(id) {
+  let entry;
+  try {
+    entry = await library.get(id);
+  } catch (err) {
+    console.error(err);
+    alert(err.message);
+    return;
+  }
+  if (!entry) return renderLibrary();
+
+  restoreProject(entry.project, entry.title);
+  const audio = entry.hasAudio ? await library.getAudio(id) : null;
+  if (audio) await loadLocalFile(new File([audio.blob], audio.name, { type: audio.type }));
+}
+
+async function deleteFromLibrary(song) {
+  if (!confirm(`Remove "${song.title}" from the library?`)) return;
+  await library.delete(song.id);
+  renderLibrary();
+}
+
+function libraryItem(song, currentId) {
+  const item = document.createElement("div");
+  item.className = "libraryItem" + (song.id === currentId ? " current" : "");
+
+  const open = document.createElement("button");
+  open.className = "libraryOpen";
+  open.type = "button";
+  open.title = "Open chart";
+  open.addEventListener("click", () => openFromLibrary(song.id));
+
+  const title = document.createElement("div");
+  title.className = "libraryTitle";
+  title.textContent = song.title;
+
+  const meta = document.createElement("div");
+  meta.className = "small mono";
+  meta.textContent = [
+    song.key,
+    song.bpm ? `${song.bpm} BPM` : null,
+    song.timeSignature,
+    `${song.chordCount} chords`,
+    song.source?.type === "youtube" ? "stream" : song.hasAudio ? null : "no audio",
+    new Date(song.updatedAt).toLocaleDateString()
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  open.appendChild(title);
+  open.appendChild(meta);
+
+  const del = document.createElement("button");
+  del.className = "btn danger libraryDelete";
+  del.type = "button";
+  del.textContent = "✕";
+  del.title = "Remove from library";
+  del.addEventListener("click", () => deleteFromLibrary(song));
+
+  item.appendChild(open);
+  item.appendChild(del);
+  return item;
+}
+
+async function renderLibrary() {
+  if (!library.supported) {
+    libraryList.textContent = "";
+    libraryQuota.textContent = "Library unavailable (no IndexedDB).";
+    return;
+  }
+
+  // Typing in search re-renders quickly; only the latest render may touch the DOM
+  const token = ++libraryRenderToken;
+  let songs;
+  let storage;
+  try {
+    [songs, storage] = await Promise.all([
+      library.list({ query: librarySearch.value, sort: librarySort.value }),
+      library.storage()
+    ]);
+  } catch (err) {
+    console.error(err);
+    if (token === libraryRenderToken) libraryQuota.textContent = "Library unavailable.";
+    return;
+  }
+  if (token !== libraryRenderToken) return;
+
+  libraryList.innerHTML = "";
+  const currentId = songId(currentSource);
+  for (const song of songs) libraryList.appendChild(libraryItem(song, currentId));
+  if (!songs.length) {
+    const empty = document.createElement("div");
+    empty.className = "small hint";
+    empty.textContent = librarySearch.value.trim() ? "No matches." : "Analyzed songs show up here.";
+    libraryList.appendChild(empty);
+  }
+
+  libraryQuota.textContent = storage
+    ? `${fmtBytes(storage.usage)} of ${fmtBytes(storage.quota)} used${storage.persisted ? " · persistent" : ""}`
+    : "";
+}
+
+librarySearch.addEventListener("input", renderLibrary);
+librarySort.addEventListener("change", renderLibrary);
+
+// The chart of the open song is saved when the app goes to the background (live input
+// has no source to file it under: review the recording to keep it)
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") saveToLibrary();
+});
+
 /* -------------------------- Boot -------------------------- */
 setStatus(false, "Idle");
 setActiveToggle("eqFull");
 speedVal.textContent = `${Number(speed.value).toFixed(2)}×`;
 capoVal.textContent = "0";
 dropHint.textContent = "Drop MP3/WAV/OGG here";
-tsReadout.textContent = "4/4";
+renderMeter(null);
+buildQualityToggles();
+buildSpellingKeys();
+buildExportButtons();
+renderLoop();
+renderProjectStatus();
+renderLibrary();
 
 // Start rendering loop immediately (idle spectrogram + UI)
 rafId = requestAnimationFrame(loop);
@@ -1,21 +1,58 @@
 /**
  * SonicMind AudioEngine — FINAL (Full Mix / Pop-Rock tuned)
  *
- * Must-haves implemented:
- * - Spectral Whitening (_whitenWindow = 25)
- * - HPS bass stability (_hpsHarmonics = 4, bassStableMs = 280ms)
- * - Harmonic/Percussive Separation Bias (transient downweighting) for drum-heavy mixes
- * - Key-invariant chroma smoothing (circular PC smoothing + peak sharpening + EMA, chromaTimeConstantMs = 220ms)
- * - Chord hysteresis (chordStableMs = 320ms)
+ * Live wrapper around the headless DSP core (dsp-core.js):
+ * - Web Audio graph (focus EQ, bass lowpass, analysers)
+ * - AudioWorklet analysis (analysis-worklet.js): fixed hop, independent of rAF,
+ *   keeps running in background tabs. Falls back to per-tick analysis if unavailable.
  * - Local file offline decoding (decodeAudioData) + buffer playback
+ * - Pitch-preserving speed 0.25–1.5× for local files (WSOLA render, time-stretch.js)
+ * - Audio transpose ±12 semitones at the same tempo (files: the same render played
+ *   resampled; streams: pitch-shift-worklet.js); live labels stay in the original key
+ * - A–B loop with optional count-in and tempo ramp (sample-accurate passes in buffer mode)
+ * - Whole-track analysis for decoded buffers (faster than realtime, frame-accurate hops)
  * - Stream playback via HTMLMediaElement (YouTube proxy)
+ * - Live input (microphone / line-in via getUserMedia): analyzed but never sent to the
+ *   speakers (no feedback), with an input level meter and optional session recording
+ *
+ * Events:
+ * - "analysis" (CustomEvent, detail = {t, chord, confidence, bpm, chroma, bassPc, chordCandidates,
+ *   key, tuning, tempoCandidates, beatPeriod, meter, chordStart, chordConfidence}) fired for every
+ *   analysis hop (worklet) or tick (fallback).
+ * - "seek" (CustomEvent, detail = {from, to}) after seek(t); live analysis restarts at `to`.
+ * - "loop" (CustomEvent, detail = {pass, from, to, rate}) when an A–B loop pass ends and
+ *   playback jumps back to A (`rate` = speed of the next pass; count-in follows if enabled).
+ * - "stretch" (CustomEvent, detail = {rate, semitones, progress}) while the render for the
+ *   current speed / transpose is prepared; progress 1 = playing it.
+ * - "inputended" when the live input device goes away (unplugged, permission revoked).
  *
  * Note:
- * - We use AnalyserNode for FFT bins. That’s native DSP, not ML.
+ * - AnalyserNode spectra (float dB) are used for display only; analysis runs on the
+ *   analysers' time-domain frames through the core's own FFT.
+ * - Analysis time is song time (sample clock), not wall-clock time.
  * - For local files we decode to AudioBuffer and play via AudioBufferSourceNode.
+ *   Below/above 1× or transposed they play a time-stretched render of the buffer (same
+ *   song time); until it is ready the original plays resampled (speed changes pitch,
+ *   no transpose). A render too long to hold in memory (MAX_STRETCH_SAMPLES) isn't
+ *   made: the original plays resampled through the live pitch shifter instead.
  */
 
-export class AudioEngine {
+import { AnalysisCore, analyzePCM, beatsInRange, eventAt, labelBeats, mixToMono, nearestBeat } from "./dsp-core.js";
+import { stretchChannels } from "./time-stretch.js";
+
+const MIN_PLAYBACK_RATE = 0.25;
+const MAX_PLAYBACK_RATE = 1.5;
+
+// Longest time-stretch render per channel (~12 min at 44.1 kHz; the Float32 render and
+// its AudioBuffer copy are ~270 MB each in stereo). Longer ones use the live pitch shifter.
+const MAX_STRETCH_SAMPLES = 2 ** 25;
+
+// A–B loop: shortest loop, how early the next buffer pass is scheduled, stream polling
+const MIN_LOOP_SEC = 0.25;
+const LOOP_LOOKAHEAD_SEC = 0.25;
+const STREAM_LOOP_POLL_MS = 20;
+
+export class AudioEngine extends EventTarget {
   constructor({
     fftSize = 4096,
     smoothingTimeConstant = 0.0,
@@ -23,15 +60,25 @@ export class AudioEngine {
     // Golden Settings (Full Mix: YouTube Pop/Rock)
     chromaTimeConstantMs = 220,
     chordStableMs = 320,
-    bassStableMs = 280
+    bassStableMs = 280,
+
+    // "hysteresis" | "viterbi" (HMM decoding, ~1s live lookahead)
+    chordDecoding = "hysteresis",
+
+    // Tuning offset in cents vs. A4 = 440 Hz; null = estimate per recording
+    tuningCents = null,
+
+    // Worklet analysis hop (samples); ~23ms at 44.1kHz
+    hopSize = 1024
   } = {}) {
+    super();
+
     this.fftSize = fftSize;
+    this.hopSize = hopSize;
     this.smoothingTimeConstant = smoothingTimeConstant;
 
-    // Golden Settings
-    this._chromaTC = chromaTimeConstantMs;
-    this._stableMs = chordStableMs;
-    this._bassStableMs = bassStableMs;
+    // Golden Settings (forwarded to the DSP core)
+    this._coreOptions = { fftSize, chromaTimeConstantMs, chordStableMs, bassStableMs, chordDecoding, tuningCents };
 
     // Core nodes
     this.ctx = null;
@@ -44,6 +91,16 @@ export class AudioEngine {
     this.mediaEl = null;
     this.mediaSource = null;
 
+    // For live input mode (getUserMedia); time = seconds listened this session
+    this.inputStream = null;
+    this.inputSource = null;
+    this.inputMeter = null; // AnalyserNode on the raw input (level meter)
+    this._inputLevelData = null;
+    this._inputStartCtxTime = 0;
+    this._inputOffsetSec = 0;
+    this._inputListening = false;
+    this._recording = null; // {recorder, chunks, start, done}
+
     // For buffer mode (local decoded audio)
     this.buffer = null;
     this.bufferSource = null;
@@ -52,69 +109,67 @@ export class AudioEngine {
     this._bufferPlaying = false;
     this._bufferPlaybackRate = 1.0;
 
-    // Shared graph input node (either MediaElementSource or BufferSource)
+    // Renders {rate, semis, ratio, start, end, buffer} of song time [start, end), newest
+    // last (current speed + the next ramp step); one render job at a time
+    this._stretches = [];
+    this._stretchJob = null; // {rate, semis, start, end, abort}
+
+    // Audio transpose in semitones (tempo unchanged); live analysis is told how far
+    // the audio it hears is shifted so it can label the original key
+    this._pitchShift = 0;
+    this._analysisShift = 0;
+    this.pitchShifter = null; // stream transpose (AudioWorkletNode)
+
+    // Shared graph input node (MediaElementSource, BufferSource or MediaStreamSource)
     this.sourceNode = null;
 
-    // FFT buffers
+    // FFT buffers (freqData: display, dB per bin; time-domain frames: analysis)
     this.freqData = null;
-    this.bassFreqData = null;
     this.timeData = null;
-
-    // Float spectra (whitened)
-    this._spec = null;
-    this._bassSpec = null;
-
-    // Whitening
-    this._whitenWindow = 25; // bins half-window (Golden Setting)
-    this._whitenEps = 1e-6;
-
-    // Chroma
-    this.PC = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
-    this.A4 = 440;
-    this._fMin = 55;
-    this._fMax = 5500;
-
-    this._chromaRaw = new Float32Array(12);
-    this._chromaSmoothed = new Float32Array(12);
-    this._chromaEMA = new Float32Array(12);
-    this._lastChromaTs = 0;
-
-    // HPSS bias (transient downweighting)
-    // Maintain a per-bin EMA "harmonic estimate" and compute "percussive residual"
-    // Then weight bins by harmonicRatio = H / (H + P).
-    this._harmonicSpecEMA = null;
-    this._lastSpecTs = 0;
-    this._harmonicTC = 110; // ms (tuned for full mix; slower than percussive transients)
-    this._hpssEps = 1e-6;
-
-    // Bass via HPS
-    this._bassMinHz = 30;
-    this._bassMaxHz = 280;
-    this._hpsHarmonics = 4; // Golden Setting
-
-    // Bass stability state
-    this._bassPc = null;
-    this._bassCandidate = null;
-    this._bassCandidateSince = 0;
-
-    // Chord templates + hysteresis
-    this.templates = this._buildChordTemplates();
-    this.lastChord = "—";
-    this._candidateChord = "—";
-    this._candidateSince = 0;
-
-    // Timeline events
-    this.events = []; // {t, chord, conf, overridden?, userChord?}
-
-    // BPM detector
-    this._energyHistory = [];
-    this._energyHistorySize = 90;
-    this._onsets = [];
-    this._lastOnsetTime = -999;
-
-    // Scratch
-    this._scratchPrefix = null;
-    this._scratchHPS = null;
+    this.bassTimeData = null;
+
+    // Headless analysis (created in init() once the sample rate is known)
+    // "worklet": AudioWorkletNode runs the core; "tick": core runs on the main thread per tick()
+    this.analysisMode = null;
+    this.workletNode = null;
+    this.core = null;
+
+    // Latest live analysis result + mirrored worklet state
+    this._live = {
+      t: 0,
+      chord: "—",
+      confidence: 0,
+      bpm: null,
+      chroma: null,
+      bassPc: null,
+      chordCandidates: null,
+      key: null
+    };
+    this._liveEvents = [];
+    this._liveKeyChanges = [];
+    this._liveOnsets = [];
+    this._liveBeats = [];
+    this._liveTempoCurve = [];
+    // Bumped on every analysis reset; worklet results from before it are dropped
+    this._analysisEpoch = 0;
+
+    // A–B loop: region, options and the scheduled buffer passes [{src, from, when, startCtx, rate}]
+    this._loop = null;
+    this._loopOptions = { countIn: false, rampStep: 0, rampTo: 1 };
+    this._loopPasses = [];
+    this._loopTimers = [];
+    this._loopPass = 0; // passes completed since play / loop change
+    this._loopHold = false; // the next pass repeats the current speed (holdLoopSpeed)
+    this._clicks = [];
+    this._countInGrid = { bpm: null, beatsPerBar: 4 }; // last known, survives analysis resets
+    this._countingIn = false;
+    this._streamLoopTimer = null;
+    this._streamCountInTimer = null;
+    this._streamCountInDone = null;
+    this._streamWrapping = false;
+
+    // Whole-track analysis result (buffer mode): {events, bpm, beats, hopSize, duration}
+    this.offlineAnalysis = null;
   }
 
   /* -------------------------- Init / Graph -------------------------- */
@@ -141,14 +196,12 @@ export class AudioEngine {
     this.bassFilter.frequency.value = 250;
     this.bassFilter.Q.value = 0.707;
 
-    this.freqData = new Uint8Array(this.analyser.frequencyBinCount);
-    this.bassFreqData = new Uint8Array(this.bassAnalyser.frequencyBinCount);
+    this.freqData = new Float32Array(this.analyser.frequencyBinCount);
     this.timeData = new Float32Array(this.analyser.fftSize);
+    this.bassTimeData = new Float32Array(this.bassAnalyser.fftSize);
 
-    this._spec = new Float32Array(this.analyser.frequencyBinCount);
-    this._bassSpec = new Float32Array(this.bassAnalyser.frequencyBinCount);
-
-    this._harmonicSpecEMA = new Float32Array(this.analyser.frequencyBinCount);
+    await this._initAnalysis();
+    await this._initPitchShifter();
 
     // Stream player (media element)
     this.mediaEl = new Audio();
@@ -156,6 +209,126 @@ export class AudioEngine {
     this.mediaEl.preload = "auto";
     this.mediaEl.preservesPitch = true;
     this.mediaEl.webkitPreservesPitch = true;
+
+    // Keep the worklet's song clock in sync with the media element
+    for (const evt of ["playing", "pause", "seeked", "ratechange", "ended"]) {
+      this.mediaEl.addEventListener(evt, () => this._postClock());
+    }
+  }
+
+  /** Live transpose for streams (local files are transposed in the time-stretch render). */
+  async _initPitchShifter() {
+    try {
+      if (!this.ctx.audioWorklet || typeof AudioWorkletNode === "undefined") {
+        throw new Error("AudioWorklet not supported");
+      }
+      await this.ctx.audioWorklet.addModule(new URL("./pitch-shift-worklet.js", import.meta.url));
+      this.pitchShifter = new AudioWorkletNode(this.ctx, "sonicmind-pitch-shift", {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [2]
+      });
+      this.pitchShifter.port.postMessage({ type: "semitones", semitones: this._pitchShift });
+    } catch (err) {
+      console.warn("Stream transpose unavailable:", err);
+      this.pitchShifter = null;
+    }
+  }
+
+  async _initAnalysis() {
+    const coreOptions = {
+      ...this._coreOptions,
+      bassCutoffHz: this.bassFilter.frequency.value,
+      bassQ: this.bassFilter.Q.value
+    };
+
+    try {
+      if (!this.ctx.audioWorklet || typeof AudioWorkletNode === "undefined") {
+        throw new Error("AudioWorklet not supported");
+      }
+      await this.ctx.audioWorklet.addModule(new URL("./analysis-worklet.js", import.meta.url));
+
+      this.workletNode = new AudioWorkletNode(this.ctx, "sonicmind-analysis", {
+        numberOfInputs: 2,
+        numberOfOutputs: 1,
+        outputChannelCount: [1],
+        channelCount: 1,
+        channelCountMode: "explicit",
+        channelInterpretation: "speakers",
+        processorOptions: { fftSize: this.fftSize, hopSize: this.hopSize, coreOptions }
+      });
+      this.workletNode.port.onmessage = (e) => this._onWorkletMessage(e.data);
+
+      // Silent output; connected so the node is always processed
+      this.workletNode.connect(this.ctx.destination);
+      this.analysisMode = "worklet";
+    } catch (err) {
+      console.warn("AudioWorklet analysis unavailable, falling back to per-frame analysis:", err);
+      this.workletNode = null;
+      this.core = new AnalysisCore({ sampleRate: this.ctx.sampleRate, ...coreOptions });
+      this.analysisMode = "tick";
+    }
+  }
+
+  _onWorkletMessage(msg) {
+    if (!msg || msg.type !== "analysis") return;
+    // Posted before the last reset (e.g. still in flight across a seek)
+    if (msg.epoch !== this._analysisEpoch) return;
+
+    if (msg.events) this._liveEvents.push(...msg.events);
+    if (msg.lastEvent) {
+      const ev = this._liveEvents[msg.lastEvent.index];
+      if (ev) {
+        ev.conf = msg.lastEvent.conf;
+        if (!ev.overridden) ev.chord = msg.lastEvent.chord;
+      }
+    }
+    if (msg.keyChanges) this._liveKeyChanges.push(...msg.keyChanges);
+    if (msg.onsets) this._liveOnsets = msg.onsets;
+    if (msg.beatLabels) labelBeats(this._liveBeats, msg.beatLabels.beatsPerBar, msg.beatLabels.downPhase);
+    if (msg.beats) {
+      this._liveBeats.length = msg.beatsFrom;
+      this._liveBeats.push(...msg.beats);
+    }
+    if (msg.tempoCurve) this._liveTempoCurve.push(...msg.tempoCurve);
+
+    this._publishAnalysis({
+      t: msg.t,
+      chord: msg.chord,
+      confidence: msg.confidence,
+      bpm: msg.bpm,
+      chroma: msg.chroma,
+      bassPc: msg.bassPc,
+      chordCandidates: msg.chordCandidates,
+      key: msg.key,
+      tuning: msg.tuning,
+      tempoCandidates: msg.tempoCandidates,
+      beatPeriod: msg.beatPeriod,
+      meter: msg.meter,
+      chordStart: msg.chordStart,
+      chordConfidence: msg.chordConfidence
+    });
+  }
+
+  _publishAnalysis(result) {
+    this._live = result;
+    this.dispatchEvent(new CustomEvent("analysis", { detail: result }));
+  }
+
+  /** Song-time anchor for the worklet (call on every play/pause/seek/rate change). */
+  _postClock() {
+    if (!this.workletNode) return;
+    this.workletNode.port.postMessage({
+      type: "clock",
+      ctxTime: this.ctx.currentTime,
+      songTime: this.currentTime,
+      rate: this.buffer ? this._bufferPlaybackRate : this.inputStream ? 1 : this.mediaEl?.playbackRate ?? 1,
+      playing: !!this.isPlaying
+    });
+  }
+
+  _setWorkletActive(active) {
+    this.workletNode?.port.postMessage({ type: "active", active });
   }
 
   _disconnectGraph() {
@@ -169,9 +342,10 @@ export class AudioEngine {
     this.sourceNode = null;
   }
 
-  _connectGraphFromSource(sourceNode) {
+  /** monitor = false: analyzed but not heard (live input would feed back). */
+  _connectGraphFromSource(sourceNode, { monitor = true } = {}) {
     // Graph:
-    // Source -> FocusFilter -> Analyser -> Destination
+    // Source -> FocusFilter -> Analyser -> Destination (if monitored)
     // Source -> BassFilter -> BassAnalyser
     this._disconnectGraph();
 
@@ -179,33 +353,46 @@ export class AudioEngine {
 
     this.sourceNode.connect(this.focusFilter);
     this.focusFilter.connect(this.analyser);
-    this.analyser.connect(this.ctx.destination);
+    if (monitor) this.analyser.connect(this.ctx.destination);
 
     this.sourceNode.connect(this.bassFilter);
     this.bassFilter.connect(this.bassAnalyser);
+
+    // Source -> FocusFilter -> AnalysisWorklet[0]
+    // Source -> BassFilter -> AnalysisWorklet[1]
+    if (this.workletNode) {
+      this.focusFilter.connect(this.workletNode, 0, 0);
+      this.bassFilter.connect(this.workletNode, 0, 1);
+    }
   }
 
   _resetAnalysisState() {
-    this.lastChord = "—";
-    this._candidateChord = "—";
-    this._candidateSince = 0;
-
-    this._bassPc = null;
-    this._bassCandidate = null;
-    this._bassCandidateSince = performance.now();
-
-    this.events = [];
-    this._energyHistory = [];
-    this._onsets = [];
-    this._lastOnsetTime = -999;
-
-    this._chromaEMA.fill(0);
-    this._chromaSmoothed.fill(0);
-    this._chromaRaw.fill(0);
+    this._live = {
+      t: this.currentTime,
+      chord: "—",
+      confidence: 0,
+      bpm: null,
+      chroma: null,
+      bassPc: null,
+      chordCandidates: null,
+      key: null
+    };
+    this._liveEvents = [];
+    this._liveKeyChanges = [];
+    this._liveOnsets = [];
+    this._liveBeats = [];
+    this._liveTempoCurve = [];
+
+    this._analysisEpoch++;
+    this.core?.reset(this._sampleClock());
+    this.workletNode?.port.postMessage({ type: "reset", songTime: this.currentTime, epoch: this._analysisEpoch });
+    this._postClock();
+  }
 
-    this._harmonicSpecEMA.fill(0);
-    this._lastChromaTs = performance.now();
-    this._lastSpecTs = performance.now();
+  /** New recording: tuning is estimated again (a manual offset is kept). */
+  _resetTuning() {
+    this.core?.resetTuning();
+    this.workletNode?.port.postMessage({ type: "tuning", reset: true });
   }
 
   /* -------------------------- Source Loading -------------------------- */
@@ -213,9 +400,14 @@ export class AudioEngine {
   async setSourceFromStream(proxyUrl) {
     await this.init();
     this.stop();
+    this.closeInput();
+    this._dropLoop();
+    this._dropStretch();
 
     // Stream mode active
     this.buffer = null;
+    this.offlineAnalysis = null;
+    this._setWorkletActive(true);
     this._bufferOffsetSec = 0;
     this._bufferPlaying = false;
 
@@ -223,16 +415,35 @@ export class AudioEngine {
     this.mediaEl.src = proxyUrl;
     await this.mediaEl.load?.();
 
-    if (this.mediaSource) {
-      try {
-        this.mediaSource.disconnect();
-      } catch (_) {}
-      this.mediaSource = null;
+    // One MediaElementSource per element for its lifetime (a second one throws)
+    this.mediaSource ??= this.ctx.createMediaElementSource(this.mediaEl);
+    this._connectStreamGraph();
+    this._setAnalysisShift(this.pitchShifter ? this._pitchShift : 0);
+    this._resetAnalysisState();
+    this._resetTuning();
+  }
+
+  /** Media element (-> live transpose) -> the analysis/output chain. */
+  _connectStreamGraph() {
+    if (!this.pitchShifter) {
+      this._connectGraphFromSource(this.mediaSource);
+      return;
     }
+    this.pitchShifter.port.postMessage({ type: "semitones", semitones: this._pitchShift });
+    this.mediaSource.connect(this.pitchShifter);
+    this._connectGraphFromSource(this.pitchShifter);
+  }
 
-    this.mediaSource = this.ctx.createMediaElementSource(this.mediaEl);
-    this._connectGraphFromSource(this.mediaSource);
-    this._resetAnalysisState();
+  /** Buffer source -> (live pitch shift, if `shift` semitones) -> the analysis/output chain. */
+  _connectBufferSource(src, shift) {
+    if (!shift) {
+      this._connectGraphFromSource(src);
+      return;
+    }
+    this.pitchShifter.port.postMessage({ type: "semitones", semitones: shift });
+    src.connect(this.pitchShifter);
+    src.addEventListener("ended", () => src.disconnect());
+    this._connectGraphFromSource(this.pitchShifter);
   }
 
   /**
@@ -242,11 +453,13 @@ export class AudioEngine {
   async loadFromFileArrayBuffer(arrayBuffer) {
     await this.init();
     this.stop();
+    this.closeInput();
+    this._dropLoop();
+    this._dropStretch();
 
-    // Buffer mode active
+    // Buffer mode active (the element's MediaElementSource stays for the next stream)
     this.mediaEl.src = "";
     this.mediaEl.load?.();
-    this.mediaSource = null;
 
     // decodeAudioData: copy buffer to avoid neutering in some browsers
     const ab = arrayBuffer.slice(0);
@@ -259,15 +472,147 @@ export class AudioEngine {
     });
 
     this.buffer = audioBuffer;
+    this.offlineAnalysis = null;
+    this._setWorkletActive(true);
     this._bufferOffsetSec = 0;
     this._bufferPlaying = false;
 
     this._resetAnalysisState();
+    this._resetTuning();
 
     // Build a dummy source on play()
     // (We connect graph each time we create a BufferSource)
   }
 
+  /**
+   * Live input mode: a microphone / line-in stream (deviceId from listInputDevices(), null =
+   * the default). processing = the browser's voice processing (echo cancellation, noise
+   * suppression, auto gain), off by default because it damages music. Analysis starts at
+   * once (listening = playing); the input is never routed to the speakers.
+   */
+  async setSourceFromInput({ deviceId = null, processing = false } = {}) {
+    await this.init();
+    if (this.ctx.state === "suspended") await this.ctx.resume();
+
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: deviceId ? { exact: deviceId } : undefined,
+        echoCancellation: processing,
+        noiseSuppression: processing,
+        autoGainControl: processing
+      }
+    });
+
+    this.stop();
+    this.closeInput();
+    this._dropLoop();
+    this._dropStretch();
+
+    // Neither buffer nor stream mode (an empty src attribute would still read as a URL)
+    this.mediaEl.removeAttribute("src");
+    this.mediaEl.load?.();
+    this.buffer = null;
+    this.offlineAnalysis = null;
+    this._setWorkletActive(true);
+
+    this.inputStream = stream;
+    this.inputSource = this.ctx.createMediaStreamSource(stream);
+    this.inputMeter = this.ctx.createAnalyser();
+    this.inputMeter.fftSize = 2048;
+    this._inputLevelData = new Float32Array(this.inputMeter.fftSize);
+    for (const track of stream.getAudioTracks()) {
+      track.addEventListener("ended", () => {
+        if (this.inputStream !== stream) return;
+        this.pause();
+        this.dispatchEvent(new CustomEvent("inputended"));
+      });
+    }
+
+    this._inputOffsetSec = 0;
+    this._setAnalysisShift(0);
+    this._resetAnalysisState();
+    this._resetTuning();
+    await this.play();
+  }
+
+  /* -------------------------- Live Input -------------------------- */
+
+  /** Audio inputs [{deviceId, label}] (labels are empty until input access was granted). */
+  async listInputDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter((d) => d.kind === "audioinput")
+      .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Input ${i + 1}` }));
+  }
+
+  /** Settings of the open input track ({deviceId, echoCancellation, …}), or null. */
+  get inputSettings() {
+    return this.inputStream?.getAudioTracks()[0]?.getSettings() ?? null;
+  }
+
+  /** Raw input level in dBFS {rms, peak} (-Infinity = silence), or null without input. */
+  inputLevel() {
+    if (!this.inputMeter) return null;
+    const data = this._inputLevelData;
+    this.inputMeter.getFloatTimeDomainData(data);
+    let sum = 0;
+    let peak = 0;
+    for (let i = 0; i < data.length; i++) {
+      sum += data[i] * data[i];
+      peak = Math.max(peak, Math.abs(data[i]));
+    }
+    return { rms: 10 * Math.log10(sum / data.length), peak: 20 * Math.log10(peak) };
+  }
+
+  /**
+   * Records the input from now on (paused while not listening). The recording starts
+   * at session time `start`; stopRecording() hands it over as a Blob.
+   */
+  startRecording() {
+    if (!this.inputStream) throw new Error("startRecording requires a live input");
+    if (this._recording) return;
+    const recorder = new MediaRecorder(this.inputStream);
+    const chunks = [];
+    const done = new Promise((resolve) => {
+      recorder.addEventListener("dataavailable", (e) => e.data.size && chunks.push(e.data));
+      recorder.addEventListener("stop", () => resolve(new Blob(chunks, { type: recorder.mimeType })));
+    });
+    recorder.start(1000);
+    if (!this._inputListening) recorder.pause();
+    this._recording = { recorder, start: this.currentTime, done };
+  }
+
+  get isRecording() {
+    return !!this._recording;
+  }
+
+  /** Ends the recording: {blob, start} (start = session time it began at), or null. */
+  async stopRecording() {
+    const rec = this._recording;
+    if (!rec) return null;
+    this._recording = null;
+    if (rec.recorder.state !== "inactive") rec.recorder.stop();
+    return { blob: await rec.done, start: rec.start };
+  }
+
+  /** Releases the device (a running recording ends; its Blob stays with stopRecording()). */
+  closeInput() {
+    if (!this.inputStream) return;
+    const recorder = this._recording?.recorder;
+    if (recorder && recorder.state !== "inactive") recorder.stop();
+    for (const track of this.inputStream.getTracks()) track.stop();
+    try {
+      this.inputSource?.disconnect();
+    } catch (_) {}
+    if (this.sourceNode === this.inputSource) this._disconnectGraph();
+    this.inputStream = null;
+    this.inputSource = null;
+    this.inputMeter = null;
+    this._inputListening = false;
+    this._postClock();
+  }
+
   /* -------------------------- Playback -------------------------- */
 
   async play() {
@@ -277,11 +622,16 @@ export class AudioEngine {
     // Buffer mode
     if (this.buffer) {
       if (this._bufferPlaying) return;
+      if (this._loop) return this._playBufferLoop();
+
+      const offset = Math.max(0, Math.min(this._bufferOffsetSec, this.duration));
+      const { buffer, ratio, origin, semis, shift } = this._sourceFor(this._bufferPlaybackRate, offset, this.duration);
+      this._setAnalysisShift(semis);
 
       // Create fresh BufferSource (one-shot)
       const src = this.ctx.createBufferSource();
-      src.buffer = this.buffer;
-      src.playbackRate.value = this._bufferPlaybackRate;
+      src.buffer = buffer;
+      src.playbackRate.value = this._bufferPlaybackRate / ratio;
 
       // When finished naturally
       src.onended = () => {
@@ -290,29 +640,55 @@ export class AudioEngine {
           this._bufferPlaying = false;
           // Snap offset to end
           this._bufferOffsetSec = Math.min(this.duration, this._bufferOffsetSec + 0.0001);
+          this._postClock();
         }
       };
 
       this.bufferSource = src;
-      this._connectGraphFromSource(src);
+      this._connectBufferSource(src, shift);
 
       this._bufferStartCtxTime = this.ctx.currentTime;
       this._bufferPlaying = true;
 
       // Start at current offset
-      const offset = Math.max(0, Math.min(this._bufferOffsetSec, this.duration));
-      src.start(0, offset);
+      src.start(0, (offset - origin) / ratio);
+      this._postClock();
 
       return;
     }
 
+    // Live input: listening again (session time carries on)
+    if (this.inputStream) {
+      if (this._inputListening) return;
+      this._connectGraphFromSource(this.inputSource, { monitor: false });
+      this.inputSource.connect(this.inputMeter); // dropped with the graph on pause
+      this._inputStartCtxTime = this.ctx.currentTime;
+      this._inputListening = true;
+      if (this._recording?.recorder.state === "paused") this._recording.recorder.resume();
+      this._postClock();
+      return;
+    }
+
     // Stream mode
     if (this.mediaEl?.src) {
+      // stop() took the graph down
+      if (!this.sourceNode) this._connectStreamGraph();
+      if (this._loop) return this._playStreamLoop();
       return this.mediaEl.play();
     }
   }
 
   pause() {
+    // Buffer mode, looping
+    if (this.buffer && this._bufferPlaying && this._loopPasses.length) {
+      this._bufferOffsetSec = this._loopTime();
+      this._bufferPlaying = false;
+      this._stopLoopPasses();
+      this._disconnectGraph();
+      this._postClock();
+      return;
+    }
+
     // Buffer mode
     if (this.buffer && this._bufferPlaying) {
       // Compute elapsed in buffer time: dt * playbackRate
@@ -325,14 +701,29 @@ export class AudioEngine {
       } catch (_) {}
       this.bufferSource = null;
       this._disconnectGraph();
+      this._postClock();
+      return;
+    }
+
+    // Live input
+    if (this.inputStream) {
+      if (!this._inputListening) return;
+      this._inputOffsetSec = this.currentTime;
+      this._inputListening = false;
+      if (this._recording?.recorder.state === "recording") this._recording.recorder.pause();
+      this._disconnectGraph();
+      this._postClock();
       return;
     }
 
     // Stream mode
+    this._cancelCountIn();
     this.mediaEl?.pause();
   }
 
   stop() {
+    this._stopLoopPasses();
+
     // Stop buffer mode
     if (this.buffer) {
       try {
@@ -342,6 +733,14 @@ export class AudioEngine {
       this._bufferPlaying = false;
       this._bufferOffsetSec = 0;
       this._disconnectGraph();
+      // Back at 0: live analysis starts over like after a seek
+      this._resetAnalysisState();
+      return;
+    }
+
+    // Live input: like pause; session time runs on (the chart and a recording continue)
+    if (this.inputStream) {
+      this.pause();
       return;
     }
 
@@ -353,10 +752,11 @@ export class AudioEngine {
       } catch (_) {}
     }
     this._disconnectGraph();
+    if (this.mediaEl?.src) this._resetAnalysisState();
   }
 
   setPlaybackRate(rate) {
-    const r = Math.max(0.5, Math.min(1.0, Number(rate) || 1.0));
+    const r = Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, Number(rate) || 1.0));
 
     // Buffer mode
     if (this.buffer) {
@@ -365,6 +765,7 @@ export class AudioEngine {
       if (wasPlaying) this.pause();
       this._bufferPlaybackRate = r;
       if (wasPlaying) this.play();
+      this._prepareStretch();
       return;
     }
 
@@ -390,452 +791,777 @@ export class AudioEngine {
     }
   }
 
-  get isPlaying() {
-    if (this.buffer) return this._bufferPlaying;
-    return this.mediaEl && !this.mediaEl.paused && !this.mediaEl.ended;
-  }
+  /**
+   * Jumps to t seconds (clamped to the track) in buffer and stream mode. Live
+   * analysis restarts at the new position, so nothing is smoothed or decoded
+   * across the jump; a finished whole-track analysis is kept. Fires "seek"
+   * (detail = {from, to}).
+   */
+  seek(t) {
+    if (!this.buffer && !this.mediaEl?.src) return;
+
+    const from = this.currentTime;
+    const dur = this.duration;
+    const to = Math.max(0, Math.min(Number(t) || 0, Number.isFinite(dur) && dur > 0 ? dur : Infinity));
 
-  get currentTime() {
     if (this.buffer) {
-      if (!this._bufferPlaying) return this._bufferOffsetSec;
-      const dt = this.ctx.currentTime - this._bufferStartCtxTime;
-      return this._bufferOffsetSec + dt * this._bufferPlaybackRate;
+      // One-shot sources can't jump: restart from the new offset
+      const wasPlaying = this._bufferPlaying;
+      if (wasPlaying) this.pause();
+      this._bufferOffsetSec = to;
+      this._resetAnalysisState();
+      if (wasPlaying) this.play();
+    } else {
+      this.mediaEl.currentTime = to;
+      this._resetAnalysisState();
     }
-    return this.mediaEl?.currentTime ?? 0;
-  }
 
-  get duration() {
-    if (this.buffer) return this.buffer.duration || 0;
-    return this.mediaEl?.duration ?? 0;
+    this.dispatchEvent(new CustomEvent("seek", { detail: { from, to } }));
   }
 
-  /* -------------------------- Main Tick -------------------------- */
+  /* -------------------------- Time-Stretch -------------------------- */
 
-  tick() {
-    if (!this.analyser || !this.bassAnalyser) {
-      return { freqData: null, chord: "—", confidence: 0, bpm: null, chroma: null };
+  /**
+   * Buffer to play song time [from, to) at `rate` and the current transpose: the
+   * matching render (ratio = its WSOLA rate, origin = its song start) or the original
+   * (ratio 1, semis 0). A source plays it at playbackRate rate / ratio from
+   * (song time - origin) / ratio; for a render that is exactly the transpose factor.
+   * shift = semitones for the live pitch shifter when the render is too long to make
+   * (semis = what is heard then; the shifter reaches one octave either way).
+   */
+  _sourceFor(rate, from, to) {
+    const semis = this._pitchShift;
+    const s = this._stretches.find(
+      (r) => r.rate === rate && r.semis === semis && r.start <= from + 1e-3 && r.end >= to - 1e-3
+    );
+    if (s) return { buffer: s.buffer, ratio: s.ratio, origin: s.start, semis, shift: 0 };
+    if (this.pitchShifter && !this._stretchFits(rate, semis)) {
+      const resampled = 12 * Math.log2(rate);
+      const shift = Math.max(-12, Math.min(12, semis - resampled));
+      return { buffer: this.buffer, ratio: 1, origin: 0, semis: Math.round(resampled + shift), shift };
     }
+    return { buffer: this.buffer, ratio: 1, origin: 0, semis: 0, shift: 0 };
+  }
 
-    // If nothing is connected/playing, still allow UI to render spectrogram background
-    this.analyser.getByteFrequencyData(this.freqData);
-    this.bassAnalyser.getByteFrequencyData(this.bassFreqData);
-    this.analyser.getFloatTimeDomainData(this.timeData);
-
-    // Whitening
-    this._computeWhitenedSpectrum(this.freqData, this._spec, this._whitenWindow);
-    this._computeWhitenedSpectrum(this.bassFreqData, this._bassSpec, this._whitenWindow);
-
-    // HPSS bias: update harmonic EMA and compute harmonic ratio per bin
-    const harmonicRatio = this._updateHPSSAndGetHarmonicRatio(this._spec);
+  /** True if rendering the loop region (or the whole track) at rate / semis stays within MAX_STRETCH_SAMPLES. */
+  _stretchFits(rate, semis) {
+    if (rate === 1 && semis === 0) return true;
+    const { start, end } = this._loop ?? { start: 0, end: this.duration };
+    const ratio = rate / Math.pow(2, semis / 12);
+    return ((end - start) * this.buffer.sampleRate) / ratio <= MAX_STRETCH_SAMPLES;
+  }
 
-    // Chroma from (whitened spec * harmonicRatio) -> key-invariant smoothing
-    const chromaRaw = this._computeChromaFromWhitened(this._spec, harmonicRatio);
-    const chroma = this._keyInvariantChromaSmoothing(chromaRaw);
+  /**
+   * Renders the loop region (or the whole track) at `rate` and the current transpose
+   * unless a render or job already covers it or it is too long (see _sourceFor); a
+   * newer request cancels the running job.
+   * Loop regions take milliseconds, a whole song up to a second or two per minute of
+   * audio. Transposing by s semitones = stretching by rate / 2^(s/12), then playing
+   * that back 2^(s/12) times faster.
+   */
+  async _prepareStretch(rate = this._bufferPlaybackRate) {
+    const semis = this._pitchShift;
+    const current = rate === this._bufferPlaybackRate;
+    const isCurrent = () => rate === this._bufferPlaybackRate && semis === this._pitchShift;
+    const { start, end } = this._loop ?? { start: 0, end: this.duration };
+    const covers = (r) => r.rate === rate && r.semis === semis && r.start <= start + 1e-3 && r.end >= end - 1e-3;
+    if (current && this._stretchJob && !covers(this._stretchJob)) this._dropStretchJob();
+
+    const needed = this.buffer && !(rate === 1 && semis === 0) && this._stretchFits(rate, semis);
+    if (!needed || this._stretches.some(covers)) {
+      if (current) this.dispatchEvent(new CustomEvent("stretch", { detail: { rate, semitones: semis, progress: 1 } }));
+      return;
+    }
+    if (this._stretchJob && covers(this._stretchJob)) return;
+
+    this._dropStretchJob();
+    const job = { rate, semis, start, end, abort: new AbortController() };
+    this._stretchJob = job;
+    const ratio = rate / Math.pow(2, semis / 12);
+
+    const buffer = this.buffer;
+    const sr = buffer.sampleRate;
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+
+    const progress = (p) => {
+      if (isCurrent()) {
+        this.dispatchEvent(
+          new CustomEvent("stretch", { detail: { rate, semitones: semis, progress: Math.min(p, 0.99) } })
+        );
+      }
+    };
+    progress(0);
+    const out = await stretchChannels(channels, sr, ratio, {
+      start: Math.round(start * sr),
+      end: Math.round(end * sr),
+      signal: job.abort.signal,
+      onProgress: progress
+    });
+    if (!out || this._stretchJob !== job || this.buffer !== buffer) return;
+    this._stretchJob = null;
 
-    // Bass via HPS (stable)
-    const bassPc = this._detectBassPitchClassHPS(this._bassSpec);
+    const rendered = this.ctx.createBuffer(out.length, Math.max(1, out[0].length), sr);
+    out.forEach((data, c) => rendered.copyToChannel(data, c));
+    const entry = { rate, semis, ratio, start, end, buffer: rendered };
+    this._stretches = [...this._stretches.filter((r) => r.rate !== rate || r.semis !== semis), entry].slice(-2);
 
-    // Chord detect + hysteresis
-    const { chord, confidence } = this._detectChord(chroma, bassPc);
-    const stableChord = this._applyChordHysteresis(chord);
+    if (isCurrent()) {
+      this._useStretch();
+      this.dispatchEvent(new CustomEvent("stretch", { detail: { rate, semitones: semis, progress: 1 } }));
+    }
+  }
 
-    // BPM
-    const bpm = this._estimateBPMFromEnergy();
+  /** Switches running playback to the best source at hand (e.g. a fresh render). */
+  _useStretch() {
+    if (!this._bufferPlaying) return;
 
-    return { freqData: this.freqData, chord: stableChord, confidence, bpm, chroma };
+    if (!this._loopPasses.length) {
+      this.pause();
+      this.play();
+      return;
+    }
+    // Looping: a playing pass continues from here; one that hasn't started yet
+    // (count-in) is scheduled again with its count-in
+    const now = this.ctx.currentTime;
+    const playing = this._loopPasses.some((p) => p.startCtx <= now);
+    const from = playing ? this._loopTime() : this._loopPasses[0].from;
+    const when = playing ? now + 0.01 : Math.max(this._loopPasses[0].when, now + 0.01);
+    this._stopLoopPasses();
+    this._disconnectGraph();
+    this._schedulePass(from, when, false, !playing);
   }
 
-  /* -------------------------- Spectral Whitening -------------------------- */
-
-  _computeWhitenedSpectrum(byteData, outFloat, halfWindowBins) {
-    const n = byteData.length;
+  /**
+   * Transposes the audio by `semitones` (-12..12) at the same tempo: local files via
+   * the time-stretch render (untransposed until it is ready), streams via the live
+   * pitch-shift worklet (~130 ms latency). Live chord/key labels stay in the original
+   * key; showing them as heard is up to the caller (transpose the names).
+   */
+  setPitchShift(semitones) {
+    const s = Math.max(-12, Math.min(12, Math.round(Number(semitones) || 0)));
+    if (s === this._pitchShift) return;
+    this._pitchShift = s;
+    this.pitchShifter?.port.postMessage({ type: "semitones", semitones: s });
 
-    // Convert to mag w/ gamma (noise suppression)
-    for (let i = 0; i < n; i++) {
-      const x = byteData[i] / 255;
-      outFloat[i] = x * x;
+    if (this.buffer) {
+      // Switch right away when no render is needed or one is cached, else once rendered
+      const rate = this._bufferPlaybackRate;
+      const t = this.currentTime;
+      const source = this._sourceFor(rate, t, t);
+      if ((rate === 1 && s === 0) || source.buffer !== this.buffer || source.shift) this._useStretch();
+      this._prepareStretch();
+    } else if (this.mediaEl?.src) {
+      this._setAnalysisShift(this.pitchShifter ? s : 0);
     }
+  }
 
-    // Prefix sums for moving avg envelope
-    const prefix = this._getScratchPrefix(n + 1);
-    prefix[0] = 0;
-    for (let i = 0; i < n; i++) prefix[i + 1] = prefix[i] + outFloat[i];
+  get pitchShift() {
+    return this._pitchShift;
+  }
 
-    const eps = this._whitenEps;
-    for (let i = 0; i < n; i++) {
-      const a = Math.max(0, i - halfWindowBins);
-      const b = Math.min(n - 1, i + halfWindowBins);
-      const env = (prefix[b + 1] - prefix[a]) / (b - a + 1);
-      outFloat[i] = outFloat[i] / (env + eps);
-    }
+  /** How far the audio reaching live analysis is transposed (it labels the original key). */
+  _setAnalysisShift(semitones) {
+    if (semitones === this._analysisShift) return;
+    this._analysisShift = semitones;
+    this.core?.setPitchShift(semitones);
+    this.workletNode?.port.postMessage({ type: "pitchShift", semitones });
+  }
 
-    // Normalize by max
-    let max = 0;
-    for (let i = 0; i < n; i++) if (outFloat[i] > max) max = outFloat[i];
-    if (max > 0) {
-      const inv = 1 / max;
-      for (let i = 0; i < n; i++) outFloat[i] *= inv;
-    }
+  _dropStretchJob() {
+    this._stretchJob?.abort.abort();
+    this._stretchJob = null;
   }
 
-  _getScratchPrefix(len) {
-    if (!this._scratchPrefix || this._scratchPrefix.length < len) {
-      this._scratchPrefix = new Float32Array(len);
-    }
-    return this._scratchPrefix;
+  _dropStretch() {
+    this._dropStretchJob();
+    this._stretches = [];
   }
 
-  /* -------------------------- HPSS Bias (Transient Downweighting) -------------------------- */
+  /* -------------------------- A–B Loop -------------------------- */
 
   /**
-   * Returns a Float32Array harmonicRatio per bin in [0..1].
-   * harmonicRatio ~ 1 => stable/harmonic content
-   * harmonicRatio ~ 0 => transient/percussive content
+   * Loops [start, end) in seconds (clamped to the track). Buffer mode plays every pass
+   * as its own source, scheduled to start exactly where the last one ends, so the
+   * loop is seamless and each pass can run at its own speed; stream mode polls the
+   * media element and jumps back (overshoots by up to ~STREAM_LOOP_POLL_MS).
+   * Returns false (loop unchanged) for an empty or too short region, or on live input.
    */
-  _updateHPSSAndGetHarmonicRatio(whitenedSpec) {
-    const now = performance.now();
-    const dt = Math.max(1, now - (this._lastSpecTs || now));
-    this._lastSpecTs = now;
+  setLoop(start, end) {
+    if (this.inputStream) return false; // live input can't go back
+    const dur = this.duration;
+    const a = Math.max(0, Math.min(Number(start), Number(end)));
+    let b = Math.max(Number(start), Number(end));
+    if (Number.isFinite(dur) && dur > 0) b = Math.min(b, dur);
+    if (!(b - a >= MIN_LOOP_SEC)) return false;
+
+    this._loop = { start: a, end: b };
+    this._loopPass = 0;
+    this._loopHold = false;
+    this._prepareStretch();
+    this._restartForLoop();
+    return true;
+  }
 
-    // EMA alpha for harmonic estimate
-    const tau = Math.max(20, this._harmonicTC); // ms
-    const alpha = 1 - Math.exp(-dt / tau);
+  clearLoop() {
+    if (!this._loop) return;
+    // Buffer mode continues from where the current pass is, without the loop
+    const wasPlaying = this.isPlaying;
+    if (wasPlaying) this.pause();
+    this._loop = null;
+    this._loopHold = false;
+    this._stopStreamLoopWatch();
+    this._prepareStretch();
+    if (wasPlaying) this.play();
+  }
 
-    const H = this._harmonicSpecEMA;
-    const n = whitenedSpec.length;
+  /** {start, end} of the active loop, or null. */
+  get loop() {
+    return this._loop ? { ...this._loop } : null;
+  }
 
-    // Allocate harmonicRatio scratch
-    if (!this._harmonicRatioScratch || this._harmonicRatioScratch.length !== n) {
-      this._harmonicRatioScratch = new Float32Array(n);
+  /**
+   * countIn: one bar of clicks at the detected tempo before every pass.
+   * rampStep: speed added after each pass played through (up to rampTo); 0 = off.
+   * A pass that didn't go cleanly is repeated at its speed with holdLoopSpeed().
+   * The starting speed is the current playback rate.
+   */
+  setLoopOptions({ countIn, rampStep, rampTo } = {}) {
+    if (countIn !== undefined) this._loopOptions.countIn = !!countIn;
+    if (rampStep !== undefined) this._loopOptions.rampStep = Math.max(0, Number(rampStep) || 0);
+    if (rampTo !== undefined) {
+      this._loopOptions.rampTo = Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, Number(rampTo) || 1));
     }
-    const R = this._harmonicRatioScratch;
-
-    const eps = this._hpssEps;
+  }
 
-    for (let i = 0; i < n; i++) {
-      const x = whitenedSpec[i];
+  get loopOptions() {
+    return { ...this._loopOptions };
+  }
 
-      // Update harmonic EMA (stable component)
-      H[i] = (1 - alpha) * H[i] + alpha * x;
+  /** Passes played through since playback started or the loop changed. */
+  get loopPass() {
+    return this._loopPass;
+  }
 
-      // Percussive residual (transient-ish): only positive spikes beyond harmonic baseline
-      const p = Math.max(0, x - H[i]);
+  /**
+   * Skips the ramp step once: the pass after the current one plays at the same speed.
+   * Returns false when there is no loop or no ramp to hold.
+   */
+  holdLoopSpeed() {
+    if (!this._loop || !this._loopOptions.rampStep) return false;
+    this._loopHold = true;
+    return true;
+  }
 
-      // Harmonic ratio (soft mask)
-      // If p dominates => ratio small. If H dominates => ratio near 1.
-      const ratio = H[i] / (H[i] + p + eps);
+  /** A hold is waiting for the end of the current pass (see holdLoopSpeed). */
+  get loopHeld() {
+    return this._loopHold;
+  }
 
-      // Extra transient suppression curve (aggressive for drums)
-      // ratio^gamma -> pushes small ratios closer to 0
-      R[i] = Math.pow(ratio, 1.8);
+  /** A new region starts over at A (with count-in) if playing. */
+  _restartForLoop() {
+    if (this.buffer) {
+      if (!this._bufferPlaying) return;
+      this.pause();
+      this._bufferOffsetSec = this._loop.start;
+      this.play();
+    } else if (this.mediaEl?.src) {
+      if (this.isPlaying) this._playStreamLoop(true);
+      else this._startStreamLoopWatch();
     }
+  }
 
-    return R;
+  /** A loop (and the count-in tempo) belongs to the source it was set on. */
+  _dropLoop() {
+    this._loop = null;
+    this._loopPass = 0;
+    this._loopHold = false;
+    this._countInGrid = { bpm: null, beatsPerBar: 4 };
+    this._stopStreamLoopWatch();
   }
 
-  /* -------------------------- Chroma -------------------------- */
+  /** Speed of the next pass: one ramp step up from `rate`. */
+  _rampedRate(rate) {
+    const { rampStep, rampTo } = this._loopOptions;
+    if (!rampStep || rate >= rampTo) return rate;
+    return Math.min(rampTo, Math.round((rate + rampStep) * 100) / 100);
+  }
 
-  _computeChromaFromWhitened(whitenedSpec, harmonicRatio /* Float32Array */) {
-    this._chromaRaw.fill(0);
+  /** Speed of the pass after one at `rate`: the ramp step, or `rate` again if held. */
+  _nextPassRate(rate) {
+    const held = this._loopHold;
+    this._loopHold = false;
+    return held ? rate : this._rampedRate(rate);
+  }
 
-    const sr = this.ctx.sampleRate;
-    const nFFT = this.analyser.fftSize;
-    const binCount = whitenedSpec.length;
+  _playBufferLoop() {
+    const { start, end } = this._loop;
+    const offset = this._bufferOffsetSec;
+    const from = offset >= start && offset < end - MIN_LOOP_SEC / 2 ? offset : start;
 
-    for (let i = 1; i < binCount; i++) {
-      // Weight down transients: harmonicRatio[i] in [0..1]
-      const mag = whitenedSpec[i] * (harmonicRatio ? harmonicRatio[i] : 1.0);
-      if (mag < 0.02) continue;
+    this._bufferPlaying = true;
+    this._schedulePass(from, this.ctx.currentTime + 0.03, false);
+  }
 
-      const freq = (i * sr) / nFFT;
-      if (freq < this._fMin || freq > this._fMax) continue;
+  /**
+   * Schedules one buffer pass [from, end) at ctx time `when` (count-in first, if on),
+   * plus the timers around it: count-in/wrap at `when`, analysis restart when the
+   * audio starts, and the next pass LOOP_LOOKAHEAD_SEC before this one ends.
+   */
+  _schedulePass(from, when, wrap, countInAllowed = true) {
+    const { start, end } = this._loop;
+    const rate = this._bufferPlaybackRate;
+    const countIn = countInAllowed ? this._scheduleCountIn(when, rate) : 0;
+    const startCtx = when + countIn;
+    const endCtx = startCtx + (end - from) / rate;
+
+    const { buffer, ratio, origin, semis, shift } = this._sourceFor(rate, from, end);
+    const src = this.ctx.createBufferSource();
+    src.buffer = buffer;
+    src.playbackRate.value = rate / ratio;
+    if (!this.sourceNode || shift || this.sourceNode === this.pitchShifter) {
+      // Into, out of or through the live pitch shifter: reconnect (may cut the last pass's tail)
+      this._connectBufferSource(src, shift);
+    } else {
+      // Passes overlap by the lookahead; later ones join the running graph
+      src.connect(this.focusFilter);
+      src.connect(this.bassFilter);
+      src.onended = () => src.disconnect();
+    }
+    src.start(startCtx, (from - origin) / ratio, (end - from) / ratio);
 
-      const midi = this._freqToMidi(freq);
-      const pc = ((Math.round(midi) % 12) + 12) % 12;
+    this._loopPasses.push({ src, from, when, startCtx, rate });
+    if (this._loopPasses.length > 2) this._loopPasses.shift();
 
-      // Emphasize strong/consistent partials
-      this._chromaRaw[pc] += Math.pow(mag, 1.25);
-    }
+    this._atCtxTime(when, () => {
+      if (wrap) {
+        this._loopPass++;
+        this.dispatchEvent(new CustomEvent("loop", { detail: { pass: this._loopPass, from: end, to: start, rate } }));
+      }
+      if (countIn > 0) this._setCountingIn(true);
+    });
+    this._atCtxTime(startCtx, () => {
+      this._setCountingIn(false);
+      this._setAnalysisShift(semis);
+      this._resetAnalysisState();
+      // The next ramp step is rendered while this pass plays
+      if (this._rampedRate(rate) !== rate) this._prepareStretch(this._rampedRate(rate));
+    });
+    this._atCtxTime(endCtx - LOOP_LOOKAHEAD_SEC, () => {
+      // A late timer (background tab) starts the next pass as soon as it can
+      this._bufferPlaybackRate = this._nextPassRate(rate);
+      this._schedulePass(start, Math.max(endCtx, this.ctx.currentTime + 0.01), true);
+    });
+  }
 
-    this._normalize12(this._chromaRaw);
-    return this._chromaRaw;
+  _atCtxTime(ctxTime, fn) {
+    const id = setTimeout(() => {
+      this._loopTimers = this._loopTimers.filter((t) => t !== id);
+      fn();
+    }, Math.max(0, (ctxTime - this.ctx.currentTime) * 1000));
+    this._loopTimers.push(id);
   }
 
-  _keyInvariantChromaSmoothing(chromaIn) {
-    // Circular smoothing (shift-invariant)
-    const tmp = this._chromaSmoothed;
-    for (let k = 0; k < 12; k++) {
-      const km2 = (k + 10) % 12;
-      const kp2 = (k + 2) % 12;
-      const km1 = (k + 11) % 12;
-      const kp1 = (k + 1) % 12;
+  /** Song time while buffer passes are scheduled (count-in of the first pass: its start). */
+  _loopTime() {
+    const now = this.ctx.currentTime;
+    let pass = this._loopPasses[0];
+    for (const p of this._loopPasses) if (p.startCtx <= now) pass = p;
+    return Math.min(this._loop.end, pass.from + Math.max(0, now - pass.startCtx) * pass.rate);
+  }
 
-      tmp[k] =
-        0.56 * chromaIn[k] +
-        0.12 * (chromaIn[km1] + chromaIn[kp1]) +
-        0.10 * (chromaIn[km2] + chromaIn[kp2]);
+  _stopLoopPasses() {
+    for (const id of this._loopTimers) clearTimeout(id);
+    this._loopTimers = [];
+    for (const { src } of this._loopPasses) {
+      try {
+        src.stop();
+        src.disconnect();
+      } catch (_) {}
     }
+    this._loopPasses = [];
+    this._cancelCountIn();
+  }
 
-    // Peak sharpening
-    for (let k = 0; k < 12; k++) tmp[k] = Math.pow(Math.max(0, tmp[k]), 1.35);
-
-    this._normalize12(tmp);
+  /** Live analysis sleeps during a count-in (the clicks never reach it; the song is silent). */
+  _setCountingIn(active) {
+    if (this._countingIn === active) return;
+    this._countingIn = active;
+    if (!this.offlineAnalysis) this._setWorkletActive(!active);
+  }
 
-    // Temporal EMA with time constant (Golden Setting: 220ms)
-    const now = performance.now();
-    const dt = Math.max(1, now - (this._lastChromaTs || now));
-    this._lastChromaTs = now;
+  /** Tempo / bar length for the count-in; the last known values survive analysis resets. */
+  _countInTempo() {
+    const t = this._loop?.start ?? this.currentTime;
+    const bpm = this.tempoAt(t)?.bpm ?? this._live.bpm;
+    const meter = this.meter;
+    if (bpm) this._countInGrid.bpm = bpm;
+    if (meter && !meter.uncertain) this._countInGrid.beatsPerBar = meter.beatsPerBar;
+    return this._countInGrid;
+  }
 
-    const tau = Math.max(10, this._chromaTC);
-    const alpha = 1 - Math.exp(-dt / tau);
+  /** One bar of clicks from ctx time `when` at the song tempo times `rate`; returns its length (s). */
+  _scheduleCountIn(when, rate) {
+    if (!this._loopOptions.countIn) return 0;
+    const { bpm, beatsPerBar } = this._countInTempo();
+    if (!bpm) return 0;
 
-    for (let k = 0; k < 12; k++) {
-      this._chromaEMA[k] = (1 - alpha) * this._chromaEMA[k] + alpha * tmp[k];
-    }
+    const beat = 60 / (bpm * rate);
+    for (let i = 0; i < beatsPerBar; i++) this._click(when + i * beat, i === 0);
+    return beatsPerBar * beat;
+  }
 
-    this._normalize12(this._chromaEMA);
-    return this._chromaEMA;
+  /** Short sine blip straight to the speakers (not analyzed); higher on the downbeat. */
+  _click(when, accent) {
+    const osc = this.ctx.createOscillator();
+    const gain = this.ctx.createGain();
+    osc.frequency.value = accent ? 1760 : 1320;
+    gain.gain.setValueAtTime(0.0001, when);
+    gain.gain.exponentialRampToValueAtTime(0.4, when + 0.002);
+    gain.gain.exponentialRampToValueAtTime(0.0001, when + 0.06);
+    osc.connect(gain).connect(this.ctx.destination);
+    osc.start(when);
+    osc.stop(when + 0.07);
+    osc.onended = () => {
+      gain.disconnect();
+      this._clicks = this._clicks.filter((c) => c !== osc);
+    };
+    this._clicks.push(osc);
   }
 
-  _normalize12(v) {
-    let s = 0;
-    for (let i = 0; i < 12; i++) s += v[i] * v[i];
-    const n = Math.sqrt(s);
-    if (n > 0) {
-      const inv = 1 / n;
-      for (let i = 0; i < 12; i++) v[i] *= inv;
+  _cancelCountIn() {
+    for (const osc of this._clicks) {
+      try {
+        osc.stop();
+      } catch (_) {}
     }
+    this._clicks = [];
+    clearTimeout(this._streamCountInTimer);
+    this._streamCountInDone?.();
+    this._streamCountInDone = null;
+    this._streamWrapping = false;
+    this._setCountingIn(false);
   }
 
-  _freqToMidi(freq) {
-    return 69 + 12 * Math.log2(freq / this.A4);
+  /** Stream mode: start (or restart at A) with the count-in, then watch for B. */
+  async _playStreamLoop(restart = false) {
+    const { start, end } = this._loop;
+    const t = this.mediaEl.currentTime;
+    this._startStreamLoopWatch();
+    if (restart || t < start || t >= end) {
+      this.mediaEl.pause();
+      this.mediaEl.currentTime = start;
+      this._resetAnalysisState();
+    }
+    await this._streamCountIn();
   }
 
-  /* -------------------------- Bass via HPS -------------------------- */
+  /** Count-in with the media element paused; resolves when it is playing again. */
+  _streamCountIn() {
+    const countIn = this._scheduleCountIn(this.ctx.currentTime + 0.03, this.mediaEl.playbackRate);
+    if (!countIn) return this.mediaEl.play();
+
+    this._setCountingIn(true);
+    return new Promise((resolve, reject) => {
+      // Settles early (without playing) if pause() cancels the count-in
+      this._streamCountInDone = resolve;
+      this._streamCountInTimer = setTimeout(() => {
+        this._streamCountInDone = null;
+        this._setCountingIn(false);
+        this.mediaEl.play().then(resolve, reject);
+      }, (countIn + 0.03) * 1000);
+    });
+  }
 
-  _detectBassPitchClassHPS(whitenedBassSpec) {
-    const sr = this.ctx.sampleRate;
-    const nFFT = this.bassAnalyser.fftSize;
+  _startStreamLoopWatch() {
+    if (this._streamLoopTimer) return;
+    this._streamLoopTimer = setInterval(() => this._checkStreamLoop(), STREAM_LOOP_POLL_MS);
+  }
 
-    const binMin = Math.max(1, Math.floor((this._bassMinHz * nFFT) / sr));
-    const binMax = Math.min(whitenedBassSpec.length - 1, Math.floor((this._bassMaxHz * nFFT) / sr));
-    if (binMax <= binMin + 8) return this._applyBassStability(null);
+  _stopStreamLoopWatch() {
+    clearInterval(this._streamLoopTimer);
+    this._streamLoopTimer = null;
+    this._cancelCountIn();
+  }
 
-    const len = binMax + 1;
-    const hps = this._getScratchHPS(len);
-    for (let i = 0; i < len; i++) hps[i] = whitenedBassSpec[i];
+  async _checkStreamLoop() {
+    const el = this.mediaEl;
+    if (!this._loop || this.buffer || this._streamWrapping || (el.paused && !el.ended)) return;
+    const { start, end } = this._loop;
+    // Jump one poll early rather than late
+    if (el.currentTime < end - STREAM_LOOP_POLL_MS / 2000 && !el.ended) return;
+
+    this._streamWrapping = true;
+    this.mediaEl.pause();
+    const rate = this._nextPassRate(this.mediaEl.playbackRate);
+    this.mediaEl.playbackRate = rate;
+    this.mediaEl.currentTime = start;
+    this._resetAnalysisState();
+    this._loopPass++;
+    this.dispatchEvent(new CustomEvent("loop", { detail: { pass: this._loopPass, from: end, to: start, rate } }));
 
-    const H = this._hpsHarmonics; // Golden Setting: 4
-    for (let h = 2; h <= H; h++) {
-      for (let i = binMin; i <= binMax; i++) {
-        const j = i * h;
-        if (j > binMax) break;
-        hps[i] *= Math.max(whitenedBassSpec[j], 1e-3);
-      }
+    try {
+      await this._streamCountIn();
+    } catch (err) {
+      console.warn("Loop restart failed:", err);
     }
+    this._streamWrapping = false;
+  }
 
-    let bestI = -1;
-    let bestV = 0;
-    for (let i = binMin; i <= binMax; i++) {
-      const v = hps[i];
-      if (v > bestV) {
-        bestV = v;
-        bestI = i;
-      }
-    }
+  get isPlaying() {
+    if (this.buffer) return this._bufferPlaying;
+    if (this.inputStream) return this._inputListening;
+    return this.mediaEl && !this.mediaEl.paused && !this.mediaEl.ended;
+  }
 
-    if (bestI < 0 || bestV < 0.02) {
-      return this._applyBassStability(null);
+  get currentTime() {
+    if (this.buffer) {
+      if (!this._bufferPlaying) return this._bufferOffsetSec;
+      if (this._loopPasses.length) return this._loopTime();
+      const dt = this.ctx.currentTime - this._bufferStartCtxTime;
+      return this._bufferOffsetSec + dt * this._bufferPlaybackRate;
     }
-
-    const freq = (bestI * sr) / nFFT;
-    const midi = this._freqToMidi(freq);
-    const pc = ((Math.round(midi) % 12) + 12) % 12;
-
-    return this._applyBassStability(pc);
+    if (this.inputStream) {
+      const dt = this._inputListening ? this.ctx.currentTime - this._inputStartCtxTime : 0;
+      return this._inputOffsetSec + dt;
+    }
+    return this.mediaEl?.currentTime ?? 0;
   }
 
-  _getScratchHPS(len) {
-    if (!this._scratchHPS || this._scratchHPS.length < len) {
-      this._scratchHPS = new Float32Array(len);
-    }
-    return this._scratchHPS;
+  get duration() {
+    if (this.buffer) return this.buffer.duration || 0;
+    if (this.inputStream) return 0; // open-ended, not seekable
+    return this.mediaEl?.duration ?? 0;
   }
 
-  _applyBassStability(pc) {
-    const now = performance.now();
+  /* -------------------------- Main Tick -------------------------- */
 
-    // If detection missing, release slowly
-    if (pc === null) {
-      if (this._bassPc !== null && now - this._bassCandidateSince > 900) {
-        this._bassPc = null;
-      }
-      return this._bassPc;
+  tick() {
+    if (!this.analyser || !this.bassAnalyser) {
+      return { freqData: null, chord: "—", confidence: 0, bpm: null, chroma: null, bassPc: null, key: null };
     }
 
-    if (pc === this._bassPc) {
-      this._bassCandidate = pc;
-      this._bassCandidateSince = now;
-      return this._bassPc;
+    // If nothing is connected/playing, still allow UI to render spectrogram background
+    this.analyser.getFloatFrequencyData(this.freqData);
+    this.analyser.getFloatTimeDomainData(this.timeData);
+    this.bassAnalyser.getFloatTimeDomainData(this.bassTimeData);
+
+    // Whole track already analyzed: read the finished timeline instead of re-detecting live
+    if (this.offlineAnalysis) {
+      const ev = this.chordAt(this.currentTime);
+      const tempo = this.tempoAt(this.currentTime);
+      const frame = this.chromagramAt(this.currentTime);
+      return {
+        freqData: this.freqData,
+        chord: ev ? ev.chord : "—",
+        confidence: ev ? ev.conf : 0,
+        bpm: tempo ? Math.round(tempo.bpm) : this.offlineAnalysis.bpm,
+        chroma: frame?.chroma ?? null,
+        bassPc: frame?.bassPc ?? null,
+        chordCandidates: frame?.chordCandidates ?? null,
+        key: this.keyAt(this.currentTime)
+      };
     }
 
-    if (pc !== this._bassCandidate) {
-      this._bassCandidate = pc;
-      this._bassCandidateSince = now;
-      return this._bassPc;
+    // Fallback: analyze here (rate follows whoever calls tick())
+    if (this.analysisMode === "tick" && !this._countingIn) {
+      const res = this.core.process(this.timeData, this._sampleClock(), this.bassTimeData);
+      this._publishAnalysis({ t: this.currentTime, ...res });
     }
 
-    // Golden Setting: 280ms
-    if (now - this._bassCandidateSince >= this._bassStableMs) {
-      this._bassPc = this._bassCandidate;
-    }
-    return this._bassPc;
+    const { chord, confidence, bpm, chroma, bassPc, chordCandidates, key } = this._live;
+    return { freqData: this.freqData, chord, confidence, bpm, chroma, bassPc, chordCandidates, key };
   }
 
-  /* -------------------------- Chord Detection -------------------------- */
+  /** Song position in samples: the core's analysis clock. */
+  _sampleClock() {
+    if (!this.ctx) return 0;
+    return Math.round(this.currentTime * this.ctx.sampleRate);
+  }
 
-  _buildChordTemplates() {
-    const shapes = {
-      maj: [0, 4, 7],
-      min: [0, 3, 7],
-      maj7: [0, 4, 7, 11],
-      min7: [0, 3, 7, 10],
-      dom7: [0, 4, 7, 10],
-      dim: [0, 3, 6]
-    };
+  /* -------------------------- Whole-Track Analysis (Offline) -------------------------- */
+
+  /**
+   * Runs the DSP core over the decoded buffer in fixed hops, without playback.
+   * Fills the complete chord timeline (this.events) and sets this.offlineAnalysis.
+   * Focus EQ is a listening aid and is not applied here (full-mix analysis).
+   */
+  async analyzeWholeTrack({ hopSize = 1024, onProgress = null } = {}) {
+    if (!this.buffer) throw new Error("analyzeWholeTrack requires a decoded local file");
+    await this.init();
 
-    const templates = [];
-    for (let root = 0; root < 12; root++) {
-      for (const [quality, intervals] of Object.entries(shapes)) {
-        const v = new Float32Array(12);
-        for (const itv of intervals) v[(root + itv) % 12] = 1;
+    this.offlineAnalysis = null;
 
-        // Normalize
-        let s = 0;
-        for (let i = 0; i < 12; i++) s += v[i] * v[i];
-        const n = Math.sqrt(s);
-        for (let i = 0; i < 12; i++) v[i] = v[i] / n;
+    const channels = [];
+    for (let c = 0; c < this.buffer.numberOfChannels; c++) channels.push(this.buffer.getChannelData(c));
 
-        templates.push({ root, quality, vec: v });
-      }
-    }
-    return templates;
+    const analysis = await analyzePCM(mixToMono(channels), this.buffer.sampleRate, {
+      ...this._coreOptions,
+      bassCutoffHz: this.bassFilter.frequency.value,
+      bassQ: this.bassFilter.Q.value,
+      hopSize,
+      onProgress
+    });
+
+    // Live state starts fresh for playback; the finished timeline is kept
+    this._resetAnalysisState();
+    this.offlineAnalysis = analysis;
+    this._setWorkletActive(false);
+
+    return analysis;
   }
 
-  _detectChord(chroma, bassPc) {
-    let best = { score: -1, root: 0, quality: "maj" };
+  /* -------------------------- Analysis Settings -------------------------- */
 
-    for (const t of this.templates) {
-      const score = this._dot12(chroma, t.vec);
-      if (score > best.score) best = { score, root: t.root, quality: t.quality };
-    }
+  /**
+   * Chord vocabulary (keys of CHORD_QUALITIES). Applies to live analysis right away
+   * and to the next whole-track pass.
+   */
+  setChordQualities(qualities) {
+    this._coreOptions.chordQualities = [...qualities];
+    this.core?.setChordQualities(qualities);
+    this.workletNode?.port.postMessage({ type: "qualities", qualities: [...qualities] });
+  }
 
-    const confidence = this._clamp01((best.score - 0.20) / 0.80);
-    let name = this._formatChord(best.root, best.quality);
+  /** "hysteresis" or "viterbi". Same scope as setChordQualities. */
+  setChordDecoding(mode) {
+    this._coreOptions.chordDecoding = mode;
+    this.core?.setChordDecoding(mode);
+    this.workletNode?.port.postMessage({ type: "decoding", mode });
+  }
 
-    if (bassPc !== null && bassPc !== best.root) {
-      name = `${name}/${this.PC[bassPc]}`;
-    }
+  get chordDecoding() {
+    return this._coreOptions.chordDecoding;
+  }
 
-    return { chord: name, confidence };
+  /**
+   * Tuning override in cents vs. A4 = 440 Hz (e.g. -31.8 for A = 432 Hz);
+   * null goes back to automatic estimation. Same scope as setChordQualities.
+   */
+  setTuning(cents) {
+    this._coreOptions.tuningCents = cents;
+    this.core?.setTuning(cents);
+    this.workletNode?.port.postMessage({ type: "tuning", cents });
   }
 
-  _formatChord(rootPc, quality) {
-    const root = this.PC[rootPc];
-    switch (quality) {
-      case "maj":
-        return root;
-      case "min":
-        return `${root}m`;
-      case "maj7":
-        return `${root}maj7`;
-      case "min7":
-        return `${root}m7`;
-      case "dom7":
-        return `${root}7`;
-      case "dim":
-        return `${root}dim`;
-      default:
-        return root;
-    }
+  /** {cents, a4, confidence, manual, locked} of the timeline being shown, or null before analysis. */
+  get tuning() {
+    if (this.offlineAnalysis) return this.offlineAnalysis.tuning;
+    return this._live.tuning ?? null;
   }
 
-  _applyChordHysteresis(chordName) {
-    const now = performance.now();
+  /* -------------------------- Analysis State -------------------------- */
 
-    if (chordName === this.lastChord) {
-      this._candidateChord = chordName;
-      this._candidateSince = now;
-      return this.lastChord;
-    }
+  get events() {
+    if (this.offlineAnalysis) return this.offlineAnalysis.events;
+    if (this.core) return this.core.events;
+    return this._liveEvents;
+  }
 
-    if (chordName !== this._candidateChord) {
-      this._candidateChord = chordName;
-      this._candidateSince = now;
-      return this.lastChord;
-    }
+  get lastChord() {
+    if (this.core) return this.core.lastChord;
+    return this._live.chord;
+  }
 
-    // Golden Setting: 320ms
-    if (now - this._candidateSince >= this._stableMs) {
-      this.lastChord = this._candidateChord;
+  /** Key changes ({t, tonic, mode, name, confidence}); the first entry is the initial key. */
+  get keyChanges() {
+    if (this.offlineAnalysis) return this.offlineAnalysis.keyChanges;
+    if (this.core) return this.core.keyChanges;
+    return this._liveKeyChanges;
+  }
 
-      const t = this.currentTime;
-      const prev = this.events[this.events.length - 1]?.chord;
-      if (prev !== this.lastChord) {
-        this.events.push({ t, chord: this.lastChord, conf: 1, overridden: false });
-      }
-    }
+  /** Key in effect at time t (seconds), or null before one was detected. */
+  keyAt(t) {
+    return eventAt(this.keyChanges, t);
+  }
 
-    return this.lastChord;
+  /** Recent onset times (seconds, last ~8s). */
+  get onsets() {
+    if (this.core) return this.core.onsets;
+    return this._liveOnsets;
   }
 
-  /* -------------------------- BPM (Energy Onset) -------------------------- */
+  /**
+   * Timeline event active at time t (seconds), or null before the first chord.
+   */
+  chordAt(t) {
+    return eventAt(this.events, t);
+  }
 
-  _estimateBPMFromEnergy() {
-    let energy = 0;
-    for (let i = 0; i < this.timeData.length; i++) {
-      const x = this.timeData[i];
-      energy += x * x;
-    }
-    energy /= this.timeData.length;
+  /**
+   * Whole-track chroma frame at time t: {t, chroma, bassPc, chordCandidates} (the last hop
+   * ending by t), or null without a whole-track analysis.
+   */
+  chromagramAt(t) {
+    const frames = this.offlineAnalysis?.chromagram;
+    if (!frames?.length || !this.buffer) return null;
+    const i = Math.floor((t * this.buffer.sampleRate) / this.offlineAnalysis.hopSize) - 1;
+    return frames[Math.min(frames.length - 1, Math.max(0, i))];
+  }
 
-    this._energyHistory.push(energy);
-    if (this._energyHistory.length > this._energyHistorySize) this._energyHistory.shift();
-    if (this._energyHistory.length < 20) return null;
+  /* -------------------------- Tempo + Beat Grid -------------------------- */
 
-    const mean = this._energyHistory.reduce((a, b) => a + b, 0) / this._energyHistory.length;
-    const variance =
-      this._energyHistory.reduce((a, b) => a + (b - mean) * (b - mean), 0) / this._energyHistory.length;
-    const std = Math.sqrt(variance);
+  /** Stable tempo over time: [{t, bpm}] (one entry per tempo estimate). */
+  get tempoCurve() {
+    if (this.offlineAnalysis) return this.offlineAnalysis.tempoCurve;
+    if (this.core) return this.core.tempoCurve;
+    return this._liveTempoCurve;
+  }
 
-    const threshold = mean + 2.0 * std;
+  /** Tempo in effect at time t ({t, bpm}), or null before the first estimate. */
+  tempoAt(t) {
+    return eventAt(this.tempoCurve, t);
+  }
 
-    const nowS = this.currentTime;
-    const isOnset = energy > threshold;
+  /** Top tempo candidates [{bpm, confidence}] (whole song after whole-track analysis). */
+  get tempoCandidates() {
+    if (this.offlineAnalysis) return this.offlineAnalysis.tempoCandidates;
+    return this._live.tempoCandidates ?? [];
+  }
 
-    if (isOnset && nowS - this._lastOnsetTime > 0.12) {
-      this._lastOnsetTime = nowS;
-      this._onsets.push(nowS);
-      while (this._onsets.length && nowS - this._onsets[0] > 8) this._onsets.shift();
-    }
+  /** Final beats so far: [{t, downbeat, beat}] (beat = 1-based position in the bar). */
+  get beats() {
+    if (this.offlineAnalysis) return this.offlineAnalysis.beats;
+    if (this.core) return this.core.beats;
+    return this._liveBeats;
+  }
 
-    if (this._onsets.length < 4) return null;
+  /** Downbeat (bar start) times in seconds. */
+  get downbeats() {
+    return this.beats.filter((b) => b.downbeat).map((b) => b.t);
+  }
 
-    const intervals = [];
-    for (let i = 1; i < this._onsets.length; i++) {
-      const dt = this._onsets[i] - this._onsets[i - 1];
-      if (dt > 0.20 && dt < 2.0) intervals.push(dt);
-    }
-    if (intervals.length < 3) return null;
+  /** Beat period in seconds from the live tracker, or null. */
+  get beatPeriod() {
+    return this._live.beatPeriod ?? null;
+  }
 
-    intervals.sort((a, b) => a - b);
-    const median = intervals[Math.floor(intervals.length / 2)];
-    let bpm = 60 / median;
+  /**
+   * Detected meter: {timeSignature, beatsPerBar, confidence, uncertain, candidates}
+   * (top candidates [{timeSignature, confidence}] out of 2/4, 3/4, 4/4, 5/4, 6/8, 7/8),
+   * or null until enough beats have been tracked. beatsPerBar counts
+   * tracked beats, so 6/8 may be 2, 3 or 6 depending on the tracked pulse.
+   */
+  get meter() {
+    if (this.offlineAnalysis) return this.offlineAnalysis.meter;
+    if (this.core) return this.core.meter;
+    return this._live.meter ?? null;
+  }
 
-    while (bpm < 70) bpm *= 2;
-    while (bpm > 180) bpm /= 2;
+  /**
+   * Beats in [t0, t1). Live, the grid is extrapolated past the last final beat,
+   * so it can be drawn at the playhead (those beats carry `predicted: true`).
+   */
+  beatsBetween(t0, t1) {
+    const period = this.offlineAnalysis ? null : this.beatPeriod;
+    const meter = this.meter;
+    const beatsPerBar = this.core?.beatTracker.beatsPerBar ?? (meter && !meter.uncertain ? meter.beatsPerBar : 4);
+    return beatsInRange(this.beats, t0, t1, period, beatsPerBar);
+  }
 
-    return Math.round(bpm);
+  /** Time of the beat (or downbeat) closest to t, for snapping; t itself when there is no grid. */
+  snapToBeat(t, { downbeatsOnly = false } = {}) {
+    return nearestBeat(this.beats, t, { downbeatsOnly })?.t ?? t;
   }
 
   /* -------------------------- Timeline Editing -------------------------- */
@@ -846,16 +1572,4 @@ export class AudioEngine {
     ev.overridden = true;
     ev.userChord = chordText;
   }
-
-  /* -------------------------- Utils -------------------------- */
-
-  _dot12(a, b) {
-    let s = 0;
-    for (let i = 0; i < 12; i++) s += a[i] * b[i];
-    return s;
-  }
-
-  _clamp01(x) {
-    return Math.max(0, Math.min(1, x));
-  }
 }
@@ -0,0 +1,394 @@
+/**
+ * SonicMind Chart Export — chord timeline -> files (no DOM, no Web Audio)
+ *
+ * Input is a chart as shown on screen (overrides and capo already applied):
+ *   {title, bpm, timeSignature, beatsPerBar, barOrigin, key,
+ *    events: [{start, end, chord}]}
+ * - bpm / beatsPerBar are in tracked beats (see estimateMeter); null = 120 BPM, 4/4
+ * - barOrigin = time of a downbeat (s); bars are counted from there
+ *
+ * Formats:
+ * - ChordPro: directives + a {start_of_grid} bar chart (one cell per beat)
+ * - MusicXML: harmony-only score (partwise 4.0), chords on the beat grid
+ * - Standard MIDI File (format 1): tempo / time-signature / key meta track + chord track
+ * - CSV / JSON: start, end, chord in seconds
+ */
+
+import { NOTE_NAME_PATTERN, NO_CHORD, keyFifths, parseNoteSpelling } from "./dsp-core.js";
+import { chordSuffix, parseChordSymbol } from "./chord-symbols.js";
+
+const DEFAULT_BPM = 120;
+const DEFAULT_TIME_SIGNATURE = "4/4";
+
+/* -------------------------- Keys -------------------------- */
+
+const KEY_RE = new RegExp(`^(${NOTE_NAME_PATTERN})\\s+(major|minor)$`);
+
+/** "A minor" / "Eb major" -> {fifths (-7..7, flats negative), minor}, or null. */
+function keySignature(key) {
+  const m = KEY_RE.exec(key ?? "");
+  if (!m) return null;
+  let fifths = keyFifths(parseNoteSpelling(m[1]), m[2]);
+  // Theoretical keys (A# major) use the enharmonic signature
+  if (fifths > 7) fifths -= 12;
+  if (fifths < -7) fifths += 12;
+  return { fifths, minor: m[2] === "minor" };
+}
+
+/* -------------------------- Beat Grid -------------------------- */
+
+/**
+ * Bar/beat layout shared by the notated formats. A tracked beat may be a quarter,
+ * an eighth or a dotted quarter, so everything is converted through quarter notes.
+ */
+function chartGrid(chart) {
+  const bpm = chart.bpm > 0 ? chart.bpm : DEFAULT_BPM;
+  const timeSignature = /^\d+\/\d+$/.test(chart.timeSignature ?? "") ? chart.timeSignature : DEFAULT_TIME_SIGNATURE;
+  const [num, den] = timeSignature.split("/").map(Number);
+  const beatsPerBar = chart.beatsPerBar > 0 ? chart.beatsPerBar : num;
+
+  const beatSec = 60 / bpm;
+  const barSec = beatSec * beatsPerBar;
+  const barQuarters = (num * 4) / den;
+  const beatQuarters = barQuarters / beatsPerBar;
+
+  // Start on the first bar line at or before the first chord (a chord just ahead of it snaps on)
+  const firstStart = chart.events[0]?.start ?? 0;
+  let origin = Number.isFinite(chart.barOrigin) ? chart.barOrigin : firstStart;
+  if (origin > firstStart + beatSec / 2) origin -= Math.ceil((origin - firstStart) / barSec) * barSec;
+
+  const end = chart.events.length ? chart.events[chart.events.length - 1].end : origin;
+  const bars = Math.max(1, Math.ceil((end - origin) / barSec - 1e-6));
+
+  return { bpm, timeSignature, num, den, beatsPerBar, beatSec, barSec, barQuarters, beatQuarters, origin, bars };
+}
+
+/**
+ * Chords quantized to the beat grid: [{beat, chord}] (beat = absolute beat index from
+ * the origin). Chords shorter than a beat lose to their neighbours.
+ */
+function quantizeEvents(chart, grid) {
+  const out = [];
+  for (const ev of chart.events) {
+    const beat = Math.max(0, Math.round((ev.start - grid.origin) / grid.beatSec));
+    const last = out[out.length - 1];
+    if (last && last.beat === beat) last.chord = ev.chord;
+    else if (!last || last.chord !== ev.chord) out.push({ beat, chord: ev.chord });
+  }
+  // A replaced chord can leave two equal neighbours behind
+  return out.filter((e, i) => i === 0 || e.chord !== out[i - 1].chord);
+}
+
+/* -------------------------- ChordPro -------------------------- */
+
+export function toChordPro(chart) {
+  const grid = chartGrid(chart);
+  const lines = [];
+  if (chart.title) lines.push(`{title: ${chart.title}}`);
+  if (chart.key) lines.push(`{key: ${chart.key}}`);
+  lines.push(`{tempo: ${Math.round(grid.bpm)}}`);
+  lines.push(`{time: ${grid.timeSignature}}`);
+  lines.push("");
+
+  const cells = new Array(grid.bars * grid.beatsPerBar).fill(".");
+  for (const { beat, chord } of quantizeEvents(chart, grid)) {
+    if (beat < cells.length) cells[beat] = chord === NO_CHORD ? "N.C." : chord;
+  }
+
+  lines.push(`{start_of_grid: 4x${grid.beatsPerBar}}`); // measures per row x beats per measure
+  for (let bar = 0; bar < grid.bars; bar += 4) {
+    let row = "|";
+    for (let b = bar; b < Math.min(bar + 4, grid.bars); b++) {
+      row += ` ${cells.slice(b * grid.beatsPerBar, (b + 1) * grid.beatsPerBar).join(" ")} |`;
+    }
+    lines.push(row);
+  }
+  lines.push("{end_of_grid}");
+  return lines.join("\n") + "\n";
+}
+
+/* -------------------------- MusicXML -------------------------- */
+
+const MUSICXML_KINDS = {
+  maj: "major",
+  min: "minor",
+  maj7: "major-seventh",
+  min7: "minor-seventh",
+  dom7: "dominant",
+  dim: "diminished",
+  sus2: "suspended-second",
+  sus4: "suspended-fourth",
+  add9: "major",
+  maj6: "major-sixth",
+  min6: "minor-sixth",
+  aug: "augmented",
+  m7b5: "half-diminished",
+  dim7: "diminished-seventh",
+  dom9: "dominant-ninth",
+  power: "power"
+};
+
+// Divisions per quarter note: fine enough for quarter, eighth and dotted-quarter beats
+const XML_DIVISIONS = 6;
+
+function xmlEscape(text) {
+  return String(text).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+/** <root>/<bass> step + alter, spelled as in the chord symbol. */
+function xmlPitch(tag, name) {
+  const { letter, alter } = parseNoteSpelling(name);
+  const alterTag = alter ? `<${tag}-alter>${alter}</${tag}-alter>` : "";
+  return `<${tag}><${tag}-step>${"CDEFGAB"[letter]}</${tag}-step>${alterTag}</${tag}>`;
+}
+
+const TRIAD_KINDS = {
+  maj: "major",
+  min: "minor",
+  dim: "diminished",
+  aug: "augmented",
+  sus2: "suspended-second",
+  sus4: "suspended-fourth",
+  power: "power"
+};
+
+function xmlDegree(value, alter, type) {
+  return (
+    `<degree><degree-value>${value}</degree-value><degree-alter>${alter}</degree-alter>` +
+    `<degree-type>${type}</degree-type></degree>`
+  );
+}
+
+/**
+ * Chords outside the vocabulary: the closest MusicXML kind for triad + seventh +
+ * extension, then <degree>s for what the kind doesn't say (alterations, adds).
+ */
+function xmlKindOf(chord) {
+  const { triad, seventh, extension } = chord;
+  const alterations = [...chord.alterations];
+  const degrees = [];
+  const absorb = (a) => alterations.splice(alterations.indexOf(a), 1);
+  const ext = { 9: "ninth", 11: "11th", 13: "13th" }[extension];
+  let kind;
+
+  if (triad === "maj" && seventh === "7") kind = ext ? `major-${ext}` : "major-seventh";
+  else if (triad === "maj" && seventh === "b7" && alterations.includes("#5") && !ext) {
+    kind = "augmented-seventh";
+    absorb("#5");
+  } else if (triad === "maj" && seventh === "b7") kind = ext ? `dominant-${ext}` : "dominant";
+  else if (triad === "min" && seventh === "b7" && alterations.includes("b5") && !ext) {
+    kind = "half-diminished";
+    absorb("b5");
+  } else if (triad === "min" && seventh === "b7") kind = ext ? `minor-${ext}` : "minor-seventh";
+  else if (triad === "min" && seventh === "7") kind = "major-minor";
+  else if (triad === "dim" && seventh === "bb7") kind = "diminished-seventh";
+  else if (chord.sixth) kind = triad === "min" ? "minor-sixth" : "major-sixth";
+  else {
+    kind = TRIAD_KINDS[triad];
+    // Sus chords with a seventh have no kind of their own
+    if (seventh) degrees.push(xmlDegree(7, seventh === "7" ? 0 : -1, "add"));
+  }
+  // Extensions the kind didn't carry (mMaj9, 9sus4) are added tones
+  if (ext && !/ninth|11th|13th/.test(kind)) {
+    for (const d of [9, 11, 13]) if (d <= extension) degrees.push(xmlDegree(d, 0, "add"));
+  }
+  for (const a of alterations) {
+    const value = Number(a.slice(1));
+    degrees.push(xmlDegree(value, a[0] === "b" ? -1 : 1, value === 5 ? "alter" : "add"));
+  }
+  for (const d of chord.added) degrees.push(xmlDegree(d, 0, "add"));
+  return { kind, degrees: degrees.join("") };
+}
+
+function xmlHarmony(chord) {
+  const parsed = parseChordSymbol(chord);
+  if (!parsed) {
+    // N.C. and unreadable overrides: keep the text above the staff
+    const words = chord === NO_CHORD ? "N.C." : chord;
+    return `<direction placement="above"><direction-type><words>${xmlEscape(words)}</words></direction-type></direction>`;
+  }
+  const { quality, bass, rootName, bassName } = parsed;
+  const { kind, degrees } = quality
+    ? { kind: MUSICXML_KINDS[quality], degrees: quality === "add9" ? xmlDegree(9, 0, "add") : "" }
+    : xmlKindOf(parsed);
+  return (
+    `<harmony>${xmlPitch("root", rootName)}` +
+    `<kind text="${xmlEscape(chordSuffix(parsed))}">${kind}</kind>` +
+    `${bass != null ? xmlPitch("bass", bassName) : ""}${degrees}</harmony>`
+  );
+}
+
+export function toMusicXML(chart) {
+  const grid = chartGrid(chart);
+  const beatDivs = Math.round(grid.beatQuarters * XML_DIVISIONS);
+  const key = keySignature(chart.key);
+  const barDivs = beatDivs * grid.beatsPerBar;
+
+  const byBar = Array.from({ length: grid.bars }, () => []);
+  for (const e of quantizeEvents(chart, grid)) {
+    const bar = Math.floor(e.beat / grid.beatsPerBar);
+    if (bar < grid.bars) byBar[bar].push({ offset: (e.beat % grid.beatsPerBar) * beatDivs, chord: e.chord });
+  }
+
+  const measures = byBar.map((harmonies, i) => {
+    const parts = [];
+    if (i === 0) {
+      parts.push(
+        `<attributes><divisions>${XML_DIVISIONS}</divisions>` +
+          `<key><fifths>${key?.fifths ?? 0}</fifths>${key ? `<mode>${key.minor ? "minor" : "major"}</mode>` : ""}</key>` +
+          `<time><beats>${grid.num}</beats><beat-type>${grid.den}</beat-type></time>` +
+          "<clef><sign>G</sign><line>2</line></clef></attributes>",
+        `<direction placement="above"><direction-type><metronome><beat-unit>quarter</beat-unit>` +
+          `<per-minute>${Math.round(grid.bpm * grid.beatQuarters)}</per-minute></metronome></direction-type>` +
+          `<sound tempo="${(grid.bpm * grid.beatQuarters).toFixed(2)}"/></direction>`
+      );
+    }
+    // Harmonies sit on the beat via <forward>, then one measure rest fills the bar
+    let pos = 0;
+    for (const h of harmonies) {
+      if (h.offset > pos) parts.push(`<forward><duration>${h.offset - pos}</duration></forward>`);
+      pos = h.offset;
+      parts.push(xmlHarmony(h.chord));
+    }
+    if (pos > 0) parts.push(`<backup><duration>${pos}</duration></backup>`);
+    parts.push(`<note><rest measure="yes"/><duration>${barDivs}</duration></note>`);
+    return `    <measure number="${i + 1}">\n      ${parts.join("\n      ")}\n    </measure>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+    `  <work><work-title>${xmlEscape(chart.title || "Untitled")}</work-title></work>`,
+    '  <part-list><score-part id="P1"><part-name>Chords</part-name></score-part></part-list>',
+    '  <part id="P1">',
+    ...measures,
+    "  </part>",
+    "</score-partwise>",
+    ""
+  ].join("\n");
+}
+
+/* -------------------------- Standard MIDI File -------------------------- */
+
+const MIDI_PPQ = 480;
+const MIDI_CHORD_OCTAVE = 60; // chord tones from middle C up
+const MIDI_BASS_OCTAVE = 36;
+const MIDI_VELOCITY = 80;
+
+function varLen(n) {
+  const bytes = [n & 0x7f];
+  while ((n >>= 7)) bytes.unshift((n & 0x7f) | 0x80);
+  return bytes;
+}
+
+/** Track chunk from [{tick, data: [...bytes]}] (sorted here; end-of-track appended). */
+function midiTrack(events) {
+  events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+  const body = [];
+  let last = 0;
+  for (const e of events) {
+    body.push(...varLen(e.tick - last), ...e.data);
+    last = e.tick;
+  }
+  body.push(0, 0xff, 0x2f, 0);
+  const len = body.length;
+  return [0x4d, 0x54, 0x72, 0x6b, (len >>> 24) & 0xff, (len >>> 16) & 0xff, (len >>> 8) & 0xff, len & 0xff, ...body];
+}
+
+function metaText(type, text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  return [0xff, type, ...varLen(bytes.length), ...bytes];
+}
+
+/** Key signature meta from the chart key, or null. */
+function midiKeySignature(key) {
+  const signature = keySignature(key);
+  return signature && [0xff, 0x59, 2, signature.fifths & 0xff, signature.minor ? 1 : 0];
+}
+
+/**
+ * Format-1 SMF as bytes. Track 1: tempo, time signature and key from the chart;
+ * track 2: one block chord per event (bass note an octave below for slash chords
+ * and root position alike). Timing is unquantized: tick = seconds at the chart tempo.
+ */
+export function toMidi(chart) {
+  const grid = chartGrid(chart);
+  const quarterBpm = grid.bpm * grid.beatQuarters;
+  const toTick = (sec) => Math.max(0, Math.round((sec * quarterBpm * MIDI_PPQ) / 60));
+
+  const usPerQuarter = Math.round(60e6 / quarterBpm);
+  const meta = [
+    { tick: 0, order: 0, data: metaText(0x03, chart.title || "SonicMind") },
+    { tick: 0, order: 1, data: [0xff, 0x51, 3, (usPerQuarter >> 16) & 0xff, (usPerQuarter >> 8) & 0xff, usPerQuarter & 0xff] },
+    { tick: 0, order: 2, data: [0xff, 0x58, 4, grid.num, Math.log2(grid.den), 24, 8] }
+  ];
+  const keySignature = midiKeySignature(chart.key);
+  if (keySignature) meta.push({ tick: 0, order: 3, data: keySignature });
+
+  const notes = [
+    { tick: 0, order: 0, data: metaText(0x03, "Chords") },
+    { tick: 0, order: 1, data: [0xc0, 0] } // Acoustic Grand Piano
+  ];
+  for (const ev of chart.events) {
+    const parsed = parseChordSymbol(ev.chord);
+    const t0 = toTick(ev.start);
+    const t1 = toTick(ev.end);
+    if (t1 <= t0) continue;
+
+    if (!parsed) {
+      // N.C. / free text: a marker, no notes
+      notes.push({ tick: t0, order: 2, data: metaText(0x06, ev.chord === NO_CHORD ? "N.C." : ev.chord) });
+      continue;
+    }
+    const pitches = parsed.intervals.map((i) => MIDI_CHORD_OCTAVE + parsed.root + i);
+    pitches.push(MIDI_BASS_OCTAVE + (parsed.bass ?? parsed.root));
+    notes.push({ tick: t0, order: 2, data: metaText(0x06, ev.chord) });
+    // Note-offs sort before note-ons at the same tick, so repeated pitches retrigger
+    for (const p of pitches) {
+      notes.push({ tick: t0, order: 3, data: [0x90, p, MIDI_VELOCITY] });
+      notes.push({ tick: t1, order: -1, data: [0x80, p, 0] });
+    }
+  }
+
+  const header = [0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 1, 0, 2, (MIDI_PPQ >> 8) & 0xff, MIDI_PPQ & 0xff];
+  return new Uint8Array([...header, ...midiTrack(meta), ...midiTrack(notes)]);
+}
+
+/* -------------------------- CSV / JSON -------------------------- */
+
+function csvField(text) {
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(chart) {
+  const rows = ["start,end,chord"];
+  for (const ev of chart.events) rows.push(`${ev.start.toFixed(3)},${ev.end.toFixed(3)},${csvField(ev.chord)}`);
+  return rows.join("\n") + "\n";
+}
+
+export function toJSON(chart) {
+  const round = (t) => Math.round(t * 1000) / 1000;
+  return (
+    JSON.stringify(
+      {
+        title: chart.title ?? null,
+        bpm: chart.bpm ?? null,
+        timeSignature: chart.timeSignature ?? null,
+        key: chart.key ?? null,
+        events: chart.events.map((ev) => ({ start: round(ev.start), end: round(ev.end), chord: ev.chord }))
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+/** Menu entries: id -> {label, extension, mime, build(chart) -> string | Uint8Array}. */
+export const EXPORT_FORMATS = {
+  chordpro: { label: "ChordPro", extension: "cho", mime: "application/x-chordpro", build: toChordPro },
+  musicxml: { label: "MusicXML", extension: "musicxml", mime: "application/vnd.recordare.musicxml+xml", build: toMusicXML },
+  midi: { label: "MIDI", extension: "mid", mime: "audio/midi", build: toMidi },
+  csv: { label: "CSV", extension: "csv", mime: "text/csv", build: toCSV },
+  json: { label: "JSON", extension: "json", mime: "application/json", build: toJSON }
+};
@@ -0,0 +1,377 @@
+/**
+ * SonicMind Chord Diagrams — guitar chord boxes and keyboard voicings as SVG markup (no DOM)
+ *
+ * Chords are parsed chord symbols (chord-symbols.js): root / bass pitch classes,
+ * the CHORD_QUALITIES key (null for chords outside the vocabulary) and intervals.
+ *
+ * Guitar (standard tuning):
+ * - A voicing library: common open shapes plus movable E-, A- and D-form shapes for
+ *   every quality, placed at the root's fret
+ * - Slash chords put the bass on a lower string, move the lowest note to it, or drop
+ *   the strings below a chord tone that is the bass
+ * - Playable voicings only (all chord tones but the fifth, and the ninth of six-note
+ *   chords; four-fret span, three strings or more), open and low positions first;
+ *   chords no shape reaches (incl. extended ones like maj7#11) are searched for fret
+ *   by fret
+ * - Voicings are fret strings low E to high E ("x32010"); with a capo they are frets
+ *   above it, i.e. the shape of the chord a capo-fret lower than concert pitch
+ *
+ * Keyboard: the chord from middle C up in root position and each inversion; the bass
+ * (slash note or root) an octave below.
+ *
+ * Usage:
+ *   const chord = parseChordSymbol("C/E");
+ *   const [best] = guitarVoicings(chord);            // "032010"
+ *   el.innerHTML = guitarDiagramSVG(best, { capo: 2 });
+ *   el.innerHTML = keyboardDiagramSVG(keyboardVoicings(chord)[0]);
+ */
+
+import { parseChordSymbol } from "./chord-symbols.js";
+
+/* -------------------------- Guitar Voicings -------------------------- */
+
+const GUITAR_STRINGS = [40, 45, 50, 55, 59, 64]; // E2 A2 D3 G3 B3 E4, low to high
+const MAX_FRET = 15;
+const MAX_SPAN = 3; // highest - lowest fretted note (four frets)
+const MIN_STRINGS = 3;
+const MAX_VOICINGS = 6;
+
+// Movable shapes as fret offsets from the root's fret (null = muted), low E to high E.
+// E-form has the root on the 6th string, A-form on the 5th, D-form on the 4th.
+const MOVABLE_SHAPES = {
+  maj: [[0, 2, 2, 1, 0, 0], [null, 0, 2, 2, 2, 0], [null, null, 0, 2, 3, 2]],
+  min: [[0, 2, 2, 0, 0, 0], [null, 0, 2, 2, 1, 0], [null, null, 0, 2, 3, 1]],
+  maj7: [[0, null, 1, 1, 0, null], [null, 0, 2, 1, 2, 0], [null, null, 0, 2, 2, 2]],
+  min7: [[0, 2, 0, 0, 0, 0], [null, 0, 2, 0, 1, 0], [null, null, 0, 2, 1, 1]],
+  dom7: [[0, 2, 0, 1, 0, 0], [null, 0, 2, 0, 2, 0], [null, null, 0, 2, 1, 2]],
+  dim: [[0, 1, 2, 0, null, null], [null, 0, 1, 2, 1, null], [null, null, 0, 1, 3, 1]],
+  sus2: [[0, 2, 4, 4, 0, 0], [null, 0, 2, 2, 0, 0], [null, null, 0, 2, 3, 0]],
+  sus4: [[0, 2, 2, 2, 0, 0], [null, 0, 2, 2, 3, 0], [null, null, 0, 2, 3, 3]],
+  add9: [[0, 2, 2, 1, 0, 2], [null, 0, 2, 4, 2, 0]],
+  maj6: [[0, 2, 2, 1, 2, 0], [null, 0, 2, 2, 2, 2], [null, null, 0, 2, 0, 2]],
+  min6: [[0, 2, 2, 0, 2, 0], [null, 0, 2, 2, 1, 2], [null, null, 0, 2, 0, 1]],
+  aug: [[0, 3, 2, 1, 1, 0], [null, 0, 3, 2, 2, 1], [null, null, 0, 3, 3, 2]],
+  m7b5: [[0, 1, 0, 0, null, null], [null, 0, 1, 0, 1, null], [null, null, 0, 1, 1, 1]],
+  dim7: [[0, 1, 2, 0, 2, 0], [null, 0, 1, 2, 1, 2], [null, null, 0, 1, 0, 1]],
+  dom9: [[0, 2, 0, 1, 0, 2], [null, 0, -1, 0, 0, 0]],
+  power: [[0, 2, 2, null, null, null], [null, 0, 2, 2, null, null], [null, null, 0, 2, 3, null]]
+};
+
+// Open-position shapes that are not a movable form at fret 0
+const OPEN_SHAPES = {
+  C: "x32010",
+  C7: "x32310",
+  Cmaj7: "x32000",
+  Cadd9: "x32030",
+  C6: "x32210",
+  Csus4: "x33011",
+  Caug: "x32110",
+  G: "320003",
+  G7: "320001",
+  Gmaj7: "320002",
+  G6: "320000",
+  Gadd9: "320203",
+  Gsus2: "3x0233",
+  Gsus4: "330013",
+  F: "xx3211",
+  Fmaj7: "xx3210",
+  Em7: "022030",
+  Bm7: "x20202",
+  B7: "x21202"
+};
+
+const OPEN_LIBRARY = Object.entries(OPEN_SHAPES).map(([name, frets]) => ({
+  chord: parseChordSymbol(name),
+  frets: parseFrets(frets)
+}));
+
+/** "x32010" -> [null, 3, 2, 0, 1, 0]. */
+function parseFrets(text) {
+  return [...text].map((c) => (c === "x" ? null : parseInt(c, 36)));
+}
+
+/** [null, 3, 2, 0, 1, 0] -> "x32010" (frets above 9 as letters, a = 10). */
+function formatFrets(frets) {
+  return frets.map((f) => (f == null ? "x" : f.toString(36))).join("");
+}
+
+function fretPitch(string, fret) {
+  return GUITAR_STRINGS[string] + fret;
+}
+
+/** Lowest played string, or -1. */
+function lowestString(frets) {
+  return frets.findIndex((f) => f != null);
+}
+
+/** Frets the bass pitch class can be played at on `string` next to the fretted notes. */
+function bassFrets(frets, string, bass) {
+  const fretted = frets.filter((f) => f > 0);
+  const lo = fretted.length ? Math.max(...fretted) - MAX_SPAN : 0;
+  const hi = fretted.length ? Math.min(...fretted) + MAX_SPAN : MAX_SPAN;
+  const out = [];
+  for (let f = (bass - GUITAR_STRINGS[string] + 120) % 12; f <= MAX_FRET; f += 12) {
+    if (f === 0 || (f >= lo && f <= hi)) out.push(f);
+  }
+  return out;
+}
+
+/** Variants of a voicing whose lowest note is the bass (none if it can't be reached). */
+function withBass(frets, bass) {
+  const low = lowestString(frets);
+  if (low < 0) return [];
+  if (fretPitch(low, frets[low]) % 12 === bass) return [frets];
+  const out = [];
+
+  // Drop the strings below a chord tone that is the bass (G/B from 320003 -> x20003)
+  for (let s = low + 1; s < frets.length; s++) {
+    if (frets[s] != null && fretPitch(s, frets[s]) % 12 === bass) {
+      out.push(frets.map((f, i) => (i < s ? null : f)));
+      break;
+    }
+  }
+
+  // Move the lowest note to the bass (C/B from x32010 -> x22010)
+  for (const f of bassFrets(frets, low, bass)) out.push(frets.map((g, i) => (i === low ? f : g)));
+
+  // Add the bass on one of the two strings below (C/G from x32010 -> 332010)
+  for (let s = low - 1; s >= Math.max(0, low - 2); s--) {
+    for (const f of bassFrets(frets, s, bass)) out.push(frets.map((g, i) => (i === s ? f : g)));
+  }
+  return out;
+}
+
+/** Pitch classes of the chord (bass included). */
+function chordTones(chord) {
+  const tones = new Set(chord.intervals.map((i) => (chord.root + i) % 12));
+  tones.add(chord.bass ?? chord.root);
+  return tones;
+}
+
+/** Playable, and the chord: every tone but the optional ones present, nothing else, bass lowest. */
+function isValidVoicing(frets, chord) {
+  const played = frets.map((f, s) => (f == null ? null : fretPitch(s, f))).filter((p) => p != null);
+  if (played.length < MIN_STRINGS) return false;
+
+  const fretted = frets.filter((f) => f > 0);
+  if (fretted.length && Math.max(...fretted) - Math.min(...fretted) > MAX_SPAN) return false;
+
+  const tones = chordTones(chord);
+  const optional = new Set();
+  if (tones.size > 3) optional.add((chord.root + 7) % 12);
+  if (tones.size > 5) optional.add((chord.root + 2) % 12);
+  optional.delete(chord.bass ?? chord.root);
+  const pcs = new Set(played.map((p) => p % 12));
+  for (const pc of pcs) if (!tones.has(pc)) return false;
+  for (const pc of tones) if (!pcs.has(pc) && !optional.has(pc)) return false;
+  return Math.min(...played) % 12 === (chord.bass ?? chord.root);
+}
+
+/** Lower is easier: low position, few fretted / muted strings, open strings help. */
+function voicingCost(frets, curated) {
+  const fretted = frets.filter((f) => f > 0);
+  const position = fretted.length ? Math.min(...fretted) : 0;
+  const muted = frets.filter((f) => f == null).length;
+  // Muted strings between played ones are awkward to damp
+  const low = lowestString(frets);
+  const high = frets.findLastIndex((f) => f != null);
+  const inner = frets.filter((f, s) => f == null && s > low && s < high).length;
+  return position + fretted.length * 0.4 + muted * 0.6 + inner * 1.5 - (curated ? 2 : 0);
+}
+
+// Timeline blocks are redrawn every frame; the search behind a chord runs once
+const voicingCache = new Map();
+
+/**
+ * Fallback for chords no library shape reaches (e.g. Cmaj7/B): every fingering in a
+ * four-fret window at each position, built low string to high with only the bass or
+ * chord tones allowed on each string.
+ */
+function searchVoicings(chord) {
+  const bass = chord.bass ?? chord.root;
+  const tones = chordTones(chord);
+  const found = [];
+
+  for (let position = 1; position + MAX_SPAN <= MAX_FRET; position++) {
+    const frets = [];
+    const walk = (s, hasBass) => {
+      if (s === GUITAR_STRINGS.length) {
+        if (isValidVoicing(frets, chord)) found.push([...frets]);
+        return;
+      }
+      const options = [null, 0];
+      for (let f = position; f <= position + MAX_SPAN; f++) options.push(f);
+      for (const f of options) {
+        if (f != null) {
+          const pc = fretPitch(s, f) % 12;
+          if (hasBass ? !tones.has(pc) : pc !== bass) continue;
+        }
+        frets[s] = f;
+        walk(s + 1, hasBass || f != null);
+      }
+    };
+    walk(0, false);
+  }
+  return found;
+}
+
+/**
+ * Guitar voicings for a chord, easiest first: fret strings low E to high E ("x32010").
+ * Empty if nothing playable fits the chord.
+ */
+export function guitarVoicings(chord) {
+  if (!chord) return [];
+  const bass = chord.bass ?? chord.root;
+  const cacheKey = `${chord.root}:${chord.intervals.join(",")}:${bass}`;
+  if (voicingCache.has(cacheKey)) return voicingCache.get(cacheKey);
+  const candidates = [];
+
+  for (const open of OPEN_LIBRARY) {
+    if (open.chord.root === chord.root && open.chord.quality === chord.quality) {
+      candidates.push({ frets: open.frets, curated: true });
+    }
+  }
+  for (const shape of MOVABLE_SHAPES[chord.quality] ?? []) {
+    const rootString = lowestString(shape);
+    let fret = (chord.root - GUITAR_STRINGS[rootString] + 120) % 12;
+    if (fret + Math.min(...shape.filter((o) => o != null)) < 0) fret += 12;
+    const frets = shape.map((o) => (o == null ? null : fret + o));
+    if (Math.max(...frets.filter((f) => f != null)) <= MAX_FRET) candidates.push({ frets, curated: false });
+  }
+
+  const best = new Map();
+  const add = (frets, curated) => {
+    const key = formatFrets(frets);
+    const cost = voicingCost(frets, curated);
+    if (!best.has(key) || best.get(key) > cost) best.set(key, cost);
+  };
+  for (const { frets, curated } of candidates) {
+    for (const variant of withBass(frets, bass)) if (isValidVoicing(variant, chord)) add(variant, curated);
+  }
+  if (!best.size) for (const frets of searchVoicings(chord)) add(frets, false);
+  const voicings = [...best.entries()]
+    .sort((a, b) => a[1] - b[1])
+    .slice(0, MAX_VOICINGS)
+    .map(([key]) => key);
+  voicingCache.set(cacheKey, voicings);
+  return voicings;
+}
+
+/* -------------------------- Keyboard Voicings -------------------------- */
+
+const KEYS_CHORD_OCTAVE = 60; // right hand from middle C up
+const KEYS_BASS_OCTAVE = 48;
+
+/**
+ * Keyboard voicings: root position, then each inversion. {notes, bass} as MIDI
+ * numbers, chord tones ascending; bass = the slash note (or root) an octave below.
+ */
+export function keyboardVoicings(chord) {
+  if (!chord) return [];
+  const tones = chord.intervals.map((i) => chord.root + i);
+  const bass = KEYS_BASS_OCTAVE + (chord.bass ?? chord.root);
+
+  return tones.map((_, inversion) => {
+    const notes = tones.map((p, i) => (i < inversion ? p + 12 : p)).sort((a, b) => a - b);
+    // Lowest right-hand note stays within the octave above middle C
+    const shift = Math.floor((notes[0] - KEYS_CHORD_OCTAVE + 120) / 12) * 12 - 120;
+    return { notes: notes.map((p) => p - shift), bass };
+  });
+}
+
+/* -------------------------- SVG -------------------------- */
+
+const GUITAR_FRETS_SHOWN = 4;
+const G_LEFT = 14; // room for the position label
+const G_TOP = 16;
+const G_STRING_GAP = 8;
+const G_FRET_GAP = 12;
+
+/**
+ * Chord box for a fret string: strings left (low E) to right, "x"/"o" above the nut,
+ * a barre where the lowest fret is held across strings, "5fr" past the open
+ * position, "capo N" under the box (frets are counted from the capo).
+ */
+export function guitarDiagramSVG(frets, { capo = 0, title = "" } = {}) {
+  const f = parseFrets(frets);
+  const fretted = f.filter((x) => x > 0);
+  const maxFret = fretted.length ? Math.max(...fretted) : 0;
+  const base = maxFret <= GUITAR_FRETS_SHOWN ? 1 : Math.min(...fretted);
+  const width = G_LEFT + G_STRING_GAP * 5 + 8;
+  const bottom = G_TOP + G_FRET_GAP * GUITAR_FRETS_SHOWN;
+  const height = bottom + (capo > 0 ? 12 : 4);
+  const x = (s) => G_LEFT + s * G_STRING_GAP;
+  const y = (fret) => G_TOP + (fret - base + 0.5) * G_FRET_GAP;
+
+  const parts = [];
+  if (title) parts.push(`<title>${escapeXml(title)}</title>`);
+  for (let i = 0; i <= GUITAR_FRETS_SHOWN; i++) {
+    const cls = i === 0 && base === 1 ? "nut" : "fret";
+    parts.push(`<line class="${cls}" x1="${x(0)}" y1="${G_TOP + i * G_FRET_GAP}" x2="${x(5)}" y2="${G_TOP + i * G_FRET_GAP}"/>`);
+  }
+  for (let s = 0; s < 6; s++) parts.push(`<line class="string" x1="${x(s)}" y1="${G_TOP}" x2="${x(s)}" y2="${bottom}"/>`);
+  if (base > 1) parts.push(`<text class="pos" x="${G_LEFT - 4}" y="${y(base) + 3}" text-anchor="end">${base}fr</text>`);
+
+  // Barre: the lowest fret on two or more strings with nothing open or muted between
+  const minFret = fretted.length ? Math.min(...fretted) : 0;
+  const held = f.map((x, s) => (x === minFret ? s : -1)).filter((s) => s >= 0);
+  let barre = null;
+  if (held.length >= 2) {
+    const [a, b] = [held[0], held[held.length - 1]];
+    if (f.slice(a, b + 1).every((x) => x >= minFret)) barre = [a, b];
+  }
+  if (barre) {
+    const [a, b] = barre;
+    parts.push(`<rect class="dot" x="${x(a) - 3}" y="${y(minFret) - 3}" width="${x(b) - x(a) + 6}" height="6" rx="3"/>`);
+  }
+
+  f.forEach((fret, s) => {
+    if (fret == null) {
+      parts.push(`<text class="mark" x="${x(s)}" y="${G_TOP - 4}" text-anchor="middle">×</text>`);
+    } else if (fret === 0) {
+      parts.push(`<circle class="open" cx="${x(s)}" cy="${G_TOP - 6}" r="2.5"/>`);
+    } else if (!(barre && fret === minFret && s >= barre[0] && s <= barre[1])) {
+      parts.push(`<circle class="dot" cx="${x(s)}" cy="${y(fret)}" r="3.2"/>`);
+    }
+  });
+  if (capo > 0) {
+    parts.push(`<text class="pos" x="${x(0)}" y="${bottom + 9}">capo ${capo}</text>`);
+  }
+
+  return `<svg class="diagram guitar" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">${parts.join("")}</svg>`;
+}
+
+const K_WHITE_W = 8;
+const K_WHITE_H = 32;
+const K_BLACK_W = 5;
+const K_BLACK_H = 20;
+const WHITE_STEPS = [0, 2, 4, 5, 7, 9, 11];
+
+/** Keys from the C below the bass to the B above the top note; chord tones lit, the bass in its own colour. */
+export function keyboardDiagramSVG({ notes, bass }, { title = "" } = {}) {
+  const from = Math.floor(bass / 12) * 12;
+  const to = Math.floor(Math.max(...notes) / 12) * 12 + 12;
+  const on = new Set(notes);
+  const cls = (p) => (p === bass ? " bass" : on.has(p) ? " on" : "");
+
+  const whites = [];
+  const blacks = [];
+  let wx = 0;
+  for (let p = from; p < to; p++) {
+    if (WHITE_STEPS.includes(p % 12)) {
+      whites.push(`<rect class="key white${cls(p)}" x="${wx}" y="0" width="${K_WHITE_W}" height="${K_WHITE_H}"/>`);
+      wx += K_WHITE_W;
+    } else {
+      blacks.push(
+        `<rect class="key black${cls(p)}" x="${wx - K_BLACK_W / 2}" y="0" width="${K_BLACK_W}" height="${K_BLACK_H}"/>`
+      );
+    }
+  }
+
+  const head = title ? `<title>${escapeXml(title)}</title>` : "";
+  return `<svg class="diagram keys" viewBox="-0.5 -0.5 ${wx + 1} ${K_WHITE_H + 1}" width="${wx + 1}" height="${K_WHITE_H + 1}">${head}${whites.join("")}${blacks.join("")}</svg>`;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+}
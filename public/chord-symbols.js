@@ -0,0 +1,398 @@
+/**
+ * SonicMind Chord Symbols — parser / normalizer for chord names (no DOM, no Web Audio)
+ *
+ * One grammar for detected labels, user overrides, transposition, export and diagrams:
+ *   symbol  = root suffix ["/" bass]        root, bass = note name (any spelling)
+ *   suffix  = [triad] [number] modifier*    N / N.C. = no chord
+ *   triad   = m min mi - | maj Maj ma M Δ | dim ° o | aug + | ø
+ *   number  = 5 | 6 | 6/9 | 69 | 7 | 9 | 11 | 13 | 2 (= add9) | 4 (= sus4)
+ *   modifier = sus2 | sus4 | sus | add(2|4|6|9|11|13) | (b|#)(5|9|11|13) | + (= #5)
+ * Parentheses, commas and spaces between parts are ignored: "Cm(maj7)", "C7(b9, #11)".
+ *
+ * Parsed chords: {root, rootName, bass, bassName (null without a slash), triad
+ * ("maj" | "min" | "dim" | "aug" | "sus2" | "sus4" | "power"), seventh (null | "b7" |
+ * "7" | "bb7"), sixth, extension (null | 9 | 11 | 13), alterations ["b5", "#11", …],
+ * added [9, 11, …], intervals (semitones above the root), quality (the CHORD_QUALITIES
+ * key with the same notes, or null)}.
+ *
+ * formatChord() writes the canonical spelling (the detector's suffixes where one
+ * fits: "Amin7" -> "Am7", "CΔ" -> "Cmaj7", "Cadd2" -> "Cadd9"); readChordInput()
+ * checks user input and offers a correction for typos.
+ *
+ * Usage:
+ *   const chord = parseChordSymbol("Bbmaj7#11");
+ *   formatChord(transposeChord(chord, 2));   // "Cmaj7#11"
+ *   readChordInput("Cmj7");                  // {ok: false, error, suggestion: "Cmaj7"}
+ */
+
+import { CHORD_QUALITIES, NOTE_NAME_PATTERN, NO_CHORD, PC_NAMES, parseNoteSpelling } from "./dsp-core.js";
+
+/* -------------------------- Tokens -------------------------- */
+
+// Longest first, so "maj" is not read as "m" + "aj" and "13" not as "1" + "3"
+const TOKENS = [
+  ["sus2", "sus2"],
+  ["sus4", "sus4"],
+  ["sus", "sus4"],
+  ["maj", "maj"],
+  ["Maj", "maj"],
+  ["min", "min"],
+  ["dim", "dim"],
+  ["aug", "aug"],
+  ["add", "add"],
+  ["6/9", "69"],
+  ["ma", "maj"],
+  ["mi", "min"],
+  ["69", "69"],
+  ["13", 13],
+  ["11", 11],
+  ["M", "maj"],
+  ["Δ", "delta"],
+  ["m", "min"],
+  ["-", "min"],
+  ["°", "dim"],
+  ["o", "dim"],
+  ["+", "aug"],
+  ["ø", "half"],
+  ["b", "flat"],
+  ["♭", "flat"],
+  ["#", "sharp"],
+  ["♯", "sharp"],
+  ["2", 2],
+  ["4", 4],
+  ["5", 5],
+  ["6", 6],
+  ["7", 7],
+  ["9", 9]
+].sort((a, b) => b[0].length - a[0].length);
+
+const IGNORED = new Set(["(", ")", ",", " "]);
+
+const ADDABLE = { 2: 14, 4: 17, 6: 21, 9: 14, 11: 17, 13: 21 };
+const ALTERABLE = { b5: 6, "#5": 8, b9: 13, "#9": 15, "#11": 18, b13: 20 };
+const ALTERATION_ORDER = Object.keys(ALTERABLE);
+
+const ROOT_RE = new RegExp(`^(${NOTE_NAME_PATTERN})(.*)$`);
+const NO_CHORD_RE = /^(N|N\.?C\.?|NC)$/i;
+
+class ChordSyntaxError extends Error {}
+
+/** Suffix text -> tokens [{text, value}]; throws on anything outside the grammar. */
+function tokenize(suffix) {
+  const tokens = [];
+  let i = 0;
+  while (i < suffix.length) {
+    if (IGNORED.has(suffix[i])) {
+      i++;
+      continue;
+    }
+    const match = TOKENS.find(([text]) => suffix.startsWith(text, i));
+    if (!match) throw new ChordSyntaxError(`Can't read "${suffix.slice(i)}".`);
+    tokens.push({ text: match[0], value: match[1] });
+    i += match[0].length;
+  }
+  return tokens;
+}
+
+/* -------------------------- Grammar -------------------------- */
+
+/** Tokens -> chord structure (without root / bass); throws ChordSyntaxError. */
+function parseSuffix(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos]?.value;
+  const take = () => tokens[pos++];
+  const chord = { triad: "maj", seventh: null, sixth: false, extension: null, alterations: [], added: [] };
+  let majorSeventh = false;
+  let sixNine = false;
+
+  // Triad
+  if (peek() === "min") {
+    take();
+    chord.triad = "min";
+    if (peek() === "maj" || peek() === "delta") majorSeventh = take().value;
+  } else if (peek() === "maj") {
+    take();
+    majorSeventh = "maj";
+  } else if (peek() === "delta") {
+    take();
+    majorSeventh = "delta";
+  } else if (peek() === "dim") {
+    take();
+    chord.triad = "dim";
+  } else if (peek() === "aug") {
+    take();
+    chord.triad = "aug";
+  } else if (peek() === "half") {
+    take();
+    chord.triad = "dim";
+    chord.seventh = "b7";
+    if (peek() === 7) take();
+  }
+
+  // Number
+  const n = peek();
+  if (n === 5) {
+    take();
+    if (pos !== 1 || tokens.length !== 1) throw new ChordSyntaxError(`"5" (power chord) can't be combined.`);
+    chord.triad = "power";
+    return chord;
+  }
+  if (typeof n === "number" || n === "69") {
+    take();
+    if (chord.seventh) throw new ChordSyntaxError(`"ø" already is a seventh chord.`);
+    if (n === 6 || n === "69") {
+      chord.sixth = true;
+      sixNine = n === "69";
+    } else if (n === 2) {
+      chord.added.push(9);
+    } else if (n === 4) {
+      if (chord.triad !== "maj") throw new ChordSyntaxError("A sus chord has no third to be minor, dim or aug.");
+      chord.triad = "sus4";
+    } else {
+      chord.seventh = majorSeventh ? "7" : chord.triad === "dim" ? "bb7" : "b7";
+      if (n > 7) chord.extension = n;
+    }
+  } else if (majorSeventh === "delta") {
+    chord.seventh = "7";
+  }
+  if (majorSeventh && chord.seventh !== "7" && (chord.triad === "min" || majorSeventh === "delta")) {
+    throw new ChordSyntaxError(`"${majorSeventh === "delta" ? "Δ" : "maj"}" needs a 7, 9, 11 or 13.`);
+  }
+  if (chord.sixth && majorSeventh) throw new ChordSyntaxError(`"maj6" isn't a chord; use "6".`);
+
+  // Modifiers
+  while (pos < tokens.length) {
+    const token = take();
+    if (token.value === "sus2" || token.value === "sus4") {
+      if (chord.triad !== "maj") throw new ChordSyntaxError("A sus chord has no third to be minor, dim or aug.");
+      chord.triad = token.value;
+    } else if (token.value === "add") {
+      const degree = take()?.value;
+      if (!(degree in ADDABLE)) throw new ChordSyntaxError(`"add" needs 2, 4, 6, 9, 11 or 13.`);
+      chord.added.push(degree === 2 ? 9 : degree === 4 ? 11 : degree === 6 ? 13 : degree);
+    } else if (token.value === "flat" || token.value === "sharp" || token.value === "aug") {
+      const degree = token.value === "aug" ? 5 : take()?.value;
+      const alteration = `${token.value === "flat" ? "b" : "#"}${degree}`;
+      if (!(alteration in ALTERABLE)) throw new ChordSyntaxError(`"${alteration}" isn't an alteration (b5 #5 b9 #9 #11 b13).`);
+      chord.alterations.push(alteration);
+    } else {
+      throw new ChordSyntaxError(`Unexpected "${token.text}".`);
+    }
+  }
+  if (sixNine) chord.added.push(9);
+  return canonical(chord);
+}
+
+/** One structure per sound: aug / dim with a seventh become #5 / b5 alterations, a lone #5 is aug. */
+function canonical(chord) {
+  const alterations = new Set(chord.alterations);
+  if (chord.triad === "aug" && chord.seventh) {
+    chord.triad = "maj";
+    alterations.add("#5");
+  } else if (chord.triad === "dim" && chord.seventh === "b7") {
+    chord.triad = "min";
+    alterations.add("b5");
+  } else if (chord.triad === "maj" && !chord.seventh && alterations.has("#5")) {
+    chord.triad = "aug";
+    alterations.delete("#5");
+  }
+  if (alterations.has("b5") && alterations.has("#5")) throw new ChordSyntaxError("A fifth can't be both b5 and #5.");
+  if (alterations.has("#11") && alterations.has("b5")) alterations.delete("#11");
+  if (chord.sixth && chord.seventh) throw new ChordSyntaxError(`A 6 and a 7 together is a 13 chord.`);
+  chord.alterations = ALTERATION_ORDER.filter((a) => alterations.has(a));
+  chord.added = [...new Set(chord.added)].filter((d) => !(chord.extension >= d)).sort((a, b) => a - b);
+  return chord;
+}
+
+/** Semitones above the root, ascending (ninths and up above the octave). */
+function chordIntervals(chord) {
+  if (chord.triad === "power") return [0, 7];
+  const third = { maj: 4, min: 3, dim: 3, aug: 4, sus2: 2, sus4: 5 }[chord.triad];
+  let fifth = chord.triad === "dim" ? 6 : chord.triad === "aug" ? 8 : 7;
+  if (chord.alterations.includes("b5")) fifth = 6;
+  if (chord.alterations.includes("#5")) fifth = 8;
+  const out = new Set([0, third, fifth]);
+
+  if (chord.seventh) out.add({ b7: 10, 7: 11, bb7: 9 }[chord.seventh]);
+  if (chord.sixth) out.add(9);
+  const ext = chord.extension ?? 0;
+  const altered = (degree) => chord.alterations.some((a) => a.slice(1) === String(degree));
+  if (ext >= 9 && !altered(9)) out.add(14);
+  // 11ths of major chords clash with the third; voiced only for minor / sus
+  if (ext >= 11 && !altered(11) && (ext === 11 || chord.triad !== "maj")) out.add(17);
+  if (ext >= 13 && !altered(13)) out.add(21);
+  for (const a of chord.alterations) if (a !== "b5" && a !== "#5") out.add(ALTERABLE[a]);
+  for (const d of chord.added) out.add(ADDABLE[d]);
+  return [...out].sort((a, b) => a - b);
+}
+
+/** CHORD_QUALITIES key with the same pitch classes, or null. */
+function vocabularyQuality(intervals) {
+  const key = (list) => [...new Set(list.map((i) => i % 12))].sort((a, b) => a - b).join(",");
+  const target = key(intervals);
+  return Object.keys(CHORD_QUALITIES).find((q) => key(CHORD_QUALITIES[q].intervals) === target) ?? null;
+}
+
+/* -------------------------- API -------------------------- */
+
+/**
+ * Chord symbol -> {ok: true, chord} (chord = null for no chord) or {ok: false, error}
+ * with a user-facing message.
+ */
+export function parseChord(text) {
+  const trimmed = String(text ?? "").trim();
+  if (NO_CHORD_RE.test(trimmed)) return { ok: true, chord: null };
+
+  // The bass is after the last slash that is followed by a note name ("C6/9" has none)
+  let main = trimmed;
+  let bass = null;
+  const slash = trimmed.lastIndexOf("/");
+  if (slash > 0) {
+    const spelled = parseNoteSpelling(trimmed.slice(slash + 1));
+    if (spelled) {
+      main = trimmed.slice(0, slash);
+      bass = { pc: spelled.pc, name: trimmed.slice(slash + 1).trim() };
+    } else if (!/^6\/9/.test(trimmed.slice(slash - 1))) {
+      return { ok: false, error: `"${trimmed.slice(slash + 1)}" after the slash isn't a note.` };
+    }
+  }
+
+  const m = ROOT_RE.exec(main);
+  if (!m) return { ok: false, error: trimmed ? `"${trimmed}" doesn't start with a note (A-G).` : "No chord entered." };
+
+  let chord;
+  try {
+    chord = parseSuffix(tokenize(m[2]));
+  } catch (err) {
+    if (!(err instanceof ChordSyntaxError)) throw err;
+    return { ok: false, error: `${trimmed}: ${err.message}` };
+  }
+  chord.root = parseNoteSpelling(m[1]).pc;
+  chord.rootName = m[1];
+  chord.bass = bass && bass.pc !== chord.root ? bass.pc : null;
+  chord.bassName = chord.bass != null ? bass.name : null;
+  chord.intervals = chordIntervals(chord);
+  chord.quality = vocabularyQuality(chord.intervals);
+  if (chord.quality) chord.intervals = [...CHORD_QUALITIES[chord.quality].intervals];
+  return { ok: true, chord };
+}
+
+/** Parsed chord, or null for "N" and anything outside the grammar. */
+export function parseChordSymbol(text) {
+  return parseChord(text).chord ?? null;
+}
+
+/** Canonical suffix: the detector's where one fits, else built from the structure. */
+export function chordSuffix(chord) {
+  if (chord.quality) return CHORD_QUALITIES[chord.quality].suffix;
+
+  const { triad, seventh, extension } = chord;
+  const number = extension ?? 7;
+  const alterations = chord.alterations.filter((a) => !(a === "b5" && triad === "min" && seventh === "b7"));
+  let text;
+  if (triad === "min") {
+    text = "m" + (seventh === "7" ? `Maj${number}` : seventh === "b7" ? String(number) : chord.sixth ? "6" : "");
+    if (seventh === "b7" && chord.alterations.includes("b5")) text += "b5";
+  } else if (triad === "dim") {
+    text = seventh === "bb7" ? `dim${number}` : "dim";
+  } else if (triad === "aug") {
+    text = "aug";
+  } else {
+    text = seventh === "7" ? `maj${number}` : seventh === "b7" ? String(number) : chord.sixth ? "6" : "";
+  }
+  const added = [...chord.added];
+  if (chord.sixth && added.includes(9)) {
+    text += "/9";
+    added.splice(added.indexOf(9), 1);
+  }
+  if (triad === "sus2" || triad === "sus4") text += triad;
+  // Alterations right after the root would read as its accidental ("Cb5"), so bracket them
+  if (alterations.length) text += /\d$/.test(text) ? alterations.join("") : `(${alterations.join(",")})`;
+  for (const d of added) text += `add${d}`;
+  return text;
+}
+
+/** Canonical chord text, root and bass as spelled in the chord ({rootName, bassName}). */
+export function formatChord(chord) {
+  if (!chord) return NO_CHORD;
+  const main = (chord.rootName ?? PC_NAMES[chord.root]) + chordSuffix(chord);
+  return chord.bass != null ? `${main}/${chord.bassName ?? PC_NAMES[chord.bass]}` : main;
+}
+
+/** The chord `semis` semitones up; `name(pc)` spells the new root / bass (default: sharps). */
+export function transposeChord(chord, semis, name = (pc) => PC_NAMES[pc]) {
+  const move = (pc) => (pc + semis + 1200) % 12;
+  const root = move(chord.root);
+  const bass = chord.bass == null ? null : move(chord.bass);
+  return { ...chord, root, rootName: name(root), bass, bassName: bass == null ? null : name(bass) };
+}
+
+/* -------------------------- User Input -------------------------- */
+
+// Suffixes a typo is matched against (the vocabulary plus common extended chords)
+const KNOWN_SUFFIXES = [
+  ...Object.values(CHORD_QUALITIES).map((q) => q.suffix),
+  "maj9",
+  "m9",
+  "mMaj7",
+  "11",
+  "m11",
+  "13",
+  "maj13",
+  "m13",
+  "7sus4",
+  "9sus4",
+  "7b9",
+  "7#9",
+  "7#5",
+  "7b5",
+  "maj7#11",
+  "6/9",
+  "add11"
+];
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const next = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = row[j];
+      row[j] = next;
+    }
+  }
+  return row[b.length];
+}
+
+/** A close valid symbol for a rejected one, or null. */
+function suggestChord(text) {
+  // Lower-case or German root ("am7", "H7"), then the nearest known suffix
+  const fixed = text.replace(/^([a-g])/, (c) => c.toUpperCase()).replace(/^H/, "B");
+  const first = parseChord(fixed);
+  if (first.ok && first.chord) return formatChord(first.chord);
+
+  const slash = fixed.lastIndexOf("/");
+  const bassPart = slash > 0 && parseNoteSpelling(fixed.slice(slash + 1)) ? fixed.slice(slash) : "";
+  const m = ROOT_RE.exec(bassPart ? fixed.slice(0, -bassPart.length) : fixed);
+  if (!m) return null;
+  const typed = m[2].replace(/[\s()]/g, "");
+  let best = null;
+  for (const suffix of KNOWN_SUFFIXES) {
+    const d = Math.min(editDistance(typed, suffix), editDistance(typed.toLowerCase(), suffix.toLowerCase()));
+    if (d <= Math.max(1, Math.min(2, Math.floor(typed.length / 2))) && (!best || d < best.d)) best = { suffix, d };
+  }
+  if (!best) return null;
+  const parsed = parseChord(m[1] + best.suffix + bassPart);
+  return parsed.ok && parsed.chord ? formatChord(parsed.chord) : null;
+}
+
+/**
+ * Checks a typed chord: {ok: true, text} with the canonical spelling ("N" for no
+ * chord), or {ok: false, error, suggestion} (suggestion = a close valid symbol or null).
+ */
+export function readChordInput(text) {
+  const parsed = parseChord(text);
+  if (parsed.ok) return { ok: true, text: formatChord(parsed.chord), chord: parsed.chord };
+  return { ok: false, error: parsed.error, suggestion: suggestChord(String(text ?? "").trim()) };
+}
@@ -0,0 +1,2488 @@
+/**
+ * SonicMind DSP Core — headless analysis (no Web Audio, no DOM)
+ *
+ * Input: Float32Array PCM + sample rate. Runs in the browser, in Node and in worklets.
+ * - Own FFT (Blackman window, AnalyserNode scaling: |X|/N -> dB -> [-100, -30] dB levels)
+ * - Spectral Whitening (_whitenWindow = 25)
+ * - HPS bass stability (_hpsHarmonics = 4, bassStableMs = 280ms)
+ * - Harmonic/Percussive Separation Bias (transient downweighting)
+ * - Key-invariant chroma smoothing (chromaTimeConstantMs = 220ms)
+ * - Chord templates: triads, 7ths, sus, add9, 6ths, aug, m7b5, dim7, 9, power chords
+ * - "N" (no chord) for quiet or low-confidence frames
+ * - Chord candidates: the best-scoring templates per frame (N included), to show why a
+ *   chord won; analyzePCM() keeps them with the chroma and bass per hop (chromagram)
+ * - Chord decoding: hysteresis (chordStableMs = 320ms) or HMM/Viterbi
+ *   (fixed-lag lookahead live, whole-song offline)
+ * - Tuning reference estimation (A4 offset in cents from spectral peak deviations)
+ * - Pitch-shift compensation: audio transposed for playback is labelled in its original key
+ * - Key detection (Krumhansl-Kessler profiles) with modulation tracking
+ * - Note names: chord labels use sharps; spellNote() spells them from a key (or forces
+ *   sharps / flats) and parseNoteName() reads any spelling, double accidentals included
+ * - Multi-band spectral-flux onsets, tempogram tempo (candidates, stable tempo, tempo curve)
+ * - Beat grid + downbeats (dynamic-programming beat tracker), meter (2/4 .. 7/8) from
+ *   accent and chord-change periodicity
+ *
+ * Time is sample-based: every frame is stamped with the sample index where it ends,
+ * so all smoothing constants mean the same thing live, offline and in batch scripts.
+ *
+ * Usage (Node):
+ *   import { analyzePCM } from "./dsp-core.js";
+ *   const { events, bpm } = await analyzePCM(monoFloat32, 44100);
+ */
+
+/* -------------------------- Note Names -------------------------- */
+
+// Chord labels are built from sharps; spellNote() renames them for display
+export const PC_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+export const PC_NAMES_FLAT = ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"];
+// Without a key: the names most common in chord charts
+const PC_NAMES_COMMON = ["C", "C#", "D", "Eb", "E", "F", "F#", "G", "Ab", "A", "Bb", "B"];
+
+export const SPELLINGS = ["auto", "sharps", "flats"];
+
+// A note name: letter + at most a double accidental (ASCII "x" / "##" / "bb" or Unicode)
+export const NOTE_NAME_PATTERN = "[A-G](?:##|bb|#|b|x|\u266F|\u266D|\uD834\uDD2A|\uD834\uDD2B)?";
+
+const LETTERS = "CDEFGAB";
+const LETTER_PCS = [0, 2, 4, 5, 7, 9, 11];
+const LETTER_FIFTHS = [0, 2, 4, -1, 1, 3, 5];
+const ACCIDENTALS = { "": 0, "#": 1, "##": 2, x: 2, "\u266F": 1, "\uD834\uDD2A": 2, b: -1, bb: -2, "\u266D": -1, "\uD834\uDD2B": -2 };
+// Letters above the tonic for each semitone: b2, b3, #4, b6, b7 (minor keys alike)
+const DEGREE_STEPS = [0, 1, 1, 2, 2, 3, 3, 4, 5, 5, 6, 6];
+// Scale degrees (semitones above the tonic); minor includes the leading tone
+const DIATONIC = { major: [0, 2, 4, 5, 7, 9, 11], minor: [0, 2, 3, 5, 7, 8, 10, 11] };
+
+/** "F#", "Bb", "Ebb", "Fx", "B♭" -> {letter (0 = C .. 6 = B), alter, pc}, or null. */
+export function parseNoteSpelling(text) {
+  const m = new RegExp(`^${NOTE_NAME_PATTERN}$`).exec(String(text ?? "").trim());
+  if (!m) return null;
+  const letter = LETTERS.indexOf(m[0][0]);
+  const alter = ACCIDENTALS[m[0].slice(1)];
+  return { letter, alter, pc: (LETTER_PCS[letter] + alter + 12) % 12 };
+}
+
+/** Note name -> pitch class, or -1. */
+export function parseNoteName(text) {
+  return parseNoteSpelling(text)?.pc ?? -1;
+}
+
+/** Circle-of-fifths position of a spelled major-key tonic (F# = 6, Gb = -6); minor keys are 3 less. */
+export function keyFifths(spelling, mode) {
+  const fifths = LETTER_FIFTHS[spelling.letter] + 7 * spelling.alter;
+  return mode === "minor" ? fifths - 3 : fifths;
+}
+
+/** Tonic name from the simpler key signature (Bb major, C minor; F# over Gb, D# over Eb minor). */
+function keyTonicName(tonic, mode) {
+  const relativeMajor = mode === "minor" ? (tonic + 3) % 12 : tonic;
+  return ((relativeMajor * 7) % 12 > 6 ? PC_NAMES_FLAT : PC_NAMES)[tonic];
+}
+
+/**
+ * Name of pitch class `pc`. spelling "sharps" / "flats" forces one accidental;
+ * "auto" spells it as a degree of `key` ({tonic, mode}: Bb in F, A# in F#, Ab as the
+ * b6 of C), with the common chart names when no key is known. Double accidentals are
+ * never produced, and E# / B# / Cb / Fb only where they are in the scale.
+ */
+export function spellNote(pc, { spelling = "auto", key = null } = {}) {
+  pc = ((pc % 12) + 12) % 12;
+  if (spelling === "sharps") return PC_NAMES[pc];
+  if (spelling === "flats") return PC_NAMES_FLAT[pc];
+  if (!key) return PC_NAMES_COMMON[pc];
+
+  const tonic = parseNoteSpelling(keyTonicName(key.tonic, key.mode));
+  const degree = (pc - key.tonic + 12) % 12;
+  const letter = (tonic.letter + DEGREE_STEPS[degree]) % 7;
+  const alter = ((pc - LETTER_PCS[letter] + 18) % 12) - 6;
+  const name = LETTERS[letter] + (alter > 0 ? "#" : alter < 0 ? "b" : "");
+  const odd = ["E#", "B#", "Cb", "Fb"].includes(name) && !(DIATONIC[key.mode] ?? DIATONIC.major).includes(degree);
+  if (Math.abs(alter) > 1 || odd) return (keyFifths(tonic, key.mode) < 0 ? PC_NAMES_FLAT : PC_NAMES)[pc];
+  return name;
+}
+
+/** "Bb major": the tonic spelled like spellNote() (auto = by the key signature). */
+export function keyName(tonic, mode, spelling = "auto") {
+  const name = spelling === "auto" ? keyTonicName(tonic, mode) : spellNote(tonic, { spelling });
+  return `${name} ${mode}`;
+}
+
+export const NO_CHORD = "N";
+
+/**
+ * Chord qualities the detector can output: intervals above the root, display
+ * suffix and a small score prior so plain triads win ties against richer shapes.
+ * `extensions` are the tones added to a triad (6ths, 7ths, 9ths): the template is
+ * penalized unless they stand out (see EXTENSION_PENALTY).
+ */
+export const CHORD_QUALITIES = {
+  maj: { intervals: [0, 4, 7], suffix: "", prior: 0 },
+  min: { intervals: [0, 3, 7], suffix: "m", prior: 0 },
+  maj7: { intervals: [0, 4, 7, 11], extensions: [11], suffix: "maj7", prior: 0.01 },
+  min7: { intervals: [0, 3, 7, 10], extensions: [10], suffix: "m7", prior: 0.01 },
+  dom7: { intervals: [0, 4, 7, 10], extensions: [10], suffix: "7", prior: 0.01 },
+  dim: { intervals: [0, 3, 6], suffix: "dim", prior: 0.02 },
+  sus2: { intervals: [0, 2, 7], suffix: "sus2", prior: 0.025 },
+  sus4: { intervals: [0, 5, 7], suffix: "sus4", prior: 0.02 },
+  add9: { intervals: [0, 2, 4, 7], extensions: [2], suffix: "add9", prior: 0.02 },
+  maj6: { intervals: [0, 4, 7, 9], extensions: [9], suffix: "6", prior: 0.025 },
+  min6: { intervals: [0, 3, 7, 9], extensions: [9], suffix: "m6", prior: 0.025 },
+  aug: { intervals: [0, 4, 8], suffix: "aug", prior: 0.03 },
+  m7b5: { intervals: [0, 3, 6, 10], extensions: [10], suffix: "m7b5", prior: 0.02 },
+  dim7: { intervals: [0, 3, 6, 9], extensions: [9], suffix: "dim7", prior: 0.03 },
+  dom9: { intervals: [0, 2, 4, 7, 10], extensions: [2, 10], suffix: "9", prior: 0.02 },
+  power: { intervals: [0, 7], suffix: "5", prior: 0.04 }
+};
+
+// Extension evidence: the weakest extension tone vs. the mean chord tone. Harmonics and
+// the chroma smoothing put ~0.6-0.7 of a triad's level on its 9th (and 7th/6th); at or
+// below ABSENT the full penalty applies, fading out by PRESENT.
+const EXTENSION_PENALTY = 0.06;
+const EXTENSION_ABSENT = 0.8;
+const EXTENSION_PRESENT = 1.1;
+
+export const DEFAULT_CHORD_QUALITIES = Object.keys(CHORD_QUALITIES);
+
+// AnalyserNode defaults (minDecibels / maxDecibels)
+const MIN_DB = -100;
+const MAX_DB = -30;
+
+/* -------------------------- FFT -------------------------- */
+
+export class FFT {
+  constructor(n) {
+    if (n < 2 || (n & (n - 1)) !== 0) throw new Error(`FFT size must be a power of two (got ${n})`);
+    this.n = n;
+
+    // Blackman window (same as AnalyserNode)
+    this.window = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      const x = (2 * Math.PI * i) / n;
+      this.window[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+    }
+
+    const bits = Math.round(Math.log2(n));
+    this._rev = new Uint32Array(n);
+    for (let i = 0; i < n; i++) {
+      let r = 0;
+      for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+      this._rev[i] = r;
+    }
+
+    this._cos = new Float64Array(n / 2);
+    this._sin = new Float64Array(n / 2);
+    for (let i = 0; i < n / 2; i++) {
+      this._cos[i] = Math.cos((2 * Math.PI * i) / n);
+      this._sin[i] = -Math.sin((2 * Math.PI * i) / n);
+    }
+
+    this.re = new Float64Array(n);
+    this.im = new Float64Array(n);
+  }
+
+  /**
+   * Windowed magnitude spectrum, n/2 bins, scaled like AnalyserNode (|X| / N).
+   */
+  magnitudes(frame, out) {
+    const n = this.n;
+    const re = this.re;
+    const im = this.im;
+
+    for (let i = 0; i < n; i++) re[i] = frame[i] * this.window[i];
+    im.fill(0);
+    this.transform(re, im);
+
+    const inv = 1 / n;
+    for (let k = 0; k < out.length; k++) out[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]) * inv;
+    return out;
+  }
+
+  /** Iterative radix-2 complex FFT (in place). */
+  transform(re, im) {
+    const n = this.n;
+    const rev = this._rev;
+
+    for (let i = 0; i < n; i++) {
+      const j = rev[i];
+      if (j > i) {
+        let tmp = re[i];
+        re[i] = re[j];
+        re[j] = tmp;
+        tmp = im[i];
+        im[i] = im[j];
+        im[j] = tmp;
+      }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+      const half = size >> 1;
+      const step = n / size;
+      for (let start = 0; start < n; start += size) {
+        for (let k = 0; k < half; k++) {
+          const wr = this._cos[k * step];
+          const wi = this._sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const xr = re[b] * wr - im[b] * wi;
+          const xi = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - xr;
+          im[b] = im[a] - xi;
+          re[a] += xr;
+          im[a] += xi;
+        }
+      }
+    }
+  }
+}
+
+/* -------------------------- Signal Helpers -------------------------- */
+
+export function mixToMono(channels) {
+  if (channels.length === 1) return Float32Array.from(channels[0]);
+
+  const out = new Float32Array(channels[0].length);
+  for (const data of channels) {
+    for (let i = 0; i < out.length; i++) out[i] += data[i];
+  }
+  const inv = 1 / channels.length;
+  for (let i = 0; i < out.length; i++) out[i] *= inv;
+  return out;
+}
+
+function lowpassCoefficients(sampleRate, freq, q) {
+  const w0 = (2 * Math.PI * freq) / sampleRate;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  const a0 = 1 + alpha;
+
+  return {
+    b0: (1 - cos) / 2 / a0,
+    b1: (1 - cos) / a0,
+    b2: (1 - cos) / 2 / a0,
+    a1: (-2 * cos) / a0,
+    a2: (1 - alpha) / a0
+  };
+}
+
+/** RBJ cookbook lowpass, same response as a BiquadFilterNode of type "lowpass". */
+export function biquadLowpass(input, sampleRate, freq, q) {
+  const { b0, b1, b2, a1, a2 } = lowpassCoefficients(sampleRate, freq, q);
+
+  const out = new Float32Array(input.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i];
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    out[i] = y;
+  }
+  return out;
+}
+
+/**
+ * |H(f)| of the same lowpass, one value per FFT bin.
+ * Used to derive the bass spectrum when no separately filtered frame is available.
+ */
+export function lowpassMagnitudeResponse(binCount, fftSize, sampleRate, freq, q) {
+  const { b0, b1, b2, a1, a2 } = lowpassCoefficients(sampleRate, freq, q);
+  const out = new Float32Array(binCount);
+
+  for (let k = 0; k < binCount; k++) {
+    const w = (2 * Math.PI * k) / fftSize;
+    const c1 = Math.cos(w);
+    const s1 = Math.sin(w);
+    const c2 = Math.cos(2 * w);
+    const s2 = Math.sin(2 * w);
+
+    const nr = b0 + b1 * c1 + b2 * c2;
+    const ni = -(b1 * s1 + b2 * s2);
+    const dr = 1 + a1 * c1 + a2 * c2;
+    const di = -(a1 * s1 + a2 * s2);
+
+    out[k] = Math.sqrt((nr * nr + ni * ni) / (dr * dr + di * di));
+  }
+  return out;
+}
+
+/* -------------------------- Tuning Estimation -------------------------- */
+
+/** A4 frequency for a tuning offset in cents (0 = 440 Hz). */
+export function centsToA4(cents) {
+  return 440 * Math.pow(2, cents / 1200);
+}
+
+/**
+ * Estimates the tuning offset (cents vs. A4 = 440 Hz) from spectral peaks.
+ * Each peak's deviation from the nearest equal-tempered semitone is averaged on
+ * the circle (so -49 and +49 cents are neighbours), weighted by magnitude.
+ * confidence = resultant length (0 = no consistent offset, 1 = all peaks agree).
+ */
+export class TuningEstimator {
+  constructor({ sampleRate, fftSize, minHz = 150, maxHz = 4000, minConfidence = 0.15 }) {
+    this.sampleRate = sampleRate;
+    this.fftSize = fftSize;
+    this._binMin = Math.max(2, Math.floor((minHz * fftSize) / sampleRate));
+    this._binMax = Math.min(fftSize / 2 - 3, Math.ceil((maxHz * fftSize) / sampleRate));
+    this._minConfidence = minConfidence;
+    this.reset();
+  }
+
+  reset() {
+    this._sumCos = 0;
+    this._sumSin = 0;
+    this._sumWeight = 0;
+    this.frames = 0;
+  }
+
+  /** mags: linear magnitude spectrum (fftSize / 2 bins). */
+  addSpectrum(mags) {
+    let max = 0;
+    for (let i = this._binMin; i <= this._binMax; i++) if (mags[i] > max) max = mags[i];
+    if (max <= 0) return;
+
+    const floor = max * 0.1;
+    const binHz = this.sampleRate / this.fftSize;
+
+    for (let i = this._binMin; i <= this._binMax; i++) {
+      const b = mags[i];
+      if (b < floor || b < mags[i - 1] || b <= mags[i + 1] || b < mags[i - 2] || b <= mags[i + 2]) continue;
+
+      // Parabolic interpolation on log magnitude
+      const a = Math.log(mags[i - 1] + 1e-12);
+      const lb = Math.log(b);
+      const c = Math.log(mags[i + 1] + 1e-12);
+      const denom = a - 2 * lb + c;
+      const offset = denom < 0 ? (0.5 * (a - c)) / denom : 0;
+
+      const freq = (i + offset) * binHz;
+      const midi = 69 + 12 * Math.log2(freq / 440);
+      const phase = 2 * Math.PI * (midi - Math.round(midi));
+
+      this._sumCos += b * Math.cos(phase);
+      this._sumSin += b * Math.sin(phase);
+      this._sumWeight += b;
+    }
+    this.frames++;
+  }
+
+  /** {cents, confidence}; cents is 0 while the evidence is inconsistent. */
+  get estimate() {
+    if (this._sumWeight <= 0) return { cents: 0, confidence: 0 };
+
+    const confidence = Math.hypot(this._sumCos, this._sumSin) / this._sumWeight;
+    const cents = (Math.atan2(this._sumSin, this._sumCos) / (2 * Math.PI)) * 100;
+    return { cents: confidence >= this._minConfidence ? cents : 0, confidence };
+  }
+}
+
+/**
+ * Whole-signal tuning estimate: up to `maxFrames` frames spread evenly over the
+ * signal (quiet frames skipped). Returns {cents, confidence}.
+ */
+export function estimateTuning(pcm, sampleRate, { fftSize = 4096, maxFrames = 600, silenceDb = -50 } = {}) {
+  const fft = new FFT(fftSize);
+  const est = new TuningEstimator({ sampleRate, fftSize });
+  const frame = new Float32Array(fftSize);
+  const mags = new Float32Array(fftSize / 2);
+
+  const frames = Math.floor(pcm.length / fftSize);
+  const step = Math.max(1, Math.floor(frames / maxFrames));
+  const minPower = Math.pow(10, silenceDb / 10);
+
+  for (let f = 0; f < frames; f += step) {
+    frame.set(pcm.subarray(f * fftSize, (f + 1) * fftSize));
+
+    let power = 0;
+    for (let i = 0; i < fftSize; i++) power += frame[i] * frame[i];
+    if (power / fftSize < minPower) continue;
+
+    fft.magnitudes(frame, mags);
+    est.addSpectrum(mags);
+  }
+  return est.estimate;
+}
+
+/* -------------------------- Key Detection -------------------------- */
+
+// Krumhansl-Kessler probe-tone profiles (tonic first)
+const KEY_PROFILES = {
+  major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+  minor: [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+
+export function formatKey(tonic, mode) {
+  return keyName(tonic, mode);
+}
+
+/**
+ * Long-term key estimate + modulation tracking.
+ * - Global profile: duration-weighted chroma sum since reset (first key)
+ * - Local profile: chroma EMA (localTimeConstantMs) matched against 24 keys
+ * - A new key is accepted only after it wins for changeHoldMs by switchMargin
+ */
+export class KeyDetector {
+  constructor({
+    localTimeConstantMs = 8000,
+    changeHoldMs = 6000,
+    minEvidenceMs = 4000,
+    switchMargin = 0.04
+  } = {}) {
+    this._localTC = localTimeConstantMs;
+    this._holdMs = changeHoldMs;
+    this._minEvidenceMs = minEvidenceMs;
+    this._margin = switchMargin;
+    this.reset();
+  }
+
+  reset() {
+    this._global = new Float32Array(12);
+    this._local = new Float32Array(12);
+    this._evidenceMs = 0;
+    this._lastTs = null;
+
+    this.key = null; // {tonic, mode, name, confidence}
+    this._candidate = null;
+    this._candidateSince = 0;
+
+    this.changes = []; // {t, tonic, mode, name, confidence}
+  }
+
+  /** Key of the whole profile so far (ignores modulations). */
+  get globalKey() {
+    if (this._evidenceMs < this._minEvidenceMs) return null;
+    return this._rank(this._global)[0];
+  }
+
+  update(chroma, nowMs) {
+    const dt = this._lastTs == null ? 0 : Math.min(1000, Math.max(0, nowMs - this._lastTs));
+    this._lastTs = nowMs;
+
+    let energy = 0;
+    for (let i = 0; i < 12; i++) energy += chroma[i];
+    if (energy <= 1e-6 || dt === 0) return this.key; // silence holds the current key
+
+    const alpha = 1 - Math.exp(-dt / this._localTC);
+    for (let i = 0; i < 12; i++) {
+      this._local[i] = (1 - alpha) * this._local[i] + alpha * chroma[i];
+      this._global[i] += chroma[i] * dt;
+    }
+    this._evidenceMs += dt;
+    if (this._evidenceMs < this._minEvidenceMs) return null;
+
+    if (!this.key) {
+      // Initial key: stamped where the evidence started
+      this._setKey(this._rank(this._global)[0], Math.max(0, nowMs - this._evidenceMs));
+      return this.key;
+    }
+
+    const ranked = this._rank(this._local);
+    const best = ranked[0];
+    const current = ranked.find((k) => k.tonic === this.key.tonic && k.mode === this.key.mode);
+
+    // Current key: refresh confidence from the local profile
+    this.key = { ...this.key, confidence: current.confidence };
+
+    if (best === current) {
+      this._candidate = null;
+      return this.key;
+    }
+
+    if (!this._candidate || this._candidate.tonic !== best.tonic || this._candidate.mode !== best.mode) {
+      this._candidate = best;
+      this._candidateSince = nowMs;
+      return this.key;
+    }
+
+    if (nowMs - this._candidateSince >= this._holdMs && best.r - current.r >= this._margin) {
+      // Modulation: stamp it where the candidate started winning
+      this._setKey(best, this._candidateSince);
+      this._candidate = null;
+    }
+    return this.key;
+  }
+
+  _setKey(k, tMs) {
+    this.key = { tonic: k.tonic, mode: k.mode, name: k.name, confidence: k.confidence };
+    this.changes.push({ t: tMs / 1000, ...this.key });
+  }
+
+  /** All 24 keys sorted by Pearson correlation with the profile. */
+  _rank(profile) {
+    const out = [];
+    for (const mode of ["major", "minor"]) {
+      const tpl = KEY_PROFILES[mode];
+      for (let tonic = 0; tonic < 12; tonic++) {
+        let mx = 0;
+        let my = 0;
+        for (let i = 0; i < 12; i++) {
+          mx += profile[i];
+          my += tpl[i];
+        }
+        mx /= 12;
+        my /= 12;
+
+        let sxy = 0;
+        let sxx = 0;
+        let syy = 0;
+        for (let i = 0; i < 12; i++) {
+          const x = profile[(tonic + i) % 12] - mx;
+          const y = tpl[i] - my;
+          sxy += x * y;
+          sxx += x * x;
+          syy += y * y;
+        }
+        const r = sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+        out.push({ tonic, mode, name: formatKey(tonic, mode), r });
+      }
+    }
+    out.sort((a, b) => b.r - a.r);
+
+    // Confidence: correlation strength blended with the margin over the runner-up
+    const gap = out[0].r - out[1].r;
+    for (const k of out) {
+      const margin = k === out[0] ? gap : k.r - out[0].r;
+      k.confidence = Math.max(0, Math.min(1, 0.5 * Math.max(0, k.r) + 0.5 * Math.max(0, margin / 0.1)));
+    }
+    return out;
+  }
+}
+
+/* -------------------------- Onsets + Tempo -------------------------- */
+
+// Onset bands (Hz) and their weights: low bands carry the beat, the top band
+// (hi-hats, cymbals) is damped so busy hats don't double the tempo
+const ONSET_BANDS = [
+  { lo: 30, hi: 200, weight: 1.0 },
+  { lo: 200, hi: 800, weight: 1.0 },
+  { lo: 800, hi: 3200, weight: 0.8 },
+  { lo: 3200, hi: 11000, weight: 0.5 }
+];
+
+/**
+ * Multi-band spectral flux onset detector.
+ * - Flux: half-wave rectified rise of the dB-level spectrum (log-compressed)
+ * - Each band is normalized by its own running mean, so a quiet band's soft onsets
+ *   count as much as loud drums, then bands are mixed with ONSET_BANDS weights.
+ *   The mean is bias-corrected and skips digital silence, so the first hit is scaled
+ *   like the ones after it instead of spiking (which would skew the first tempo windows)
+ * - Onsets: local peaks above an adaptive threshold (recent mean · 1.5 + delta)
+ *
+ * process() returns {strength, t, onset}: t is the frame time corrected for the
+ * detector latency (a Blackman-windowed flux peaks ~1/3 window after the onset);
+ * onset is the time of a detected onset (one frame late, as peaks need the next
+ * frame) or null.
+ */
+export class OnsetDetector {
+  constructor({ sampleRate, fftSize, bandMeanTimeSec = 3, thresholdWindowSec = 0.5, delta = 0.1, minGapSec = 0.08 }) {
+    const binHz = sampleRate / fftSize;
+    const maxBin = fftSize / 2 - 1;
+    this._bands = ONSET_BANDS.map(({ lo, hi, weight }) => ({
+      from: Math.max(1, Math.round(lo / binHz)),
+      to: Math.min(maxBin, Math.round(hi / binHz)),
+      weight
+    })).filter((b) => b.to > b.from);
+    this._weightSum = this._bands.reduce((a, b) => a + b.weight, 0);
+
+    this._bandMeanTimeSec = bandMeanTimeSec;
+    this._thresholdWindowSec = thresholdWindowSec;
+    this._delta = delta;
+    this._minGapSec = minGapSec;
+    this.latencySec = fftSize / sampleRate / 3;
+    this._prev = new Float32Array(fftSize / 2);
+    this.reset();
+  }
+
+  reset() {
+    this._hasPrev = false;
+    this._bandMean = new Float64Array(this._bands.length);
+    this._meanWeight = 0; // EMA bias correction: the mean is _bandMean / _meanWeight
+    this._lastT = null;
+    this._recent = []; // {t, s} over the threshold window
+    this._lastOnset = -Infinity;
+  }
+
+  /** levels: dB-level spectrum in [0..1] (AnalyserNode scaling), frameTime: frame end (s). */
+  process(levels, frameTime) {
+    const t = frameTime - this.latencySec;
+    const dt = this._lastT == null ? 0 : Math.max(0, t - this._lastT);
+    this._lastT = t;
+
+    let strength = 0;
+    if (this._hasPrev) {
+      const fluxes = this._bands.map(({ from, to }) => {
+        let flux = 0;
+        for (let i = from; i < to; i++) {
+          const d = levels[i] - this._prev[i];
+          if (d > 0) flux += d;
+        }
+        return flux / (to - from);
+      });
+
+      if (fluxes.some((f) => f > 0)) {
+        const alpha = 1 - Math.exp(-dt / this._bandMeanTimeSec);
+        this._meanWeight += (1 - this._meanWeight) * alpha;
+        for (let b = 0; b < fluxes.length; b++) this._bandMean[b] += (fluxes[b] - this._bandMean[b]) * alpha;
+      }
+
+      if (this._meanWeight > 0) {
+        let floor = 0;
+        for (const m of this._bandMean) floor = Math.max(floor, m);
+        floor = Math.max(1e-4, (floor / this._meanWeight) * 0.05);
+        for (let b = 0; b < fluxes.length; b++) {
+          const mean = this._bandMean[b] / this._meanWeight;
+          strength += (this._bands[b].weight * fluxes[b]) / Math.max(mean, floor);
+        }
+        strength /= this._weightSum;
+      }
+    }
+    this._prev.set(levels.subarray(0, this._prev.length));
+    this._hasPrev = true;
+
+    return { strength, t, onset: this._pickPeak(t, strength) };
+  }
+
+  _pickPeak(t, s) {
+    const recent = this._recent;
+    recent.push({ t, s });
+    while (recent.length && t - recent[0].t > this._thresholdWindowSec) recent.shift();
+    if (recent.length < 3) return null;
+
+    // Candidate = previous frame, if it is a local maximum above the threshold
+    const prev = recent[recent.length - 2];
+    const before = recent[recent.length - 3];
+    if (!(prev.s > before.s && prev.s >= s)) return null;
+
+    let mean = 0;
+    for (const r of recent) mean += r.s;
+    mean /= recent.length;
+    if (prev.s < mean * 1.5 + this._delta) return null;
+    if (prev.t - this._lastOnset < this._minGapSec) return null;
+
+    this._lastOnset = prev.t;
+    return prev.t;
+  }
+}
+
+/**
+ * Tempo from a tempogram: autocorrelation of the recent onset envelope, read on a
+ * BPM grid. Salience(bpm) = prior(bpm) · (acf(beat lag) + ½ acf(2 · beat lag)); the
+ * log-normal prior around preferredBpm plus the half-tempo term push half/double
+ * tempo readings towards the felt beat.
+ * - candidates: top tempo peaks [{bpm, confidence}] (confidences sum to 1)
+ * - bpm: stable tempo; glides with gradual changes, jumps only when another
+ *   tempo wins switchUpdates estimates in a row
+ * - curve: [{t, bpm}] stable tempo per estimate (tempo changes over the song)
+ * - global: {bpm, candidates} from the salience summed over everything seen
+ */
+export class TempoEstimator {
+  constructor({
+    minBpm = 50,
+    maxBpm = 220,
+    preferredBpm = 120,
+    windowSec = 8,
+    updateSec = 0.5,
+    switchUpdates = 4,
+    maxCandidates = 3
+  } = {}) {
+    this._minBpm = minBpm;
+    this._maxBpm = maxBpm;
+    this._preferredBpm = preferredBpm;
+    this._windowSec = windowSec;
+    this._updateSec = updateSec;
+    this._switchUpdates = switchUpdates;
+    this._maxCandidates = maxCandidates;
+
+    // BPM grid (0.5 BPM steps)
+    this._grid = [];
+    for (let b = minBpm; b <= maxBpm; b += 0.5) this._grid.push(b);
+    this._salience = new Float64Array(this._grid.length);
+    this.reset();
+  }
+
+  reset() {
+    this._t = [];
+    this._s = [];
+    this._lastUpdateT = -Infinity;
+    this._salienceSum = new Float64Array(this._grid.length);
+    this._challenger = null;
+    this._challengerCount = 0;
+
+    this.bpm = null;
+    this.candidates = [];
+    this.curve = [];
+  }
+
+  get period() {
+    return this.bpm ? 60 / this.bpm : null;
+  }
+
+  /** Adds one onset-strength frame; returns true when the estimate was updated. */
+  update(strength, t) {
+    this._t.push(t);
+    this._s.push(strength);
+    while (this._t.length && t - this._t[0] > this._windowSec) {
+      this._t.shift();
+      this._s.shift();
+    }
+
+    if (t - this._lastUpdateT < this._updateSec) return false;
+    this._lastUpdateT = t;
+    if (!this._computeSalience()) return false;
+
+    for (let i = 0; i < this._grid.length; i++) this._salienceSum[i] += this._salience[i];
+    this.candidates = this._peaks(this._salience);
+    this._updateStable(t);
+    return true;
+  }
+
+  get global() {
+    const candidates = this._peaks(this._salienceSum);
+    return { bpm: candidates.length ? candidates[0].bpm : null, candidates };
+  }
+
+  /** Tempogram column for the current window -> this._salience; false if too little signal. */
+  _computeSalience() {
+    const n = this._s.length;
+    const span = n > 1 ? this._t[n - 1] - this._t[0] : 0;
+    if (span < 3 || n < 32) return false;
+
+    const hop = span / (n - 1);
+    const maxLag = Math.min(n - 1, Math.ceil((2 * 60) / this._minBpm / hop) + 1);
+
+    let mean = 0;
+    for (const v of this._s) mean += v;
+    mean /= n;
+
+    const acf = new Float64Array(maxLag + 1);
+    for (let lag = 0; lag <= maxLag; lag++) {
+      let sum = 0;
+      for (let i = 0; i + lag < n; i++) sum += (this._s[i] - mean) * (this._s[i + lag] - mean);
+      acf[lag] = sum / (n - lag);
+    }
+    if (acf[0] <= 0) return false;
+
+    const at = (lag) => {
+      if (lag >= maxLag) return 0;
+      const i = Math.floor(lag);
+      const f = lag - i;
+      return (acf[i] * (1 - f) + acf[i + 1] * f) / acf[0];
+    };
+
+    for (let g = 0; g < this._grid.length; g++) {
+      const lag = 60 / this._grid[g] / hop;
+      const octaves = Math.log2(this._grid[g] / this._preferredBpm);
+      const prior = Math.exp(-0.5 * octaves * octaves);
+      this._salience[g] = Math.max(0, prior * (at(lag) + 0.5 * at(2 * lag)));
+    }
+    return true;
+  }
+
+  /** Top local maxima of a salience curve, at least 4% apart, as {bpm, confidence}. */
+  _peaks(sal) {
+    const peaks = [];
+    for (let g = 1; g < sal.length - 1; g++) {
+      if (sal[g] > 0 && sal[g] >= sal[g - 1] && sal[g] > sal[g + 1]) peaks.push({ bpm: this._grid[g], v: sal[g] });
+    }
+    peaks.sort((a, b) => b.v - a.v);
+
+    const out = [];
+    for (const p of peaks) {
+      if (out.some((o) => Math.abs(o.bpm - p.bpm) / o.bpm < 0.04)) continue;
+      out.push(p);
+      if (out.length >= this._maxCandidates) break;
+    }
+    const total = out.reduce((a, p) => a + p.v, 0);
+    return out.map((p) => ({ bpm: p.bpm, confidence: total > 0 ? p.v / total : 0 }));
+  }
+
+  _updateStable(t) {
+    const top = this.candidates[0];
+    if (!top) return;
+
+    if (this.bpm == null) {
+      this.bpm = top.bpm;
+    } else {
+      // A candidate near the current tempo keeps it (small drifts are followed)
+      const near = this.candidates.find((c) => Math.abs(c.bpm - this.bpm) / this.bpm < 0.08 && c.confidence >= 0.25);
+      if (near) {
+        this.bpm += (near.bpm - this.bpm) * 0.2;
+        this._challenger = null;
+        this._challengerCount = 0;
+      } else {
+        // Tempo change: the new tempo must win several estimates in a row
+        const same = this._challenger && Math.abs(top.bpm - this._challenger) / this._challenger < 0.04;
+        this._challenger = top.bpm;
+        this._challengerCount = same ? this._challengerCount + 1 : 1;
+        if (this._challengerCount >= this._switchUpdates) {
+          this.bpm = top.bpm;
+          this._challenger = null;
+          this._challengerCount = 0;
+        }
+      }
+    }
+    this.curve.push({ t, bpm: this.bpm });
+  }
+}
+
+/* -------------------------- Beat Tracking -------------------------- */
+
+const PHASE_CYCLE = 420; // lcm(1 … 7): every bar length in METERS
+const METER_EVIDENCE_BEATS = 1024; // ~8 min at 120 BPM
+
+/**
+ * Beat + downbeat tracker over an onset-strength envelope (one value per analysis frame).
+ * - Tempo: beat period per frame from outside (TempoEstimator), so tempo changes are followed
+ * - Beats: dynamic programming (Ellis 2007). score(t) = onset(t) + max over the previous
+ *   beat τ of score(τ) - tightness · log²((t - τ) / period), read back along the best path,
+ *   so beats land on onsets and keep a steady spacing
+ * - Live: beats older than commitLag periods are final; finish() reads back the rest
+ * - Downbeats: the beat phase (mod beatsPerBar) with the most harmonic change
+ *   (chroma before vs. after the beat) plus accent
+ *
+ * beats: [{t, downbeat, beat}] (beat = 1-based position in the bar)
+ *
+ * Memory stays bounded on long sessions: downbeat evidence is summed per beat index mod
+ * PHASE_CYCLE and meter evidence is kept for the last METER_EVIDENCE_BEATS beats.
+ */
+export class BeatTracker {
+  constructor({ beatsPerBar = 4, tightness = 100, commitLag = 1.5, keepSec = 10 } = {}) {
+    this._tightness = tightness;
+    this._commitLag = commitLag;
+    this._keepSec = keepSec;
+    this.beatsPerBar = beatsPerBar;
+    this.reset();
+  }
+
+  reset() {
+    // Frame window (absolute index = _base + local index)
+    this._base = 0;
+    this._t = [];
+    this._osf = [];
+    this._score = [];
+    this._back = []; // absolute index of the previous beat frame, -1 = path start
+    this._chroma = [];
+
+    this._osfPower = 0;
+    this.period = null;
+
+    this.beats = [];
+    this.labelRevision = 0; // bumped whenever beats already returned are relabelled
+    this.downPhase = 0; // beat index mod beatsPerBar of the downbeats, as of the last relabel
+    this._phaseTotals = new Float64Array(PHASE_CYCLE); // downbeat evidence by beat index mod PHASE_CYCLE
+    this._sync = []; // beat-synchronous chroma of the last 4 closed beats (sum over [beat k, beat k + 1))
+
+    // Meter evidence per beat (absolute beat index = _evidenceBase + local index)
+    this._evidenceBase = 0;
+    this._accents = []; // onset strength at the beat
+    this._changes = []; // harmonic change into the beat (beat k - 1 vs. beat k); one beat late
+    this._ternary = []; // onset share at 1/3 + 2/3 vs. 1/2 of the beat (triplet feel); null = not subdivided
+    this._offbeats = []; // onset strength half a beat after the beat
+    this._phaseScore = new Float64Array(this.beatsPerBar);
+  }
+
+  get bpm() {
+    return this.period ? 60 / this.period : null;
+  }
+
+  /** New bar length; relabels the beats so far (see labelRevision). */
+  setBeatsPerBar(n) {
+    this.beatsPerBar = Math.max(1, Math.round(n));
+    this._phaseScore = this._phaseSums();
+    this.relabel();
+  }
+
+  /**
+   * strength: onset strength of the frame at time t (s); period: current beat period
+   * (s, null while unknown); chroma: the frame's chroma (copied).
+   * Returns the beats that became final with this frame.
+   */
+  update(strength, t, period, chroma = null) {
+    const firstPeriod = period && !this.period;
+    this.period = period;
+
+    // Scale-free envelope: normalize by the running RMS
+    this._osfPower += (strength * strength - this._osfPower) * 0.01;
+    const osf = strength / Math.sqrt(this._osfPower + 1e-9);
+
+    this._t.push(t);
+    this._osf.push(osf);
+    this._chroma.push(chroma ? Float32Array.from(chroma) : null);
+
+    // The frames before the first tempo estimate had no period to link beats with
+    if (firstPeriod) this._rescore();
+    else this._dpStep();
+    const committed = this.period ? this._commit(t - this._commitLag * this.period) : [];
+    this._trim(t);
+    return committed;
+  }
+
+  /** Finalizes the remaining beats and relabels downbeats using the whole signal. */
+  finish() {
+    const last = this._t[this._t.length - 1];
+    if (this.period && last != null) this._commit(Infinity);
+    return this.relabel();
+  }
+
+  /** Labels all beats with the downbeat phase that is best over the whole signal. */
+  relabel() {
+    const down = argmax(this._phaseSums());
+    this.downPhase = down;
+    let changed = false;
+    for (let k = 0; k < this.beats.length; k++) {
+      const { downbeat, beat } = this.beats[k];
+      this._label(this.beats[k], k, down);
+      changed ||= downbeat !== this.beats[k].downbeat || beat !== this.beats[k].beat;
+    }
+    if (changed) this.labelRevision++;
+    return this.beats;
+  }
+
+  /**
+   * Meter evidence for the last `count` beats that have it all (evidence older than
+   * METER_EVIDENCE_BEATS is dropped): {accents, changes, ternary, offbeats} (see estimateMeter).
+   */
+  meterEvidence(count = Infinity) {
+    const end = this._changes.length;
+    // Beat 0 has no change into it
+    const start = Math.max(this._evidenceBase ? 0 : 1, end - count);
+    return {
+      accents: this._accents.slice(start, end),
+      changes: this._changes.slice(start, end),
+      ternary: this._ternary.slice(start, end),
+      offbeats: this._offbeats.slice(start, end)
+    };
+  }
+
+  /** Downbeat evidence summed per bar position (beatsPerBar divides PHASE_CYCLE for all METERS). */
+  _phaseSums() {
+    const M = this.beatsPerBar;
+    const sums = new Float64Array(M);
+    for (let c = 0; c < PHASE_CYCLE; c++) sums[c % M] += this._phaseTotals[c];
+    return sums;
+  }
+
+  /** Re-runs the DP over all frames still held. */
+  _rescore() {
+    this._score.length = 0;
+    this._back.length = 0;
+    for (let i = 0; i < this._t.length; i++) this._dpStep(i);
+  }
+
+  _dpStep(i = this._t.length - 1) {
+    const t = this._t[i];
+    const P = this.period;
+
+    let bestScore = -Infinity;
+    let back = -1;
+    if (P) {
+      for (let j = i - 1; j >= 0; j--) {
+        const dt = t - this._t[j];
+        if (dt > 2 * P) break;
+        if (dt < 0.5 * P) continue;
+        const l = Math.log(dt / P);
+        const cand = this._score[j] - this._tightness * l * l;
+        if (cand > bestScore) {
+          bestScore = cand;
+          back = this._base + j;
+        }
+      }
+    }
+
+    this._score.push(this._osf[i] + (back >= 0 ? bestScore : 0));
+    this._back.push(back);
+  }
+
+  /** Commits path beats after the last committed one and at or before `until`. */
+  _commit(until) {
+    const n = this._t.length;
+    const tEnd = this._t[n - 1];
+
+    // Path end: best-scoring frame within the last period
+    let end = n - 1;
+    for (let j = n - 1; j >= 0 && tEnd - this._t[j] <= this.period; j--) {
+      if (this._score[j] > this._score[end]) end = j;
+    }
+
+    const lastT = this.beats.length ? this.beats[this.beats.length - 1].t : -Infinity;
+    const minGap = 0.5 * this.period;
+
+    const path = [];
+    for (let abs = this._base + end; abs >= this._base; ) {
+      const j = abs - this._base;
+      if (this._t[j] <= lastT + minGap) break;
+      if (this._t[j] <= until) path.push(j);
+      abs = this._back[j];
+      if (abs < 0) break;
+    }
+
+    const out = [];
+    for (let k = path.length - 1; k >= 0; k--) out.push(this._addBeat(path[k]));
+    return out;
+  }
+
+  _addBeat(j) {
+    const t = this._t[j];
+    const index = this.beats.length;
+    const M = this.beatsPerBar;
+
+    for (let p = 0; p < M; p++) this._phaseScore[p] *= 0.97;
+
+    // Accent
+    const accent = 0.1 * Math.min(3, this._osf[j]);
+    this._phaseTotals[index % PHASE_CYCLE] += accent;
+    this._phaseScore[index % M] += accent;
+    this._accents.push(this._osf[j]);
+    const { half, thirds } = this._subdivision(j);
+    const sub = half + thirds;
+    this._ternary.push(sub > SUBDIVISION_MIN * this._osf[j] ? thirds / sub : null);
+    this._offbeats.push(half);
+
+    // Beat-synchronous chroma of the interval that just closed
+    if (index > 0) {
+      const prevT = this.beats[index - 1].t;
+      const sum = new Float32Array(12);
+      for (let k = 0; k < this._t.length; k++) {
+        const c = this._chroma[k];
+        if (!c || this._t[k] < prevT || this._t[k] >= t) continue;
+        for (let p = 0; p < 12; p++) sum[p] += c[p];
+      }
+      if (index > 1) this._changes[index - 1 - this._evidenceBase] = 1 - cosine12(this._sync.at(-1), sum);
+      this._sync.push(sum);
+      if (this._sync.length > 4) this._sync.shift();
+    }
+
+    // Harmonic change at the beat two back: two beats before vs. two beats after it
+    const h = index - 2;
+    if (h >= 2) {
+      const [s0, s1, s2, s3] = this._sync; // beats h - 2 … h + 1
+      const before = new Float32Array(12);
+      const after = new Float32Array(12);
+      for (let p = 0; p < 12; p++) {
+        before[p] = s0[p] + s1[p];
+        after[p] = s2[p] + s3[p];
+      }
+      const change = 1 - cosine12(before, after);
+      this._phaseTotals[h % PHASE_CYCLE] += change;
+      this._phaseScore[h % M] += change;
+    }
+    this._trimEvidence();
+
+    const beat = { t, downbeat: false, beat: 1 };
+    this._label(beat, index, argmax(this._phaseScore));
+    this.beats.push(beat);
+    return beat;
+  }
+
+  /** Onset peaks inside the beat at frame j: {half: at 1/2, thirds: mean at 1/3 and 2/3}. */
+  _subdivision(j) {
+    const t = this._t[j];
+    const P = this.period;
+    const peak = (at) => {
+      let m = 0;
+      for (let k = j; k < this._t.length && this._t[k] <= at + P / 12; k++) {
+        if (this._t[k] >= at - P / 12) m = Math.max(m, this._osf[k]);
+      }
+      return m;
+    };
+    return { half: peak(t + P / 2), thirds: 0.5 * (peak(t + P / 3) + peak(t + (2 * P) / 3)) };
+  }
+
+  _label(beat, index, downPhase) {
+    beat.beat = beatInBar(index, downPhase, this.beatsPerBar);
+    beat.downbeat = beat.beat === 1;
+  }
+
+  /** Drops meter evidence older than METER_EVIDENCE_BEATS (in chunks, so the splice is rare). */
+  _trimEvidence() {
+    const cut = this._accents.length - METER_EVIDENCE_BEATS;
+    if (cut < METER_EVIDENCE_BEATS) return;
+    for (const arr of [this._accents, this._changes, this._ternary, this._offbeats]) arr.splice(0, cut);
+    this._evidenceBase += cut;
+  }
+
+  /** Drops frames no longer needed for tempo, DP look-back or downbeat features. */
+  _trim(now) {
+    const keep = this._keepSec;
+    if (this._t.length < 64 || now - this._t[0] <= 2 * keep) return;
+
+    let cut = 0;
+    while (cut < this._t.length && now - this._t[cut] > keep) cut++;
+    for (const arr of [this._t, this._osf, this._score, this._back, this._chroma]) arr.splice(0, cut);
+    this._base += cut;
+  }
+}
+
+/* -------------------------- Meter -------------------------- */
+
+// beatsPerBar is counted in tracked beats. 6/8 shows up as 2 dotted beats with a
+// triplet feel, as 6 fast beats accented 1 + 4 (tracker on the eighths) or as 3
+// beats with the second dotted beat between tracked beats 2 and 3 (hemiola).
+// With the tracker on the eighths, 3/4 is 6 beats accented 1 + 3 + 5.
+const METERS = [
+  { timeSignature: "2/4", beatsPerBar: 2, feel: "straight" },
+  { timeSignature: "3/4", beatsPerBar: 3, feel: "straight3" },
+  { timeSignature: "3/4", beatsPerBar: 6, feel: "eighths3" },
+  { timeSignature: "4/4", beatsPerBar: 4, feel: "straight" },
+  { timeSignature: "5/4", beatsPerBar: 5, feel: "straight" },
+  { timeSignature: "6/8", beatsPerBar: 2, feel: "triplet" },
+  { timeSignature: "6/8", beatsPerBar: 6, feel: "eighths6" },
+  { timeSignature: "6/8", beatsPerBar: 3, feel: "hemiola" },
+  { timeSignature: "7/8", beatsPerBar: 7, feel: "straight" }
+];
+
+// Subdivision onsets weaker than this share of the beat's onset don't count as a feel
+const SUBDIVISION_MIN = 0.2;
+
+/**
+ * Meter from per-beat evidence (BeatTracker.meterEvidence()):
+ * - accents: onset strength at each beat
+ * - changes: harmonic change into each beat (chords tend to change on bar lines)
+ * - ternary: triplet share of each beat's subdivision (0 straight .. 1 triplets; null if
+ *   the beat has none; mostly none = straight)
+ * - offbeats: onset strength half a beat after each beat
+ * For every bar length the beats are folded by phase; the bar length whose best
+ * phase stands out most (in std units) wins. Triplet feel moves 2-beat bars to 6/8,
+ * a strong offbeat in the middle of a 3-beat bar moves it to 6/8 as well.
+ * The estimate is uncertain (callers keep their bar length) below minConfidence, when
+ * the runner-up scores within minMargin of it, or with fewer than minBars of its bars.
+ *
+ * Returns {timeSignature, beatsPerBar, confidence, uncertain, candidates: [{timeSignature, confidence}]}
+ * or null with too few beats.
+ */
+export function estimateMeter(
+  { accents, changes, ternary, offbeats },
+  { bpm = null, minBeats = 16, minConfidence = 0.4, minMargin = 1.5, minBars = 4 } = {}
+) {
+  const n = changes.length;
+  if (n < minBeats) return null;
+
+  let accentMean = 0;
+  for (const a of accents) accentMean += a;
+  accentMean = accentMean / n || 1;
+
+  const x = new Float64Array(n);
+  for (let k = 0; k < n; k++) x[k] = (changes[k] || 0) + (0.5 * accents[k]) / accentMean;
+
+  let mean = 0;
+  for (const v of x) mean += v;
+  mean /= n;
+  let variance = 0;
+  for (const v of x) variance += (v - mean) * (v - mean);
+  const std = Math.sqrt(variance / n) + 1e-6;
+
+  let tern = 0;
+  const subdivided = ternary.filter((v) => v != null);
+  if (subdivided.length >= n / 4) {
+    for (const v of subdivided) tern += v;
+    tern = Math.max(0, Math.min(1, (tern / subdivided.length - 0.35) / 0.3));
+  }
+  const straight = 1 - 0.7 * tern;
+
+  const scores = new Map();
+  for (const m of METERS) {
+    const M = m.beatsPerBar;
+    if (n < 3 * M) continue;
+
+    // Phase means shrunk towards the overall mean (few bars -> noisy maxima)
+    const phase = foldPhases(x, M, mean);
+    const best = argmax(phase);
+    let others = 0;
+    for (let p = 0; p < M; p++) if (p !== best) others += phase[p];
+    others /= M - 1;
+
+    // 3 beats: 6/8 hemiola = offbeat of bar beat 2 stronger than the other beats/offbeats
+    let hemiola = 0;
+    if (M === 3) {
+      const off = foldPhases(offbeats, 3, 0);
+      const acc = foldPhases(accents, 3, 0);
+      const rest = Math.max(off[best], off[(best + 2) % 3], acc[(best + 1) % 3], acc[(best + 2) % 3]);
+      hemiola = ratioWeight(off[(best + 1) % 3], rest);
+    }
+
+    // 6 eighths: accent on 4 (6/8) vs. on 3 and 5 (3/4)
+    let sixEight = 0.5;
+    if (M === 6) {
+      const acc = foldPhases(accents, 6, 0);
+      const four = acc[(best + 3) % 6];
+      const threeFive = Math.max(acc[(best + 2) % 6], acc[(best + 4) % 6]);
+      sixEight = 0.5 + 0.5 * (ratioWeight(four, threeFive) - ratioWeight(threeFive, four));
+    }
+    const eighths = bpm && bpm >= 140 ? straight : 0;
+
+    const feelWeight = {
+      straight,
+      straight3: straight * (1 - hemiola),
+      hemiola: straight * hemiola,
+      triplet: tern,
+      eighths6: eighths * sixEight,
+      eighths3: eighths * (1 - sixEight)
+    }[m.feel];
+
+    const score = Math.max(0, (phase[best] - others) / std) * feelWeight;
+    const prev = scores.get(m.timeSignature);
+    if (!prev || score > prev.score) scores.set(m.timeSignature, { score, beatsPerBar: M });
+  }
+
+  const ranked = [...scores.entries()].sort((a, b) => b[1].score - a[1].score);
+  const total = ranked.reduce((a, [, v]) => a + v.score, 0);
+  if (!ranked.length || total <= 0) return null;
+
+  const [timeSignature, { beatsPerBar, score }] = ranked[0];
+  const confidence = score / total;
+  const runnerUp = ranked[1] ? ranked[1][1].score : 0;
+  return {
+    timeSignature,
+    beatsPerBar,
+    confidence,
+    uncertain: confidence < minConfidence || score < minMargin * runnerUp || n < minBars * beatsPerBar,
+    candidates: ranked.slice(0, 3).map(([ts, v]) => ({ timeSignature: ts, confidence: v.score / total }))
+  };
+}
+
+/** 0..1: how clearly a exceeds b (0 at a <= b, 1 at a >= 1.15 · b). */
+function ratioWeight(a, b) {
+  if (!(a > 0)) return 0;
+  if (!(b > 0)) return 1;
+  return Math.max(0, Math.min(1, (a / b - 1) / 0.15));
+}
+
+/** Per-phase means of v folded at period M, shrunk towards `prior` (2 pseudo-counts). */
+function foldPhases(v, M, prior) {
+  const sum = new Float64Array(M);
+  const count = new Float64Array(M);
+  for (let k = 0; k < v.length; k++) {
+    sum[k % M] += v[k];
+    count[k % M]++;
+  }
+  const out = [];
+  for (let p = 0; p < M; p++) out.push((sum[p] + 2 * prior) / (count[p] + 2));
+  return out;
+}
+
+function argmax(v) {
+  let best = 0;
+  for (let i = 1; i < v.length; i++) if (v[i] > v[best]) best = i;
+  return best;
+}
+
+function cosine12(a, b) {
+  let ab = 0;
+  let aa = 0;
+  let bb = 0;
+  for (let i = 0; i < 12; i++) {
+    ab += a[i] * b[i];
+    aa += a[i] * a[i];
+    bb += b[i] * b[i];
+  }
+  return aa > 0 && bb > 0 ? ab / Math.sqrt(aa * bb) : 1;
+}
+
+/* -------------------------- Chord Sequence Decoding (HMM / Viterbi) -------------------------- */
+
+// Root motion cost by circle-of-fifths distance (0 = same root, quality change).
+// Fourths/fifths are cheapest, then relative major/minor (3) and steps (2); tritone is rare.
+const ROOT_MOTION_COST = [0.3, 0.0, 0.4, 0.3, 0.6, 0.5, 1.0];
+const NO_CHORD_MOTION_COST = 0.5;
+
+/**
+ * Viterbi decoder over chord templates + a final "N" state.
+ * - Emissions: per-frame template scores / temperature (log domain)
+ * - Transitions: self-transition bias from an expected change rate (time-based,
+ *   so irregular hops are fine) + music-theory-aware change costs
+ * - lagFrames: fixed-lag decisions (live lookahead); Infinity = decide in finish()
+ *
+ * step()/finish() return decided frames in order: {state, conf, info}.
+ */
+export class ChordViterbi {
+  constructor(templates, { lagFrames = Infinity, changesPerSec = 0.6, temperature = 0.1 } = {}) {
+    this.templates = templates;
+    this.S = templates.length + 1; // last state = N
+    this.noChordState = templates.length;
+    this.lagFrames = lagFrames;
+    this._rate = changesPerSec;
+    this._invTemp = 1 / temperature;
+    this._changeLog = this._buildChangeLog();
+    this.reset();
+  }
+
+  reset() {
+    this._delta = null;
+    this._next = new Float64Array(this.S);
+    this._frames = []; // {bp: Uint16Array|null, conf: Uint8Array, info}
+  }
+
+  /** Row-normalized log P(j | i, change) for i != j. */
+  _buildChangeLog() {
+    const S = this.S;
+    const out = new Float32Array(S * S);
+
+    for (let i = 0; i < S; i++) {
+      let z = 0;
+      for (let j = 0; j < S; j++) {
+        if (i === j) continue;
+        const p = Math.exp(-this._changeCost(i, j));
+        out[i * S + j] = p;
+        z += p;
+      }
+      for (let j = 0; j < S; j++) {
+        out[i * S + j] = i === j ? -Infinity : Math.log(out[i * S + j] / z);
+      }
+    }
+    return out;
+  }
+
+  _changeCost(i, j) {
+    if (i === this.noChordState || j === this.noChordState) return NO_CHORD_MOTION_COST;
+
+    const a = this.templates[i];
+    const b = this.templates[j];
+    const fifths = (((b.root - a.root + 12) % 12) * 7) % 12;
+    const d = Math.min(fifths, 12 - fifths);
+    return ROOT_MOTION_COST[d] + (a.quality !== b.quality ? 0.1 : 0);
+  }
+
+  /**
+   * scores: Float32Array(S) template scores (N last), dtSec: time since the previous
+   * frame, info: opaque per-frame data returned with the decision.
+   */
+  step(scores, dtSec, info) {
+    const S = this.S;
+    const conf = new Uint8Array(S);
+    for (let j = 0; j < S; j++) conf[j] = Math.round(255 * Math.max(0, Math.min(1, (scores[j] - 0.2) / 0.8)));
+
+    if (!this._delta) {
+      this._delta = new Float64Array(S);
+      for (let j = 0; j < S; j++) this._delta[j] = scores[j] * this._invTemp;
+      this._frames.push({ bp: null, conf, info });
+      return this._decideLagged();
+    }
+
+    const pChange = 1 - Math.exp(-Math.max(1e-3, dtSec) * this._rate);
+    const lSelf = Math.log(1 - pChange);
+    const lChange = Math.log(pChange);
+
+    const delta = this._delta;
+    const next = this._next;
+    const bp = new Uint16Array(S);
+    const changeLog = this._changeLog;
+
+    let max = -Infinity;
+    for (let j = 0; j < S; j++) {
+      let best = delta[j] + lSelf;
+      let arg = j;
+      for (let i = 0; i < S; i++) {
+        if (i === j) continue;
+        const v = delta[i] + lChange + changeLog[i * S + j];
+        if (v > best) {
+          best = v;
+          arg = i;
+        }
+      }
+      next[j] = best + scores[j] * this._invTemp;
+      bp[j] = arg;
+      if (next[j] > max) max = next[j];
+    }
+
+    // Keep log-probabilities bounded
+    for (let j = 0; j < S; j++) delta[j] = next[j] - max;
+
+    this._frames.push({ bp, conf, info });
+    return this._decideLagged();
+  }
+
+  /** Decide all remaining frames (end of stream or whole-song offline pass). */
+  finish() {
+    if (!this._frames.length) return [];
+    const states = this._backtrack(this._frames.length);
+    const out = this._frames.map((f, k) => ({ state: states[k], conf: f.conf[states[k]] / 255, info: f.info }));
+    this.reset();
+    return out;
+  }
+
+  _decideLagged() {
+    if (this._frames.length <= this.lagFrames) return [];
+
+    // Fixed lag: only the oldest frame in the window is decided
+    const state = this._backtrack(1)[0];
+    const f = this._frames.shift();
+    return [{ state, conf: f.conf[state] / 255, info: f.info }];
+  }
+
+  /** States of the first `count` frames on the best path ending now. */
+  _backtrack(count) {
+    const frames = this._frames;
+    const S = this.S;
+
+    let state = 0;
+    for (let j = 1; j < S; j++) if (this._delta[j] > this._delta[state]) state = j;
+
+    const states = new Array(count);
+    for (let k = frames.length - 1; k >= 0; k--) {
+      if (k < count) states[k] = state;
+      if (k > 0) state = frames[k].bp[state];
+    }
+    return states;
+  }
+}
+
+/* -------------------------- Analysis Core -------------------------- */
+
+export class AnalysisCore {
+  constructor({
+    sampleRate,
+    fftSize = 4096,
+
+    // Golden Settings (Full Mix: YouTube Pop/Rock)
+    chromaTimeConstantMs = 220,
+    chordStableMs = 320,
+    bassStableMs = 280,
+
+    // Bass path (matches the live BiquadFilterNode)
+    bassCutoffHz = 250,
+    bassQ = 0.707,
+
+    // Vocabulary + no-chord gates
+    chordQualities = DEFAULT_CHORD_QUALITIES,
+    noChordRmsDb = -50,
+    noChordConfidence = 0.3,
+
+    // "hysteresis" | "viterbi"; lag = live lookahead (Infinity: decide at finish())
+    chordDecoding = "hysteresis",
+    viterbiLagMs = 1000,
+
+    // Tuning: fixed offset in cents, or null = estimate from the first tuningEstimateMs of sound
+    tuningCents = null,
+    tuningEstimateMs = 10000,
+
+    // Semitones the analyzed audio is transposed by (playback pitch shift); mapped back
+    pitchShiftSemis = 0,
+
+    // Offline: stamp chord events where the chord began, not when decoding confirmed it
+    backdateEvents = false
+  } = {}) {
+    if (!sampleRate) throw new Error("AnalysisCore requires a sampleRate");
+
+    this.sampleRate = sampleRate;
+    this.fftSize = fftSize;
+    this.binCount = fftSize / 2;
+
+    // Golden Settings
+    this._chromaTC = chromaTimeConstantMs;
+    this._stableMs = chordStableMs;
+    this._bassStableMs = bassStableMs;
+
+    // FFT + spectra (levels in [0..1] over the analyser dB range)
+    this._fft = new FFT(fftSize);
+    this._mag = new Float32Array(this.binCount);
+    this._bassMag = new Float32Array(this.binCount);
+    this._levels = new Float32Array(this.binCount);
+    this._bassLevels = new Float32Array(this.binCount);
+    this._bassResponse = lowpassMagnitudeResponse(this.binCount, fftSize, sampleRate, bassCutoffHz, bassQ);
+
+    // Float spectra (whitened)
+    this._spec = new Float32Array(this.binCount);
+    this._bassSpec = new Float32Array(this.binCount);
+
+    // Whitening
+    this._whitenWindow = 25; // bins half-window (Golden Setting)
+    this._whitenEps = 1e-6;
+
+    // Chroma
+    this.PC = PC_NAMES;
+    this.A4 = 440;
+    this._pitchShift = pitchShiftSemis;
+    this._tuningEstimator = new TuningEstimator({ sampleRate, fftSize });
+    this._tuningEstimateMs = tuningEstimateMs;
+    this._tuningEvidenceMs = 0;
+    this.setTuning(tuningCents);
+    this._fMin = 55;
+    this._fMax = 5500;
+
+    this._chromaRaw = new Float32Array(12);
+    this._chromaSmoothed = new Float32Array(12);
+    this._chromaEMA = new Float32Array(12);
+    this._lastChromaTs = null;
+
+    // HPSS bias (transient downweighting)
+    // Maintain a per-bin EMA "harmonic estimate" and compute "percussive residual"
+    // Then weight bins by harmonicRatio = H / (H + P).
+    this._harmonicSpecEMA = new Float32Array(this.binCount);
+    this._lastSpecTs = null;
+    this._harmonicTC = 110; // ms (tuned for full mix; slower than percussive transients)
+    this._hpssEps = 1e-6;
+
+    // Bass via HPS
+    this._bassMinHz = 30;
+    this._bassMaxHz = 280;
+    this._hpsHarmonics = 4; // Golden Setting
+
+    // Bass stability state
+    this._bassPc = null;
+    this._bassCandidate = null;
+    this._bassCandidateSince = 0;
+
+    // Chord templates + decoding (hysteresis or Viterbi)
+    this._noChordRmsDb = noChordRmsDb;
+    this._noChordConfidence = noChordConfidence;
+    this._viterbiLagMs = viterbiLagMs;
+    this.chordDecoding = chordDecoding === "viterbi" ? "viterbi" : "hysteresis";
+    this._stateScores = null;
+    this._viterbi = null;
+    this._decodedState = -1;
+    this._bassVotes = new Uint32Array(12);
+    this._noBassVotes = 0;
+    this._lastProcessMs = null;
+    this.setChordQualities(chordQualities);
+    this.lastChord = "—";
+    this._candidateChord = "—";
+    this._candidateSince = 0;
+    this._candidateConfidence = 0;
+    this._changeSince = 0; // when frames first stopped matching lastChord
+    this._backdateEvents = backdateEvents;
+    // A chord change reaches the detector this late: half the window plus the chroma EMA
+    this._detectLatencyMs = ((fftSize / 2) / sampleRate) * 1000 + chromaTimeConstantMs * Math.LN2;
+
+    // Timeline events (conf = mean frame confidence over the segment)
+    this.events = []; // {t, chord, conf, overridden?, userChord?}
+    this._segmentFrames = 0;
+
+    // Key + modulations
+    this.keyDetector = new KeyDetector();
+
+    // Onsets (multi-band spectral flux) -> tempogram tempo -> beat grid
+    this._onsetDetector = new OnsetDetector({ sampleRate, fftSize });
+    this.tempo = new TempoEstimator();
+    this.beatTracker = new BeatTracker();
+    this.onsets = []; // seconds (last ~8s)
+
+    // Meter (re-estimated every few beats; sets the tracker's bar length once certain)
+    this.meter = null;
+    this._beatsSinceMeter = 0;
+
+    // Sample clock (ms) of the frame being processed
+    this._clockMs = 0;
+
+    // Scratch
+    this._scratchPrefix = null;
+    this._scratchHPS = null;
+  }
+
+  /**
+   * Clears all smoothing/hysteresis state and the event list.
+   * sampleTime: position the next frames start from (e.g. after a seek).
+   */
+  reset(sampleTime = 0) {
+    this._clockMs = (sampleTime / this.sampleRate) * 1000;
+
+    this.lastChord = "—";
+    this._candidateChord = "—";
+    this._candidateSince = this._clockMs;
+    this._changeSince = this._clockMs;
+    this._viterbi?.reset();
+    this._decodedState = -1;
+    this._bassVotes = new Uint32Array(12);
+    this._noBassVotes = 0;
+    this._lastProcessMs = null;
+    this._segmentFrames = 0;
+
+    this._bassPc = null;
+    this._bassCandidate = null;
+    this._bassCandidateSince = this._clockMs;
+
+    this.events = [];
+    this.keyDetector.reset();
+    this._onsetDetector.reset();
+    this.tempo.reset();
+    this.beatTracker.reset();
+    this.onsets = [];
+    this.meter = null;
+    this._beatsSinceMeter = 0;
+
+    this._chromaEMA.fill(0);
+    this._chromaSmoothed.fill(0);
+    this._chromaRaw.fill(0);
+
+    this._harmonicSpecEMA.fill(0);
+    this._lastChromaTs = null;
+    this._lastSpecTs = null;
+  }
+
+  /** Current analysis time in seconds (sample clock). */
+  get time() {
+    return this._clockMs / 1000;
+  }
+
+  /**
+   * Analyze one frame.
+   * - frame: fftSize PCM samples ending at sampleTime
+   * - sampleTime: sample index of the frame end (song position)
+   * - bassFrame: optional lowpassed PCM for the bass path; derived in the
+   *   frequency domain from `frame` when omitted
+   */
+  process(frame, sampleTime, bassFrame = null) {
+    this._clockMs = (sampleTime / this.sampleRate) * 1000;
+    const dtSec = this._lastProcessMs == null ? 0 : Math.max(0, this._clockMs - this._lastProcessMs) / 1000;
+    this._lastProcessMs = this._clockMs;
+
+    this._fft.magnitudes(frame, this._mag);
+
+    // Quiet frame: the normalized chroma would still show the last chord
+    const silent = this._rmsDb(frame) < this._noChordRmsDb;
+    if (!silent) this._updateTuning(dtSec);
+
+    if (bassFrame) {
+      this._fft.magnitudes(bassFrame, this._bassMag);
+    } else {
+      for (let k = 0; k < this.binCount; k++) this._bassMag[k] = this._mag[k] * this._bassResponse[k];
+    }
+    this._levelsFromMagnitudes(this._mag, this._levels);
+    this._levelsFromMagnitudes(this._bassMag, this._bassLevels);
+
+    // Whitening
+    this._computeWhitenedSpectrum(this._levels, this._spec, this._whitenWindow);
+    this._computeWhitenedSpectrum(this._bassLevels, this._bassSpec, this._whitenWindow);
+
+    // HPSS bias: update harmonic EMA and compute harmonic ratio per bin
+    const harmonicRatio = this._updateHPSSAndGetHarmonicRatio(this._spec);
+
+    // Chroma from (whitened spec * harmonicRatio) -> key-invariant smoothing
+    const chromaRaw = this._computeChromaFromWhitened(this._spec, harmonicRatio);
+    const chroma = this._keyInvariantChromaSmoothing(chromaRaw);
+
+    // Bass via HPS (stable)
+    const bassPc = this._detectBassPitchClassHPS(this._bassSpec);
+
+    // Chord detect + decode (hysteresis or Viterbi)
+    const { chord, confidence } = this._detectChord(chroma, bassPc, silent);
+    let stableChord;
+    if (this.chordDecoding === "viterbi") {
+      const decided = this._viterbi.step(this._stateScores, dtSec, { t: this.time, bassPc });
+      for (const d of decided) this._commitDecoded(d);
+      stableChord = this.lastChord;
+    } else {
+      stableChord = this._applyChordHysteresis(chord, confidence);
+      if (chord === stableChord) this._accumulateSegmentConfidence(confidence);
+    }
+
+    // Key (long-term profile, modulations -> keyDetector.changes); silence holds the key
+    const key = silent ? this.keyDetector.key : this.keyDetector.update(chroma, this._clockMs);
+
+    // Onsets, tempo, beats (final beats lag ~1.5 beats behind)
+    const { strength, t: onsetT, onset } = this._onsetDetector.process(this._levels, this.time);
+    if (onset !== null) {
+      this.onsets.push(onset);
+      while (this.onsets.length && onset - this.onsets[0] > 8) this.onsets.shift();
+    }
+    this.tempo.update(strength, onsetT);
+    const newBeats = this.beatTracker.update(strength, onsetT, this.tempo.period, silent ? null : chromaRaw);
+    this._beatsSinceMeter += newBeats.length;
+    if (this._beatsSinceMeter >= 4) this._updateMeter(48);
+    const bpm = this.tempo.bpm ? Math.round(this.tempo.bpm) : null;
+
+    const segment = this.events[this.events.length - 1];
+    return {
+      chord: stableChord,
+      confidence,
+      bpm,
+      chroma,
+      bassPc,
+      chordCandidates: this._chordCandidates(),
+      key,
+      tuning: this.tuning,
+      tempoCandidates: this.tempo.candidates,
+      beatPeriod: this.beatTracker.period,
+      meter: this.meter,
+      chordStart: segment ? segment.t : null,
+      chordConfidence: segment ? segment.conf : 0
+    };
+  }
+
+  /**
+   * End of stream: decides the beats and (Viterbi mode) chord frames still inside
+   * the lookahead window (analyzePCM does this for the whole-song pass).
+   */
+  finish() {
+    this.beatTracker.finish();
+    this._updateMeter(Infinity);
+    this.beatTracker.relabel();
+    if (this.chordDecoding !== "viterbi") return;
+    for (const d of this._viterbi.finish()) this._commitDecoded(d);
+  }
+
+  /** Meter over the last `beats` beats; a certain estimate sets the bar length for downbeats. */
+  _updateMeter(beats) {
+    this._beatsSinceMeter = 0;
+    this.meter = estimateMeter(this.beatTracker.meterEvidence(beats), { bpm: this.tempo.bpm });
+    if (this.meter && !this.meter.uncertain && this.meter.beatsPerBar !== this.beatTracker.beatsPerBar) {
+      this.beatTracker.setBeatsPerBar(this.meter.beatsPerBar);
+    }
+  }
+
+  /** Stable tempo per estimate: [{t, bpm}] (see TempoEstimator). */
+  get tempoCurve() {
+    return this.tempo.curve;
+  }
+
+  /** Beat grid so far: [{t, downbeat, beat}] (see BeatTracker). */
+  get beats() {
+    return this.beatTracker.beats;
+  }
+
+  /* -------------------------- Tuning -------------------------- */
+
+  /**
+   * cents: fixed offset vs. A4 = 440 Hz (manual override / known tuning), or null to
+   * estimate it. Switching back to auto keeps the evidence gathered so far.
+   */
+  setTuning(cents) {
+    this._tuningManual = cents != null && isFinite(cents);
+    if (this._tuningManual) {
+      this._tuningCents = cents;
+      this._tuningConfidence = 1;
+      this._tuningLocked = true;
+    } else {
+      const { cents: est, confidence } = this._tuningEstimator.estimate;
+      this._tuningCents = est;
+      this._tuningConfidence = confidence;
+      this._tuningLocked = this._tuningEvidenceMs >= this._tuningEstimateMs;
+    }
+    this._updateA4();
+  }
+
+  /**
+   * The audio is playing transposed by `semitones` (whole-semitone shifts don't
+   * disturb the tuning estimate): chroma, bass and key are read against a reference
+   * shifted along, so chords keep their original names. 0 = label what is heard.
+   */
+  setPitchShift(semitones) {
+    this._pitchShift = Number(semitones) || 0;
+    this._updateA4();
+  }
+
+  /** Reference for pitch classes: tuning plus the playback pitch shift. */
+  _updateA4() {
+    this.A4 = centsToA4(this._tuningCents + 100 * this._pitchShift);
+  }
+
+  /** Starts a fresh estimate (new recording); a manual offset stays in place. */
+  resetTuning() {
+    this._tuningEstimator.reset();
+    this._tuningEvidenceMs = 0;
+    if (!this._tuningManual) this.setTuning(null);
+  }
+
+  /** {cents, a4, confidence, manual, locked} */
+  get tuning() {
+    return {
+      cents: this._tuningCents,
+      a4: centsToA4(this._tuningCents),
+      confidence: this._tuningConfidence,
+      manual: this._tuningManual,
+      locked: this._tuningLocked
+    };
+  }
+
+  /** Accumulates peak deviations until the estimate locks (sound time, not wall time). */
+  _updateTuning(dtSec) {
+    if (this._tuningLocked) return;
+
+    this._tuningEstimator.addSpectrum(this._mag);
+    this._tuningEvidenceMs += dtSec * 1000;
+
+    // Follow the running estimate once there is a little evidence, then freeze it
+    if (this._tuningEstimator.frames >= 20) {
+      const { cents, confidence } = this._tuningEstimator.estimate;
+      this._tuningCents = cents;
+      this._tuningConfidence = confidence;
+      this._updateA4();
+    }
+    if (this._tuningEvidenceMs >= this._tuningEstimateMs) this._tuningLocked = true;
+  }
+
+  /** Key changes so far ({t, tonic, mode, name, confidence}); the first entry is the initial key. */
+  get keyChanges() {
+    return this.keyDetector.changes;
+  }
+
+  /**
+   * Timeline event active at time t (seconds), or null before the first chord.
+   */
+  chordAt(t) {
+    return eventAt(this.events, t);
+  }
+
+  /* -------------------------- Spectrum Levels -------------------------- */
+
+  /** |X|/N -> dB -> [0..1] over the analyser range (AnalyserNode byte scale / 255). */
+  _levelsFromMagnitudes(mag, out) {
+    const scale = 1 / (MAX_DB - MIN_DB);
+    for (let k = 0; k < mag.length; k++) {
+      const m = mag[k];
+      const db = m > 0 ? 20 * Math.log10(m) : -Infinity;
+      const v = (db - MIN_DB) * scale;
+      out[k] = v < 0 ? 0 : v > 1 ? 1 : v;
+    }
+  }
+
+  /* -------------------------- Spectral Whitening -------------------------- */
+
+  _computeWhitenedSpectrum(levels, outFloat, halfWindowBins) {
+    const n = levels.length;
+
+    // Convert to mag w/ gamma (noise suppression)
+    for (let i = 0; i < n; i++) {
+      const x = levels[i];
+      outFloat[i] = x * x;
+    }
+
+    // Prefix sums for moving avg envelope
+    const prefix = this._getScratchPrefix(n + 1);
+    prefix[0] = 0;
+    for (let i = 0; i < n; i++) prefix[i + 1] = prefix[i] + outFloat[i];
+
+    const eps = this._whitenEps;
+    for (let i = 0; i < n; i++) {
+      const a = Math.max(0, i - halfWindowBins);
+      const b = Math.min(n - 1, i + halfWindowBins);
+      const env = (prefix[b + 1] - prefix[a]) / (b - a + 1);
+      outFloat[i] = outFloat[i] / (env + eps);
+    }
+
+    // Normalize by max
+    let max = 0;
+    for (let i = 0; i < n; i++) if (outFloat[i] > max) max = outFloat[i];
+    if (max > 0) {
+      const inv = 1 / max;
+      for (let i = 0; i < n; i++) outFloat[i] *= inv;
+    }
+  }
+
+  _getScratchPrefix(len) {
+    if (!this._scratchPrefix || this._scratchPrefix.length < len) {
+      this._scratchPrefix = new Float32Array(len);
+    }
+    return this._scratchPrefix;
+  }
+
+  /* -------------------------- HPSS Bias (Transient Downweighting) -------------------------- */
+
+  /**
+   * Returns a Float32Array harmonicRatio per bin in [0..1].
+   * harmonicRatio ~ 1 => stable/harmonic content
+   * harmonicRatio ~ 0 => transient/percussive content
+   */
+  _updateHPSSAndGetHarmonicRatio(whitenedSpec) {
+    const now = this._clockMs;
+    const dt = Math.max(1, now - (this._lastSpecTs ?? now));
+    this._lastSpecTs = now;
+
+    // EMA alpha for harmonic estimate
+    const tau = Math.max(20, this._harmonicTC); // ms
+    const alpha = 1 - Math.exp(-dt / tau);
+
+    const H = this._harmonicSpecEMA;
+    const n = whitenedSpec.length;
+
+    // Allocate harmonicRatio scratch
+    if (!this._harmonicRatioScratch || this._harmonicRatioScratch.length !== n) {
+      this._harmonicRatioScratch = new Float32Array(n);
+    }
+    const R = this._harmonicRatioScratch;
+
+    const eps = this._hpssEps;
+
+    for (let i = 0; i < n; i++) {
+      const x = whitenedSpec[i];
+
+      // Update harmonic EMA (stable component)
+      H[i] = (1 - alpha) * H[i] + alpha * x;
+
+      // Percussive residual (transient-ish): only positive spikes beyond harmonic baseline
+      const p = Math.max(0, x - H[i]);
+
+      // Harmonic ratio (soft mask)
+      // If p dominates => ratio small. If H dominates => ratio near 1.
+      const ratio = H[i] / (H[i] + p + eps);
+
+      // Extra transient suppression curve (aggressive for drums)
+      // ratio^gamma -> pushes small ratios closer to 0
+      R[i] = Math.pow(ratio, 1.8);
+    }
+
+    return R;
+  }
+
+  /* -------------------------- Chroma -------------------------- */
+
+  _computeChromaFromWhitened(whitenedSpec, harmonicRatio /* Float32Array */) {
+    this._chromaRaw.fill(0);
+
+    const sr = this.sampleRate;
+    const nFFT = this.fftSize;
+    const binCount = whitenedSpec.length;
+
+    for (let i = 1; i < binCount; i++) {
+      // Weight down transients: harmonicRatio[i] in [0..1]
+      const mag = whitenedSpec[i] * (harmonicRatio ? harmonicRatio[i] : 1.0);
+      if (mag < 0.02) continue;
+
+      const freq = (i * sr) / nFFT;
+      if (freq < this._fMin || freq > this._fMax) continue;
+
+      const midi = this._freqToMidi(freq);
+      const pc = ((Math.round(midi) % 12) + 12) % 12;
+
+      // Emphasize strong/consistent partials
+      this._chromaRaw[pc] += Math.pow(mag, 1.25);
+    }
+
+    this._normalize12(this._chromaRaw);
+    return this._chromaRaw;
+  }
+
+  _keyInvariantChromaSmoothing(chromaIn) {
+    // Circular smoothing (shift-invariant)
+    const tmp = this._chromaSmoothed;
+    for (let k = 0; k < 12; k++) {
+      const km2 = (k + 10) % 12;
+      const kp2 = (k + 2) % 12;
+      const km1 = (k + 11) % 12;
+      const kp1 = (k + 1) % 12;
+
+      tmp[k] =
+        0.56 * chromaIn[k] +
+        0.12 * (chromaIn[km1] + chromaIn[kp1]) +
+        0.10 * (chromaIn[km2] + chromaIn[kp2]);
+    }
+
+    // Peak sharpening
+    for (let k = 0; k < 12; k++) tmp[k] = Math.pow(Math.max(0, tmp[k]), 1.35);
+
+    this._normalize12(tmp);
+
+    // Temporal EMA with time constant (Golden Setting: 220ms)
+    const now = this._clockMs;
+    const dt = Math.max(1, now - (this._lastChromaTs ?? now));
+    this._lastChromaTs = now;
+
+    const tau = Math.max(10, this._chromaTC);
+    const alpha = 1 - Math.exp(-dt / tau);
+
+    for (let k = 0; k < 12; k++) {
+      this._chromaEMA[k] = (1 - alpha) * this._chromaEMA[k] + alpha * tmp[k];
+    }
+
+    this._normalize12(this._chromaEMA);
+    return this._chromaEMA;
+  }
+
+  _normalize12(v) {
+    let s = 0;
+    for (let i = 0; i < 12; i++) s += v[i] * v[i];
+    const n = Math.sqrt(s);
+    if (n > 0) {
+      const inv = 1 / n;
+      for (let i = 0; i < 12; i++) v[i] *= inv;
+    }
+  }
+
+  _freqToMidi(freq) {
+    return 69 + 12 * Math.log2(freq / this.A4);
+  }
+
+  /* -------------------------- Bass via HPS -------------------------- */
+
+  _detectBassPitchClassHPS(whitenedBassSpec) {
+    const sr = this.sampleRate;
+    const nFFT = this.fftSize;
+
+    const binMin = Math.max(1, Math.floor((this._bassMinHz * nFFT) / sr));
+    const binMax = Math.min(whitenedBassSpec.length - 1, Math.floor((this._bassMaxHz * nFFT) / sr));
+    if (binMax <= binMin + 8) return this._applyBassStability(null);
+
+    const len = binMax + 1;
+    const hps = this._getScratchHPS(len);
+    for (let i = 0; i < len; i++) hps[i] = whitenedBassSpec[i];
+
+    const H = this._hpsHarmonics; // Golden Setting: 4
+    for (let h = 2; h <= H; h++) {
+      for (let i = binMin; i <= binMax; i++) {
+        const j = i * h;
+        if (j > binMax) break;
+        hps[i] *= Math.max(whitenedBassSpec[j], 1e-3);
+      }
+    }
+
+    let bestI = -1;
+    let bestV = 0;
+    for (let i = binMin; i <= binMax; i++) {
+      const v = hps[i];
+      if (v > bestV) {
+        bestV = v;
+        bestI = i;
+      }
+    }
+
+    if (bestI < 0 || bestV < 0.02) {
+      return this._applyBassStability(null);
+    }
+
+    const freq = (bestI * sr) / nFFT;
+    const midi = this._freqToMidi(freq);
+    const pc = ((Math.round(midi) % 12) + 12) % 12;
+
+    return this._applyBassStability(pc);
+  }
+
+  _getScratchHPS(len) {
+    if (!this._scratchHPS || this._scratchHPS.length < len) {
+      this._scratchHPS = new Float32Array(len);
+    }
+    return this._scratchHPS;
+  }
+
+  _applyBassStability(pc) {
+    const now = this._clockMs;
+
+    // If detection missing, release slowly
+    if (pc === null) {
+      if (this._bassPc !== null && now - this._bassCandidateSince > 900) {
+        this._bassPc = null;
+      }
+      return this._bassPc;
+    }
+
+    if (pc === this._bassPc) {
+      this._bassCandidate = pc;
+      this._bassCandidateSince = now;
+      return this._bassPc;
+    }
+
+    if (pc !== this._bassCandidate) {
+      this._bassCandidate = pc;
+      this._bassCandidateSince = now;
+      return this._bassPc;
+    }
+
+    // Golden Setting: 280ms
+    if (now - this._bassCandidateSince >= this._bassStableMs) {
+      this._bassPc = this._bassCandidate;
+    }
+    return this._bassPc;
+  }
+
+  /* -------------------------- Chord Detection -------------------------- */
+
+  /**
+   * Restricts detection to the given qualities (keys of CHORD_QUALITIES).
+   * Unknown names are ignored; an empty list falls back to major/minor triads.
+   */
+  setChordQualities(qualities) {
+    const valid = qualities.filter((q) => CHORD_QUALITIES[q]);
+    this.chordQualities = valid.length ? valid : ["maj", "min"];
+    this.templates = this._buildChordTemplates(this.chordQualities);
+    this._stateScores = new Float32Array(this.templates.length + 1);
+    this._buildViterbi();
+  }
+
+  /** "hysteresis" or "viterbi"; restarts decoding from the next frame. */
+  setChordDecoding(mode) {
+    this.chordDecoding = mode === "viterbi" ? "viterbi" : "hysteresis";
+    this._buildViterbi();
+  }
+
+  _buildViterbi() {
+    if (this.chordDecoding !== "viterbi") {
+      this._viterbi = null;
+      return;
+    }
+    // Lag in frames at the nominal worklet hop (1024 samples)
+    const lagFrames = isFinite(this._viterbiLagMs)
+      ? Math.max(1, Math.round((this._viterbiLagMs / 1000) * (this.sampleRate / 1024)))
+      : Infinity;
+    this._viterbi = new ChordViterbi(this.templates, { lagFrames });
+    this._decodedState = -1;
+  }
+
+  _buildChordTemplates(qualities) {
+    const templates = [];
+    for (let root = 0; root < 12; root++) {
+      for (const quality of qualities) {
+        const { intervals, extensions = [], prior } = CHORD_QUALITIES[quality];
+        const v = new Float32Array(12);
+        for (const itv of intervals) v[(root + itv) % 12] = 1;
+        const core = intervals.filter((itv) => !extensions.includes(itv)).map((itv) => (root + itv) % 12);
+        const ext = extensions.map((itv) => (root + itv) % 12);
+
+        // Normalize
+        let s = 0;
+        for (let i = 0; i < 12; i++) s += v[i] * v[i];
+        const n = Math.sqrt(s);
+        for (let i = 0; i < 12; i++) v[i] = v[i] / n;
+
+        templates.push({ root, quality, prior, vec: v, core, ext });
+      }
+    }
+    return templates;
+  }
+
+  /**
+   * Fills this._stateScores (templates + N last) and returns the best chord.
+   * N scores at the no-chord confidence threshold, or wins outright on silence.
+   */
+  _detectChord(chroma, bassPc, silent = false) {
+    const scores = this._stateScores;
+    const nIdx = this.templates.length;
+
+    if (silent) {
+      scores.fill(0);
+      scores[nIdx] = 1;
+      return { chord: NO_CHORD, confidence: 0 };
+    }
+
+    let best = { score: -1, root: 0, quality: "maj" };
+
+    for (let i = 0; i < nIdx; i++) {
+      const t = this.templates[i];
+      const score = this._dot12(chroma, t.vec) - t.prior - this._extensionPenalty(chroma, t);
+      scores[i] = score;
+      if (score > best.score) best = { score, root: t.root, quality: t.quality };
+    }
+    scores[nIdx] = 0.2 + 0.8 * this._noChordConfidence;
+
+    const confidence = this._clamp01((best.score - 0.20) / 0.80);
+    if (confidence < this._noChordConfidence) return { chord: NO_CHORD, confidence };
+
+    let name = this._formatChord(best.root, best.quality);
+
+    if (bassPc !== null && bassPc !== best.root) {
+      name = `${name}/${this.PC[bassPc]}`;
+    }
+
+    return { chord: name, confidence };
+  }
+
+  /** Score penalty for a template whose extension tones don't stand out in the chroma. */
+  _extensionPenalty(chroma, template) {
+    if (!template.ext.length) return 0;
+    let core = 0;
+    for (const pc of template.core) core += chroma[pc];
+    core /= template.core.length;
+    if (core <= 0) return EXTENSION_PENALTY;
+
+    let weakest = Infinity;
+    for (const pc of template.ext) weakest = Math.min(weakest, chroma[pc]);
+    const absent = (EXTENSION_PRESENT - weakest / core) / (EXTENSION_PRESENT - EXTENSION_ABSENT);
+    return EXTENSION_PENALTY * this._clamp01(absent);
+  }
+
+  /**
+   * Best `count` states of the last _detectChord() as [{chord, confidence}], best first.
+   * Confidence is on the detector's scale; N's is the no-chord threshold (1 on silence).
+   */
+  _chordCandidates(count = 3) {
+    const scores = this._stateScores;
+    const nIdx = this.templates.length;
+    const top = [];
+    for (let i = 0; i <= nIdx; i++) {
+      if (top.length === count && scores[i] <= scores[top[count - 1]]) continue;
+      let j = top.length;
+      while (j > 0 && scores[top[j - 1]] < scores[i]) j--;
+      top.splice(j, 0, i);
+      if (top.length > count) top.pop();
+    }
+    return top.map((i) => ({
+      chord: i === nIdx ? NO_CHORD : this._formatChord(this.templates[i].root, this.templates[i].quality),
+      confidence: this._clamp01((scores[i] - 0.2) / 0.8)
+    }));
+  }
+
+  _formatChord(rootPc, quality) {
+    const root = this.PC[rootPc];
+    const q = CHORD_QUALITIES[quality];
+    return q ? `${root}${q.suffix}` : root;
+  }
+
+  _chordName(state, bassPc) {
+    if (state === this.templates.length) return NO_CHORD;
+    const t = this.templates[state];
+    let name = this._formatChord(t.root, t.quality);
+    if (bassPc !== null && bassPc !== t.root) name = `${name}/${this.PC[bassPc]}`;
+    return name;
+  }
+
+  /**
+   * Viterbi decision for one (lagged) frame -> events.
+   * The slash bass is the segment's most frequent bass note, so it settles as the
+   * segment grows instead of splitting it.
+   */
+  _commitDecoded({ state, conf, info }) {
+    const isNew = state !== this._decodedState;
+    if (isNew) {
+      this._decodedState = state;
+      this._bassVotes.fill(0);
+      this._noBassVotes = 0;
+    }
+    if (info.bassPc === null) this._noBassVotes++;
+    else this._bassVotes[info.bassPc]++;
+
+    let bassPc = null;
+    let votes = this._noBassVotes;
+    for (let pc = 0; pc < 12; pc++) {
+      if (this._bassVotes[pc] > votes) {
+        votes = this._bassVotes[pc];
+        bassPc = pc;
+      }
+    }
+
+    const name = this._chordName(state, bassPc);
+    if (isNew) {
+      this.lastChord = name;
+      this._pushEvent(this._backdateEvents ? this._onsetTime(info.t * 1000) : info.t, name, conf);
+      return;
+    }
+
+    this._accumulateSegmentConfidence(conf);
+    const ev = this.events[this.events.length - 1];
+    if (ev && name !== ev.chord && !ev.overridden) {
+      ev.chord = name;
+      this.lastChord = name;
+    }
+  }
+
+  _pushEvent(t, chord, conf) {
+    const prev = this.events[this.events.length - 1]?.chord;
+    if (prev === chord) return;
+    this.events.push({ t, chord, conf, overridden: false });
+    this._segmentFrames = 1;
+  }
+
+  /** Running mean of frame confidences for the current (last) event. */
+  _accumulateSegmentConfidence(conf) {
+    const ev = this.events[this.events.length - 1];
+    if (!ev) return;
+    this._segmentFrames++;
+    ev.conf += (conf - ev.conf) / this._segmentFrames;
+  }
+
+  _applyChordHysteresis(chordName, confidence = 0) {
+    const now = this._clockMs;
+
+    if (chordName === this.lastChord) {
+      this._candidateChord = chordName;
+      this._candidateSince = now;
+      return this.lastChord;
+    }
+    if (this._candidateChord === this.lastChord) this._changeSince = now;
+
+    if (chordName !== this._candidateChord) {
+      this._candidateChord = chordName;
+      this._candidateSince = now;
+      this._candidateConfidence = confidence;
+      return this.lastChord;
+    }
+
+    // Golden Setting: 320ms
+    if (now - this._candidateSince >= this._stableMs) {
+      this.lastChord = this._candidateChord;
+      // Offline: the change began when frames left the previous chord (through any
+      // in-between labels while the chroma crossfades)
+      const t = this._backdateEvents ? this._onsetTime(this._changeSince) : this.time;
+      this._pushEvent(t, this.lastChord, this._candidateConfidence);
+    }
+
+    return this.lastChord;
+  }
+
+  /** Song time (s) a change first seen at `detectedMs` started, after the detector latency. */
+  _onsetTime(detectedMs) {
+    const prev = this.events[this.events.length - 1];
+    return Math.max(prev ? prev.t : 0, (detectedMs - this._detectLatencyMs) / 1000);
+  }
+
+  /* -------------------------- Utils -------------------------- */
+
+  _rmsDb(frame) {
+    let s = 0;
+    for (let i = 0; i < frame.length; i++) s += frame[i] * frame[i];
+    const rms = Math.sqrt(s / frame.length);
+    return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+  }
+
+  _dot12(a, b) {
+    let s = 0;
+    for (let i = 0; i < 12; i++) s += a[i] * b[i];
+    return s;
+  }
+
+  _clamp01(x) {
+    return Math.max(0, Math.min(1, x));
+  }
+}
+
+/* -------------------------- Timeline Helpers -------------------------- */
+
+/** Event active at time t (events sorted by t), or null before the first one. */
+export function eventAt(events, t) {
+  let found = null;
+  for (const ev of events) {
+    if (ev.t > t) break;
+    found = ev;
+  }
+  return found;
+}
+
+/**
+ * Beats in [t0, t1). With a period, the grid is extrapolated past the last known
+ * beat (live beats are only final ~1.5 beats late), continuing the bar count.
+ */
+export function beatsInRange(beats, t0, t1, period = null, beatsPerBar = 4) {
+  const out = [];
+  for (const b of beats) {
+    if (b.t >= t1) return out;
+    if (b.t >= t0) out.push(b);
+  }
+
+  const last = beats[beats.length - 1];
+  if (!last || !period) return out;
+
+  let k = Math.max(1, Math.ceil((t0 - last.t) / period));
+  for (let t = last.t + k * period; t < t1; k++, t = last.t + k * period) {
+    const beat = ((last.beat - 1 + k) % beatsPerBar) + 1;
+    out.push({ t, downbeat: beat === 1, beat, predicted: true });
+  }
+  return out;
+}
+
+/** 1-based position in the bar of beat `index` when downbeats fall on index downPhase (mod beatsPerBar). */
+function beatInBar(index, downPhase, beatsPerBar) {
+  return ((((index - downPhase) % beatsPerBar) + beatsPerBar) % beatsPerBar) + 1;
+}
+
+/** Relabels beats in place as BeatTracker.relabel() does, from its beatsPerBar and downPhase. */
+export function labelBeats(beats, beatsPerBar, downPhase) {
+  beats.forEach((b, k) => {
+    b.beat = beatInBar(k, downPhase, beatsPerBar);
+    b.downbeat = b.beat === 1;
+  });
+  return beats;
+}
+
+/** Beat closest to t (optionally downbeats only), or null. */
+export function nearestBeat(beats, t, { downbeatsOnly = false } = {}) {
+  let best = null;
+  for (const b of beats) {
+    if (downbeatsOnly && !b.downbeat) continue;
+    if (!best || Math.abs(b.t - t) < Math.abs(best.t - t)) best = b;
+    else if (b.t > t) break;
+  }
+  return best;
+}
+
+/* -------------------------- Batch / Offline -------------------------- */
+
+/** Time-weighted median BPM of a tempo curve ([{t, bpm}]), or null. */
+function medianTempo(curve) {
+  if (curve.length < 2) return curve[0]?.bpm ?? null;
+
+  const spans = [];
+  for (let i = 0; i < curve.length - 1; i++) spans.push({ bpm: curve[i].bpm, w: curve[i + 1].t - curve[i].t });
+  spans.sort((a, b) => a.bpm - b.bpm);
+
+  const half = spans.reduce((a, s) => a + s.w, 0) / 2;
+  let acc = 0;
+  for (const s of spans) {
+    acc += s.w;
+    if (acc >= half) return s.bpm;
+  }
+  return spans[spans.length - 1].bpm;
+}
+
+/** Copies the `out.length` samples ending at `end` (zero-padded before the start). */
+function copyFrame(signal, end, out) {
+  const n = out.length;
+  const start = end - n;
+  if (start >= 0) {
+    out.set(signal.subarray(start, end));
+    return;
+  }
+  out.fill(0, 0, -start);
+  out.set(signal.subarray(0, end), -start);
+}
+
+/**
+ * Whole-signal analysis in fixed hops (faster than realtime).
+ * Each hop sees the window an AnalyserNode would (the last fftSize samples).
+ *
+ * Returns { events, keyChanges, key, bpm, tempoCandidates, tempoCurve, tuning, beats, meter, chromagram,
+ * hopSize, duration } (bpm = the stable tempo heard longest; tempoCandidates from the whole-song
+ * tempogram; chromagram = [{t, chroma, bassPc, chordCandidates}] per hop).
+ * onProgress(0..1) is called between chunks; the loop yields every `yieldEvery`
+ * frames so a UI thread stays responsive. With chordDecoding: "viterbi" the
+ * chord path is decoded over the whole song (no lookahead limit). Unless
+ * tuningCents is given, tuning is estimated over the whole signal first.
+ */
+export async function analyzePCM(
+  pcm,
+  sampleRate,
+  { hopSize = 1024, onProgress = null, yieldEvery = 200, ...coreOptions } = {}
+) {
+  const estimate = coreOptions.tuningCents != null ? null : estimateTuning(pcm, sampleRate, coreOptions);
+  const tuningCents = estimate ? estimate.cents : coreOptions.tuningCents;
+  const core = new AnalysisCore({ sampleRate, viterbiLagMs: Infinity, backdateEvents: true, ...coreOptions, tuningCents });
+  const n = core.fftSize;
+
+  const bass = biquadLowpass(pcm, sampleRate, coreOptions.bassCutoffHz ?? 250, coreOptions.bassQ ?? 0.707);
+  const frame = new Float32Array(n);
+  const bassFrame = new Float32Array(n);
+
+  core.reset(0);
+
+  const total = pcm.length;
+  let framesSinceYield = 0;
+  const chromagram = [];
+
+  for (let end = hopSize; end <= total; end += hopSize) {
+    copyFrame(pcm, end, frame);
+    copyFrame(bass, end, bassFrame);
+
+    const res = core.process(frame, end, bassFrame);
+    chromagram.push({
+      t: end / sampleRate,
+      chroma: Float32Array.from(res.chroma),
+      bassPc: res.bassPc,
+      chordCandidates: res.chordCandidates
+    });
+
+    if (++framesSinceYield >= yieldEvery) {
+      framesSinceYield = 0;
+      onProgress?.(end / total);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+
+  core.finish();
+  const tempo = core.tempo.global;
+  const bpm = medianTempo(core.tempoCurve) ?? tempo.bpm;
+  onProgress?.(1);
+
+  return {
+    events: core.events,
+    keyChanges: core.keyChanges,
+    key: core.keyDetector.globalKey,
+    bpm: bpm ? Math.round(bpm) : null,
+    tempoCandidates: tempo.candidates,
+    tempoCurve: core.tempoCurve,
+    tuning: estimate ? { ...core.tuning, confidence: estimate.confidence, manual: false } : core.tuning,
+    beats: core.beats,
+    meter: core.meter,
+    chromagram,
+    hopSize,
+    duration: total / sampleRate
+  };
+}
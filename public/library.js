@@ -0,0 +1,171 @@
+/**
+ * SonicMind Song Library — analyzed songs in IndexedDB (works offline)
+ *
+ * Stores:
+ * - "songs": {id, title, source, key, bpm, timeSignature, chordCount, hasAudio,
+ *   createdAt, updatedAt, project} — project = the .sonicmind object (timeline,
+ *   overrides, last-used settings, detected BPM/meter/key)
+ * - "audio": {id, blob, name, type} — the encoded local file, so a song reopened
+ *   from the library plays without re-linking (streams can't be stored)
+ *
+ * Ids: "sha256:<hex>" for files (content hash), "yt:<video id>" for YouTube.
+ */
+
+import { readProject, youtubeVideoId } from "./project.js";
+
+const DB_VERSION = 1;
+const SONGS = "songs";
+const AUDIO = "audio";
+
+/** Promise for a single IDBRequest. */
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Promise that settles when a transaction commits. */
+function committed(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("Transaction aborted"));
+  });
+}
+
+/** Library id for a project source, or null when the source can't be identified. */
+export function songId(source) {
+  if (source?.type === "file") return source.sha256 ? `sha256:${source.sha256}` : `file:${source.name}:${source.size}`;
+  if (source?.type === "youtube") {
+    const video = youtubeVideoId(source.url);
+    return video ? `yt:${video}` : null;
+  }
+  return null;
+}
+
+const SORTS = {
+  recent: (a, b) => b.updatedAt.localeCompare(a.updatedAt),
+  title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: "base" }),
+  bpm: (a, b) => (a.bpm ?? Infinity) - (b.bpm ?? Infinity),
+  key: (a, b) => (a.key ?? "~").localeCompare(b.key ?? "~")
+};
+
+export const LIBRARY_SORTS = Object.keys(SORTS);
+
+export class SongLibrary {
+  constructor({ dbName = "sonicmind-library" } = {}) {
+    this.dbName = dbName;
+    this._dbPromise = null;
+  }
+
+  get supported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  _db() {
+    if (!this._dbPromise) {
+      const req = indexedDB.open(this.dbName, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(SONGS)) db.createObjectStore(SONGS, { keyPath: "id" });
+        if (!db.objectStoreNames.contains(AUDIO)) db.createObjectStore(AUDIO, { keyPath: "id" });
+      };
+      this._dbPromise = request(req).catch((err) => {
+        this._dbPromise = null;
+        throw err;
+      });
+    }
+    return this._dbPromise;
+  }
+
+  /**
+   * Adds or updates a song. summary = {title, key, bpm, timeSignature} for the list;
+   * audio = {blob, name, type} is written only when the song has none stored yet.
+   * Returns the stored entry (without project), or null if the source has no id.
+   */
+  async save(project, summary, audio = null) {
+    const id = songId(project.source);
+    if (!id) return null;
+
+    const db = await this._db();
+    const tx = db.transaction([SONGS, AUDIO], "readwrite");
+    const songs = tx.objectStore(SONGS);
+    const prev = await request(songs.get(id));
+    const now = new Date().toISOString();
+
+    let hasAudio = !!prev?.hasAudio;
+    if (audio && !hasAudio) {
+      tx.objectStore(AUDIO).put({ id, ...audio });
+      hasAudio = true;
+    }
+
+    const entry = {
+      id,
+      title: summary.title || prev?.title || "Untitled",
+      source: project.source,
+      key: summary.key ?? null,
+      bpm: summary.bpm ?? null,
+      timeSignature: summary.timeSignature ?? null,
+      chordCount: project.timeline.length,
+      hasAudio,
+      createdAt: prev?.createdAt ?? now,
+      updatedAt: now,
+      project
+    };
+    songs.put(entry);
+    await committed(tx);
+
+    const { project: _, ...listed } = entry;
+    return listed;
+  }
+
+  /** Entry with its project validated (and upgraded), or null. */
+  async get(id) {
+    const db = await this._db();
+    const entry = await request(db.transaction(SONGS).objectStore(SONGS).get(id));
+    return entry ? { ...entry, project: readProject(entry.project) } : null;
+  }
+
+  /** Stored audio {id, blob, name, type} or null. */
+  async getAudio(id) {
+    const db = await this._db();
+    return (await request(db.transaction(AUDIO).objectStore(AUDIO).get(id))) ?? null;
+  }
+
+  /**
+   * Songs for the list (no projects), filtered by a case-insensitive query on
+   * title / key / file name and sorted by one of LIBRARY_SORTS.
+   */
+  async list({ query = "", sort = "recent" } = {}) {
+    const db = await this._db();
+    const all = await request(db.transaction(SONGS).objectStore(SONGS).getAll());
+    const q = query.trim().toLowerCase();
+
+    return all
+      .map(({ project: _, ...entry }) => entry)
+      .filter((e) => !q || [e.title, e.key, e.source?.name].some((s) => s?.toLowerCase().includes(q)))
+      .sort(SORTS[sort] ?? SORTS.recent);
+  }
+
+  async delete(id) {
+    const db = await this._db();
+    const tx = db.transaction([SONGS, AUDIO], "readwrite");
+    tx.objectStore(SONGS).delete(id);
+    tx.objectStore(AUDIO).delete(id);
+    await committed(tx);
+  }
+
+  /** Asks the browser not to evict the library under storage pressure (installed PWAs usually get it). */
+  async persist() {
+    return (await navigator.storage?.persist?.()) ?? false;
+  }
+
+  /** {usage, quota, persisted} in bytes for this origin, or null where unsupported. */
+  async storage() {
+    if (!navigator.storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const persisted = (await navigator.storage.persisted?.()) ?? false;
+    return { usage, quota, persisted };
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * SonicMind Pitch-Shift Worklet — realtime transpose for streams (tempo unchanged)
+ *
+ * Local files are transposed offline (time-stretch.js render played resampled); a
+ * media element can only be processed live, so this runs WSOLA with resampled grains:
+ * every output hop one Hann-windowed grain is read from the input at `ratio` samples
+ * per output sample (= the new pitch), starting near the hop's own input time (= the
+ * original tempo), shifted by up to ±N/4 to where it best continues the previous grain.
+ *
+ * - Grains ~46 ms (2048 samples at 44.1/48 kHz), 50% overlap; ±1 octave
+ * - Fixed latency (two grains + search range, ~130 ms) so the shift can change on the fly
+ * - Input/output: stereo (mono input is copied to both channels); 0 semitones passes
+ *   through with no delay
+ *
+ * Messages in:
+ * - {type: "semitones", semitones}  transpose (-12 .. +12)
+ */
+
+const GRAIN_SEC = 0.046;
+const MAX_RATIO = 2;
+
+class PitchShiftProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+
+    const n = 2 ** Math.round(Math.log2(sampleRate * GRAIN_SEC));
+    this._n = n;
+    this._hop = n / 2;
+    this._tolerance = n / 4;
+    this._latency = MAX_RATIO * n + this._tolerance + this._hop;
+    this._window = new Float32Array(n);
+    for (let i = 0; i < n; i++) this._window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / n);
+
+    // Input history and output queue (power-of-two rings, absolute sample indices)
+    this._ringSize = 2 ** Math.ceil(Math.log2(4 * this._latency));
+    this._mask = this._ringSize - 1;
+    this._in = [new Float32Array(this._ringSize), new Float32Array(this._ringSize)];
+    this._out = [new Float32Array(this._ringSize), new Float32Array(this._ringSize)];
+    this._written = 0; // input samples received
+    this._frame = 0; // next grain (output hop index)
+    this._prevStart = null; // input position of the last grain
+
+    this._ratio = 1;
+    this.port.onmessage = (e) => {
+      if (e.data?.type === "semitones") this._ratio = Math.pow(2, (Number(e.data.semitones) || 0) / 12);
+    };
+  }
+
+  _sample(ring, pos) {
+    const i = Math.floor(pos);
+    const a = ring[i & this._mask];
+    return a + (ring[(i + 1) & this._mask] - a) * (pos - i);
+  }
+
+  /** Grain start in [nominal ± tolerance] most similar to the continuation at `target`. */
+  _bestStart(nominal, target) {
+    const [l, r] = this._in;
+    const m = this._mask;
+    const len = Math.round(this._hop * this._ratio);
+    const score = (p, step) => {
+      let s = 0;
+      for (let i = 0; i < len; i += step) {
+        s += (l[(target + i) & m] + r[(target + i) & m]) * (l[(p + i) & m] + r[(p + i) & m]);
+      }
+      return s;
+    };
+
+    let best = nominal;
+    let bestScore = -Infinity;
+    for (let p = nominal - this._tolerance; p <= nominal + this._tolerance; p += 4) {
+      const s = score(p, 8);
+      if (s > bestScore) [best, bestScore] = [p, s];
+    }
+    const coarse = best;
+    bestScore = -Infinity;
+    for (let p = coarse - 3; p <= coarse + 3; p++) {
+      const s = score(p, 2);
+      if (s > bestScore) [best, bestScore] = [p, s];
+    }
+    return best;
+  }
+
+  /** Adds grain `_frame` to the output queue; its first hop is then complete. */
+  _synthesizeGrain() {
+    const { _n: n, _hop: hop, _ratio: ratio, _mask: m } = this;
+    const nominal = this._frame * hop;
+    const fresh = this._prevStart == null;
+    const start = fresh ? nominal : this._bestStart(nominal, Math.round(this._prevStart + hop * ratio));
+    this._prevStart = start;
+
+    // After pass-through the queue holds stale grains: start from silence
+    if (fresh) for (const ring of this._out) ring.fill(0);
+
+    const o = nominal + this._latency;
+    for (let c = 0; c < 2; c++) {
+      const src = this._in[c];
+      const dst = this._out[c];
+      // The hop after this grain's overlap is written fresh
+      for (let i = hop; i < n; i++) dst[(o + i) & m] = 0;
+      for (let i = 0; i < n; i++) dst[(o + i) & m] += this._window[i] * this._sample(src, start + i * ratio);
+    }
+    this._frame++;
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const len = output[0].length;
+    const m = this._mask;
+
+    for (let c = 0; c < 2; c++) {
+      const src = input[c] ?? input[0];
+      const ring = this._in[c];
+      for (let i = 0; i < len; i++) ring[(this._written + i) & m] = src ? src[i] : 0;
+    }
+    const t = this._written;
+    this._written += len;
+
+    if (this._ratio === 1) {
+      // Pass-through; grains restart from here when a shift is set again
+      this._frame = Math.ceil((this._written - this._latency) / this._hop);
+      this._prevStart = null;
+      for (let c = 0; c < output.length; c++) {
+        const ring = this._in[Math.min(c, 1)];
+        for (let i = 0; i < len; i++) output[c][i] = ring[(t + i) & m];
+      }
+      return true;
+    }
+
+    // Grains are made as soon as their input (incl. the search range) has arrived
+    while (this._frame * this._hop + this._latency - this._hop <= this._written) this._synthesizeGrain();
+
+    for (let c = 0; c < output.length; c++) {
+      const ring = this._out[Math.min(c, 1)];
+      for (let i = 0; i < len; i++) output[c][i] = ring[(t + i) & m];
+    }
+    return true;
+  }
+}
+
+registerProcessor("sonicmind-pitch-shift", PitchShiftProcessor);
@@ -0,0 +1,153 @@
+/**
+ * SonicMind Project Files (.sonicmind) — analysis sessions as versioned JSON (no DOM)
+ *
+ * A project stores what can't be recomputed from the audio:
+ * - source: {type: "file", name, size, sha256} | {type: "youtube", url} | null
+ *   (the audio itself is never stored; it is re-linked when the same file is loaded)
+ * - timeline: merged chord blocks incl. overrides [{start, end, chord, conf, overridden, userChord,
+ *   voicing}]; voicing = the block's chosen diagram {guitar: frets ("x32010") | null,
+ *   keys: inversion | null} or null for the defaults
+ * - settings: {capo, capoAudio, capoChords, speed, focusEQ, tuningCents, chordDecoding,
+ *   chordQualities, diagrams, spelling, spellingKey}; spellingKey = {tonic, mode} | null
+ * - analysis: detected {bpm, meter, key} shown until the audio is back
+ *
+ * Files carry {format: "sonicmind", version}. Older versions are upgraded on load;
+ * newer ones are rejected rather than half-read.
+ */
+
+export const PROJECT_EXTENSION = "sonicmind";
+export const PROJECT_MIME = "application/json";
+export const PROJECT_VERSION = 1;
+
+const FORMAT_TAG = "sonicmind";
+
+/** Upgrade steps: MIGRATIONS[v](project) turns a version-v project into version v + 1. */
+const MIGRATIONS = {};
+
+/**
+ * SHA-256 of the encoded audio file as hex, or null where Web Crypto is unavailable
+ * (insecure origins); name + size then have to do for re-linking.
+ */
+export async function hashAudioFile(arrayBuffer) {
+  if (!globalThis.crypto?.subtle) return null;
+  const digest = await crypto.subtle.digest("SHA-256", arrayBuffer);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** "dQw4w9WgXcQ" from watch / youtu.be / shorts / embed URLs, or null. */
+export function youtubeVideoId(url) {
+  try {
+    const u = new URL(url);
+    if (u.hostname.endsWith("youtu.be")) return u.pathname.slice(1) || null;
+    if (u.searchParams.get("v")) return u.searchParams.get("v");
+    const m = /^\/(?:shorts|embed|live)\/([\w-]+)/.exec(u.pathname);
+    return m ? m[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * True if a loaded source is the one the project was made from. YouTube links match
+ * by video id, so youtu.be, m.youtube.com and timestamped links find the same project.
+ */
+export function sourceMatches(saved, loaded) {
+  if (!saved || !loaded || saved.type !== loaded.type) return false;
+  if (saved.type === "youtube") {
+    const video = youtubeVideoId(saved.url);
+    return video ? video === youtubeVideoId(loaded.url) : saved.url === loaded.url;
+  }
+  if (saved.sha256 && loaded.sha256) return saved.sha256 === loaded.sha256;
+  return saved.name === loaded.name && saved.size === loaded.size;
+}
+
+/** A saved diagram choice, or null if missing or malformed (the defaults are shown). */
+function readVoicing(voicing) {
+  if (!voicing || typeof voicing !== "object") return null;
+  const guitar = typeof voicing.guitar === "string" && /^[x0-9a-f]{6}$/.test(voicing.guitar) ? voicing.guitar : null;
+  const keys = Number.isInteger(voicing.keys) && voicing.keys >= 0 ? voicing.keys : null;
+  return guitar == null && keys == null ? null : { guitar, keys };
+}
+
+/** Project object (what a .sonicmind file holds; also stored by the song library). */
+export function createProject({ source = null, timeline, settings, analysis = {} }) {
+  return {
+    format: FORMAT_TAG,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    source,
+    timeline: timeline.map((ev) => ({
+      start: ev.start,
+      end: ev.end,
+      chord: ev.chord,
+      conf: ev.conf ?? null,
+      overridden: !!ev.overridden,
+      userChord: ev.overridden ? ev.userChord : null,
+      voicing: ev.voicing ?? null
+    })),
+    settings,
+    analysis: {
+      bpm: analysis.bpm ?? null,
+      meter: analysis.meter ?? null,
+      key: analysis.key ?? null
+    }
+  };
+}
+
+export function serializeProject(state) {
+  return JSON.stringify(createProject(state), null, 2) + "\n";
+}
+
+/** Parses a .sonicmind file; see readProject. */
+export function parseProject(text) {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch {
+    throw new Error("Not a SonicMind project (invalid JSON).");
+  }
+  return readProject(project);
+}
+
+/**
+ * Validates a project object, upgrading older versions.
+ * Throws an Error with a user-facing message for anything it can't restore.
+ */
+export function readProject(project) {
+  if (!project || project.format !== FORMAT_TAG || !Number.isInteger(project.version)) {
+    throw new Error("Not a SonicMind project.");
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${project.version} is newer than this app supports (${PROJECT_VERSION}).`);
+  }
+  while (project.version < PROJECT_VERSION) {
+    const migrate = MIGRATIONS[project.version];
+    if (!migrate) throw new Error(`Project version ${project.version} can't be upgraded.`);
+    project = { ...migrate(project), version: project.version + 1 };
+  }
+
+  if (!Array.isArray(project.timeline)) throw new Error("Project has no timeline.");
+  const timeline = [];
+  for (const ev of project.timeline) {
+    if (!Number.isFinite(ev?.start) || typeof ev.chord !== "string") throw new Error("Project timeline is damaged.");
+    const overridden = !!ev.overridden && typeof ev.userChord === "string";
+    timeline.push({
+      start: ev.start,
+      end: Number.isFinite(ev.end) ? ev.end : null,
+      chord: ev.chord,
+      conf: Number.isFinite(ev.conf) ? ev.conf : null,
+      overridden,
+      userChord: overridden ? ev.userChord : null,
+      voicing: readVoicing(ev.voicing)
+    });
+  }
+
+  return {
+    version: project.version,
+    savedAt: project.savedAt ?? null,
+    source: project.source ?? null,
+    timeline,
+    settings: project.settings ?? {},
+    analysis: project.analysis ?? {}
+  };
+}
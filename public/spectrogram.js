@@ -0,0 +1,170 @@
+/**
+ * SonicMind Spectrogram — note-spaced spectra, colormaps, whole-song STFT (no DOM)
+ *
+ * Rows are equal-tempered: a band of ROWS_PER_SEMITONE rows per note from SPEC_LOW_MIDI
+ * (C1) up to, not including, SPEC_HIGH_MIDI (C8), row 0 at the top. The middle row of a
+ * band is the note itself, so a piano-key axis lines up with it. A row takes the loudest
+ * FFT bin inside it (constant-Q style); where a row is narrower than a bin (the bass)
+ * the spectrum is interpolated at its centre.
+ *
+ * Colormaps: "sonic" (the app's original ramp), "magma", "viridis", "gray".
+ *
+ * Levels are dB as AnalyserNode.getFloatFrequencyData reports them (|X| / N, Blackman
+ * window), so a live column and a column of songSpectrogram() look the same.
+ *
+ * Usage:
+ *   const bands = rowBands(sampleRate, 4096);
+ *   spectrumRows(analyserDb, bands, column);          // one live column
+ *   const song = await songSpectrogram(channels, sampleRate, { onProgress });
+ *   const lut = colormapLUT("magma");                  // RGBA per level 0..255
+ */
+
+import { FFT, mixToMono } from "./dsp-core.js";
+
+export const SPEC_LOW_MIDI = 24;
+export const SPEC_HIGH_MIDI = 108;
+export const ROWS_PER_SEMITONE = 5;
+export const SPEC_ROWS = (SPEC_HIGH_MIDI - SPEC_LOW_MIDI) * ROWS_PER_SEMITONE;
+
+const SILENCE_DB = -200;
+
+export function midiToHz(midi) {
+  return 440 * 2 ** ((midi - 69) / 12);
+}
+
+/** MIDI note (fractional) at the centre of a row. */
+export function rowMidi(row) {
+  return SPEC_HIGH_MIDI - 0.5 - (row + 0.5) / ROWS_PER_SEMITONE;
+}
+
+/**
+ * Which bins each row reads: {lo, hi, pos}; lo <= hi = the loudest of bins lo..hi,
+ * else interpolate at fractional bin pos.
+ */
+export function rowBands(sampleRate, fftSize) {
+  const binHz = sampleRate / fftSize;
+  const maxBin = fftSize / 2 - 1;
+  const lo = new Int32Array(SPEC_ROWS);
+  const hi = new Int32Array(SPEC_ROWS);
+  const pos = new Float32Array(SPEC_ROWS);
+  const half = 0.5 / ROWS_PER_SEMITONE;
+  for (let r = 0; r < SPEC_ROWS; r++) {
+    const m = rowMidi(r);
+    lo[r] = Math.ceil(midiToHz(m - half) / binHz);
+    hi[r] = Math.min(maxBin, Math.floor(midiToHz(m + half) / binHz));
+    pos[r] = Math.min(maxBin, midiToHz(m) / binHz);
+  }
+  return { lo, hi, pos };
+}
+
+/** Spectrum (dB per bin) -> dB per row. */
+export function spectrumRows(spectrum, bands, out = new Float32Array(SPEC_ROWS)) {
+  const { lo, hi, pos } = bands;
+  for (let r = 0; r < SPEC_ROWS; r++) {
+    if (lo[r] <= hi[r]) {
+      let best = -Infinity;
+      for (let b = lo[r]; b <= hi[r]; b++) if (spectrum[b] > best) best = spectrum[b];
+      out[r] = best;
+    } else {
+      const b = Math.floor(pos[r]);
+      const f = pos[r] - b;
+      out[r] = spectrum[b] * (1 - f) + spectrum[Math.min(b + 1, spectrum.length - 1)] * f;
+    }
+  }
+  return out;
+}
+
+/* -------------------------- Colormaps -------------------------- */
+
+// Control points (level 0..1 -> RGB), linearly interpolated
+const COLORMAP_POINTS = {
+  magma: [
+    [0, [0, 0, 4]],
+    [0.25, [81, 18, 124]],
+    [0.5, [183, 55, 121]],
+    [0.75, [252, 137, 97]],
+    [1, [252, 253, 191]]
+  ],
+  viridis: [
+    [0, [68, 1, 84]],
+    [0.25, [59, 82, 139]],
+    [0.5, [33, 145, 140]],
+    [0.75, [94, 201, 98]],
+    [1, [253, 231, 37]]
+  ],
+  gray: [
+    [0, [13, 13, 13]],
+    [1, [240, 240, 240]]
+  ]
+};
+
+function colormapRGB(name, v) {
+  if (name === "sonic") {
+    // The app's original blue -> lime ramp
+    return [8 + 80 * v ** 2.2, 10 + 245 * v ** 1.7, 60 + 195 * v];
+  }
+  const points = COLORMAP_POINTS[name] ?? COLORMAP_POINTS.magma;
+  let i = 1;
+  while (i < points.length - 1 && points[i][0] < v) i++;
+  const [v0, c0] = points[i - 1];
+  const [v1, c1] = points[i];
+  const f = Math.min(1, Math.max(0, (v - v0) / (v1 - v0)));
+  return c0.map((c, k) => c + (c1[k] - c) * f);
+}
+
+/** RGBA bytes for levels 0..255 (ImageData order). */
+export function colormapLUT(name) {
+  const lut = new Uint8ClampedArray(256 * 4);
+  for (let i = 0; i < 256; i++) {
+    const [r, g, b] = colormapRGB(name, i / 255);
+    lut.set([r, g, b, 255], i * 4);
+  }
+  return lut;
+}
+
+/** dB -> colormap level 0..255 over [minDb, maxDb]. */
+export function levelIndex(db, minDb, maxDb) {
+  const v = (db - minDb) / (maxDb - minDb);
+  return v <= 0 || !(v === v) ? 0 : v >= 1 ? 255 : Math.round(v * 255);
+}
+
+/* -------------------------- Whole Song -------------------------- */
+
+/**
+ * STFT of a decoded song on the note rows: {hop, sampleRate, frames, data} with
+ * data[frame * SPEC_ROWS + row] in dB; frame f is centred on sample f * hop. The hop
+ * grows for long songs so there are at most maxFrames columns. Returns null if
+ * `signal` was aborted; yields every `yieldEvery` frames like stretchChannels.
+ */
+export async function songSpectrogram(
+  channels,
+  sampleRate,
+  { fftSize = 4096, minHop = 1024, maxFrames = 16384, onProgress = null, signal = null, yieldEvery = 64 } = {}
+) {
+  const mono = mixToMono(channels);
+  const hop = Math.max(minHop, Math.ceil(mono.length / maxFrames));
+  const frames = Math.ceil(mono.length / hop);
+  const fft = new FFT(fftSize);
+  const bands = rowBands(sampleRate, fftSize);
+  const frame = new Float32Array(fftSize);
+  const mags = new Float32Array(fftSize / 2);
+  const data = new Float32Array(frames * SPEC_ROWS);
+
+  for (let f = 0; f < frames; f++) {
+    const start = f * hop - fftSize / 2;
+    frame.fill(0);
+    frame.set(mono.subarray(Math.max(0, start), Math.min(mono.length, start + fftSize)), Math.max(0, -start));
+    fft.magnitudes(frame, mags);
+    for (let k = 0; k < mags.length; k++) mags[k] = mags[k] > 0 ? 20 * Math.log10(mags[k]) : SILENCE_DB;
+    spectrumRows(mags, bands, data.subarray(f * SPEC_ROWS, (f + 1) * SPEC_ROWS));
+
+    if ((f + 1) % yieldEvery === 0) {
+      onProgress?.(f / frames);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      if (signal?.aborted) return null;
+    }
+  }
+
+  onProgress?.(1);
+  return { hop, sampleRate, frames, data };
+}
@@ -1,11 +1,23 @@
 /* SonicMind SW: cache-first for static assets, network-only for streams */
-const CACHE_NAME = "sonicmind-cache-v1";
+const CACHE_NAME = "sonicmind-cache-v13";
 const ASSETS = [
   "/",
   "/index.html",
   "/style.css",
   "/app.js",
   "/audio-engine.js",
+  "/dsp-core.js",
+  "/time-stretch.js",
+  "/analysis-worklet.js",
+  "/pitch-shift-worklet.js",
+  "/chart-export.js",
+  "/chord-symbols.js",
+  "/chord-diagrams.js",
+  "/timeline-edit.js",
+  "/spectrogram.js",
+  "/waveform.js",
+  "/project.js",
+  "/library.js",
   "/manifest.json"
 ];
 
@@ -0,0 +1,183 @@
+/**
+ * SonicMind Timeline Edits — chord timeline operations + undo history (no DOM)
+ *
+ * Blocks are the app's timeline events {start, end, chord, conf, overridden, userChord,
+ * voicing}; end = null is the open block live detection is still extending. Operations
+ * edit the array in place and return false when there was nothing to do. No block is
+ * made shorter than MIN_BLOCK_S.
+ *
+ * Operations:
+ * - splitBlock(events, idx, t): two blocks with the same chord, cut at t
+ * - mergeBlocks(events, from, to): one block, labelled like the longest of them
+ * - deleteBlocks(events, from, to): touching neighbours take over the time (equal ones join)
+ * - insertBlock(events, start, end, chord): a new block cut out of whatever is there (returned)
+ * - relabelBlocks(events, from, to, chord): override text (the detected chord clears it)
+ * - moveEdge(events, idx, side, t): a block's "start" / "end"; a touching neighbour follows
+ *
+ * Usage:
+ *   const history = new EditHistory();
+ *   const before = snapshotTimeline(events);
+ *   if (splitBlock(events, 3, 42.5)) history.push("Split", before);
+ *   const state = history.undo(snapshotTimeline(events)); // replace events with it
+ */
+
+export const MIN_BLOCK_S = 0.4;
+
+const endOf = (ev) => ev.end ?? Infinity;
+
+/** Chord text a block shows (the override if there is one). */
+export function blockLabel(ev) {
+  return ev.overridden ? ev.userChord : ev.chord;
+}
+
+/** Deep enough copy of the timeline for the history (blocks and their voicing). */
+export function snapshotTimeline(events) {
+  return events.map((ev) => ({ ...ev, voicing: ev.voicing && { ...ev.voicing } }));
+}
+
+/* -------------------------- Operations -------------------------- */
+
+export function splitBlock(events, idx, t) {
+  const ev = events[idx];
+  if (!ev || t - ev.start < MIN_BLOCK_S || endOf(ev) - t < MIN_BLOCK_S) return false;
+  events.splice(idx + 1, 0, { ...ev, start: t, voicing: ev.voicing && { ...ev.voicing } });
+  ev.end = t;
+  return true;
+}
+
+export function mergeBlocks(events, from, to) {
+  if (from < 0 || to >= events.length || from >= to) return false;
+  const range = events.slice(from, to + 1);
+  const longest = range.reduce((a, b) => (endOf(b) - b.start > endOf(a) - a.start ? b : a));
+  events.splice(from, range.length, { ...longest, start: range[0].start, end: range[range.length - 1].end });
+  return true;
+}
+
+export function deleteBlocks(events, from, to) {
+  if (from < 0 || to >= events.length || from > to) return false;
+  const start = events[from].start;
+  const end = events[to].end;
+  events.splice(from, to - from + 1);
+
+  const prev = events[from - 1];
+  const next = events[from];
+  const prevTouches = prev?.end === start;
+  const nextTouches = next != null && end != null && next.start === end;
+  if (prevTouches && nextTouches) {
+    if (blockLabel(prev) === blockLabel(next)) {
+      prev.end = next.end;
+      events.splice(from, 1);
+    } else {
+      prev.end = next.start = (start + end) / 2;
+    }
+  } else if (prevTouches) {
+    prev.end = end;
+  } else if (nextTouches) {
+    next.start = start;
+  }
+  return true;
+}
+
+/** Leftovers of the blocks it overlaps shorter than MIN_BLOCK_S go to the new block. */
+export function insertBlock(events, start, end, chord) {
+  if (!(end - start >= MIN_BLOCK_S)) return false;
+  const block = { start, end, chord, conf: null, overridden: true, userChord: chord, voicing: null };
+  const out = [block];
+  for (const ev of events) {
+    const evEnd = endOf(ev);
+    if (evEnd <= start || ev.start >= end) {
+      out.push(ev);
+      continue;
+    }
+    if (start - ev.start >= MIN_BLOCK_S) out.push({ ...ev, end: start });
+    else block.start = Math.min(block.start, ev.start);
+    if (evEnd - end >= MIN_BLOCK_S) out.push({ ...ev, start: end, voicing: ev.voicing && { ...ev.voicing } });
+    else block.end = Math.max(block.end, evEnd);
+  }
+  out.sort((a, b) => a.start - b.start);
+  events.splice(0, events.length, ...out);
+  return block;
+}
+
+export function relabelBlocks(events, from, to, chord) {
+  let changed = false;
+  for (const ev of events.slice(from, to + 1)) {
+    if (blockLabel(ev) === chord) continue;
+    ev.overridden = chord !== ev.chord;
+    ev.userChord = ev.overridden ? chord : null;
+    ev.voicing = null;
+    changed = true;
+  }
+  return changed;
+}
+
+/** t is clamped so neither the block nor a touching neighbour gets too short. */
+export function moveEdge(events, idx, side, t) {
+  const ev = events[idx];
+  if (!ev) return false;
+  if (side === "end") {
+    if (ev.end == null) return false;
+    const next = events[idx + 1];
+    const touching = next?.start === ev.end;
+    const max = !next ? Infinity : touching ? endOf(next) - MIN_BLOCK_S : next.start;
+    const clamped = Math.min(Math.max(t, ev.start + MIN_BLOCK_S), max);
+    if (clamped === ev.end) return false;
+    if (touching) next.start = clamped;
+    ev.end = clamped;
+  } else {
+    const prev = events[idx - 1];
+    const touching = prev != null && prev.end === ev.start;
+    const min = !prev ? 0 : touching ? prev.start + MIN_BLOCK_S : prev.end;
+    const clamped = Math.max(Math.min(t, endOf(ev) - MIN_BLOCK_S), min);
+    if (clamped === ev.start) return false;
+    if (touching) prev.end = clamped;
+    ev.start = clamped;
+  }
+  return true;
+}
+
+/* -------------------------- History -------------------------- */
+
+/** Undo / redo stacks of timeline states; push() the state from before each edit. */
+export class EditHistory {
+  constructor(limit = 100) {
+    this.limit = limit;
+    this._undo = [];
+    this._redo = [];
+  }
+
+  get undoLabel() {
+    return this._undo[this._undo.length - 1]?.label ?? null;
+  }
+
+  get redoLabel() {
+    return this._redo[this._redo.length - 1]?.label ?? null;
+  }
+
+  push(label, state) {
+    this._undo.push({ label, state });
+    if (this._undo.length > this.limit) this._undo.shift();
+    this._redo.length = 0;
+  }
+
+  /** State to go back to (current goes on the redo stack), or null. */
+  undo(current) {
+    return this._step(this._undo, this._redo, current);
+  }
+
+  redo(current) {
+    return this._step(this._redo, this._undo, current);
+  }
+
+  clear() {
+    this._undo.length = 0;
+    this._redo.length = 0;
+  }
+
+  _step(from, to, current) {
+    const step = from.pop();
+    if (!step) return null;
+    to.push({ label: step.label, state: current });
+    return step.state;
+  }
+}
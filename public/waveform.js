@@ -0,0 +1,85 @@
+/**
+ * SonicMind Waveform — min/max peaks of decoded audio for drawing (no DOM)
+ *
+ * buildPeaks() folds all channels into one min/max envelope per BASE_BUCKET samples,
+ * then halves it level by level (256, 512, 1024 … samples per bucket), so any zoom
+ * reads about one bucket per pixel column. Closer in than the finest level, the raw
+ * samples are read.
+ *
+ * Usage:
+ *   const peaks = buildPeaks(audioBuffer);
+ *   const { min, max } = peaksInRange(peaks, 12, 20, canvas.width); // -1..1 per column
+ */
+
+const BASE_BUCKET = 256;
+
+export function buildPeaks(buffer) {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  const length = buffer.length;
+  const count = Math.ceil(length / BASE_BUCKET);
+  const min = new Float32Array(count);
+  const max = new Float32Array(count);
+  for (let b = 0; b < count; b++) {
+    const end = Math.min(length, (b + 1) * BASE_BUCKET);
+    let lo = 0;
+    let hi = 0;
+    for (const data of channels) {
+      for (let i = b * BASE_BUCKET; i < end; i++) {
+        const v = data[i];
+        if (v < lo) lo = v;
+        else if (v > hi) hi = v;
+      }
+    }
+    min[b] = lo;
+    max[b] = hi;
+  }
+
+  const levels = [{ bucket: BASE_BUCKET, min, max }];
+  for (let prev = levels[0]; prev.min.length > 1; prev = levels[levels.length - 1]) {
+    const n = Math.ceil(prev.min.length / 2);
+    const next = { bucket: prev.bucket * 2, min: new Float32Array(n), max: new Float32Array(n) };
+    for (let i = 0; i < n; i++) {
+      const j = Math.min(2 * i + 1, prev.min.length - 1);
+      next.min[i] = Math.min(prev.min[2 * i], prev.min[j]);
+      next.max[i] = Math.max(prev.max[2 * i], prev.max[j]);
+    }
+    levels.push(next);
+  }
+  return { sampleRate: buffer.sampleRate, length, channels, levels };
+}
+
+/** Envelope of [t0, t1) s in `columns` columns; columns outside the audio are 0. */
+export function peaksInRange(peaks, t0, t1, columns) {
+  const min = new Float32Array(columns);
+  const max = new Float32Array(columns);
+  const perColumn = ((t1 - t0) * peaks.sampleRate) / columns;
+  // Coarsest level that still has a bucket per column (none: read samples)
+  let level = null;
+  for (const l of peaks.levels) if (l.bucket <= perColumn) level = l;
+
+  const first = t0 * peaks.sampleRate;
+  for (let x = 0; x < columns; x++) {
+    const s0 = Math.max(0, Math.floor(first + x * perColumn));
+    const s1 = Math.min(peaks.length, Math.max(s0 + 1, Math.floor(first + (x + 1) * perColumn)));
+    if (s0 >= s1) continue;
+    let lo = 0;
+    let hi = 0;
+    if (level) {
+      const b1 = Math.min(level.min.length, Math.ceil(s1 / level.bucket));
+      for (let b = Math.floor(s0 / level.bucket); b < b1; b++) {
+        if (level.min[b] < lo) lo = level.min[b];
+        if (level.max[b] > hi) hi = level.max[b];
+      }
+    } else {
+      for (const data of peaks.channels) {
+        for (let i = s0; i < s1; i++) {
+          if (data[i] < lo) lo = data[i];
+          if (data[i] > hi) hi = data[i];
+        }
+      }
+    }
+    min[x] = lo;
+    max[x] = hi;
+  }
+  return { min, max };
+}
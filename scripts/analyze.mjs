@@ -0,0 +1,81 @@
+/**
+ * Batch analysis without a browser.
+ *
+ *   npm run analyze -- song.wav [more.wav ...] > timeline.json
+ *
+ * Reads PCM WAV (16/24/32-bit int or 32-bit float), mixes to mono and runs the
+ * same DSP core the app uses. Prints one JSON object per file: {file, bpm, tuning, events}
+ * (tuning = offset in cents vs. A4 = 440 Hz).
+ */
+import { readFile } from "node:fs/promises";
+import "./public-modules.mjs";
+
+// Dynamic: public/ is only importable once the loader hook above is registered
+const { analyzePCM } = await import("../public/dsp-core.js");
+
+function decodeWav(buf) {
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  const tag = (off) => String.fromCharCode(buf[off], buf[off + 1], buf[off + 2], buf[off + 3]);
+  if (tag(0) !== "RIFF" || tag(8) !== "WAVE") throw new Error("Not a RIFF/WAVE file");
+
+  let fmt = null;
+  let data = null;
+  for (let off = 12; off + 8 <= buf.length; ) {
+    const id = tag(off);
+    const size = view.getUint32(off + 4, true);
+    const body = off + 8;
+    if (id === "fmt ") {
+      const tagFormat = view.getUint16(body, true);
+      fmt = {
+        // WAVE_FORMAT_EXTENSIBLE carries the real format in its sub-format GUID
+        format: tagFormat === 0xfffe ? view.getUint16(body + 24, true) : tagFormat,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bits: view.getUint16(body + 14, true)
+      };
+    } else if (id === "data") {
+      data = { offset: body, size: Math.min(size, buf.length - body) };
+    }
+    off = body + size + (size & 1);
+  }
+  if (!fmt || !data) throw new Error("Missing fmt or data chunk");
+
+  const isFloat = fmt.format === 3;
+  const bytes = fmt.bits / 8;
+  const frames = Math.floor(data.size / (bytes * fmt.channels));
+  const mono = new Float32Array(frames);
+
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < fmt.channels; c++) {
+      const p = data.offset + (i * fmt.channels + c) * bytes;
+      if (isFloat) sum += view.getFloat32(p, true);
+      else if (fmt.bits === 16) sum += view.getInt16(p, true) / 32768;
+      else if (fmt.bits === 24) sum += ((view.getUint8(p + 2) << 24) | (view.getUint16(p, true) << 8)) / 2147483648;
+      else if (fmt.bits === 32) sum += view.getInt32(p, true) / 2147483648;
+      else throw new Error(`Unsupported bit depth: ${fmt.bits}`);
+    }
+    mono[i] = sum / fmt.channels;
+  }
+
+  return { pcm: mono, sampleRate: fmt.sampleRate };
+}
+
+const files = process.argv.slice(2);
+if (!files.length) {
+  console.error("Usage: npm run analyze -- <file.wav> [...]");
+  process.exit(1);
+}
+
+for (const file of files) {
+  const { pcm, sampleRate } = decodeWav(await readFile(file));
+  const { bpm, tuning, events } = await analyzePCM(pcm, sampleRate, { yieldEvery: Infinity });
+  console.log(
+    JSON.stringify({
+      file,
+      bpm,
+      tuning: Math.round(tuning.cents * 10) / 10,
+      events: events.map(({ t, chord, conf }) => ({ t, chord, conf }))
+    })
+  );
+}
@@ -0,0 +1,22 @@
+/**
+ * Lets Node import the browser modules in public/ (plain .js ES modules; the root
+ * package.json is CommonJS for the API functions).
+ *
+ *   node --import ./scripts/public-modules.mjs script.mjs
+ *
+ * Modules imported statically by the entry file load after this hook is registered.
+ */
+import { register } from "node:module";
+
+const PUBLIC_URL = new URL("../public/", import.meta.url).href;
+const HOOKS_QUERY = "?hooks";
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(PUBLIC_URL) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
+
+// Loaded with --import (or imported): register this file as the loader hooks
+if (!import.meta.url.endsWith(HOOKS_QUERY)) register(import.meta.url + HOOKS_QUERY);
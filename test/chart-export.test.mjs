@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { NO_CHORD } from "../public/dsp-core.js";
+import { toCSV, toChordPro, toJSON, toMidi, toMusicXML } from "../public/chart-export.js";
+
+// One chord per 3/4 bar at 90 BPM (2 s)
+const waltz = {
+  title: "Waltz",
+  bpm: 90,
+  timeSignature: "3/4",
+  beatsPerBar: 3,
+  barOrigin: 0,
+  key: "A minor",
+  events: [
+    { start: 0, end: 2, chord: "Am" },
+    { start: 2, end: 4, chord: "F/C" },
+    { start: 4, end: 6, chord: NO_CHORD },
+    { start: 6, end: 8, chord: "G7" },
+    { start: 8, end: 10, chord: "C" }
+  ]
+};
+
+test("ChordPro grid is shaped measures x beats, one cell per beat", () => {
+  const lines = toChordPro(waltz).split("\n");
+  assert.ok(lines.includes("{time: 3/4}"));
+  assert.ok(lines.includes("{tempo: 90}"));
+  const start = lines.indexOf("{start_of_grid: 4x3}");
+  assert.ok(start >= 0, lines.join("\n"));
+  assert.equal(lines[start + 1], "| Am . . | F/C . . | N.C. . . | G7 . . |");
+  assert.equal(lines[start + 2], "| C . . |");
+  assert.equal(lines[start + 3], "{end_of_grid}");
+});
+
+test("ChordPro grid starts on the bar line before the first chord", () => {
+  // Downbeats at 0.5 + 2k s, first chord on beat 2 of the first bar
+  const chart = { ...waltz, barOrigin: 4.5, events: [{ start: 1.17, end: 2.5, chord: "Am" }] };
+  assert.match(toChordPro(chart), /^\| \. Am \. \|$/m);
+});
+
+test("MusicXML places harmonies on the beat in each measure", () => {
+  const events = [
+    { start: 0, end: 0.67, chord: "Am" },
+    { start: 0.67, end: 2, chord: "E7" }
+  ];
+  const xml = toMusicXML({ ...waltz, events });
+  assert.match(xml, /<time><beats>3<\/beats><beat-type>4<\/beat-type><\/time>/);
+  assert.match(xml, /<key><fifths>0<\/fifths><mode>minor<\/mode><\/key>/);
+  assert.equal((xml.match(/<measure /g) || []).length, 1);
+  // Second harmony one quarter (6 divisions) into the bar
+  const forward = /<kind text="m">minor<\/kind><\/harmony>\s*<forward><duration>6<\/duration><\/forward>\s*<harmony>/;
+  assert.match(xml, forward);
+  assert.match(xml, /<root-step>E<\/root-step><\/root><kind text="7">dominant<\/kind>/);
+});
+
+test("MusicXML keeps the bass of slash chords and writes N.C. as words", () => {
+  const xml = toMusicXML(waltz);
+  assert.match(xml, /<root-step>F<\/root-step><\/root><kind text="">major<\/kind><bass><bass-step>C<\/bass-step>/);
+  assert.match(xml, /<words>N\.C\.<\/words>/);
+});
+
+test("MIDI file has a header, two tracks and one note per chord tone", () => {
+  const bytes = toMidi(waltz);
+  const text = String.fromCharCode(...bytes.subarray(0, 4));
+  assert.equal(text, "MThd");
+  assert.deepEqual([...bytes.subarray(8, 12)], [0, 1, 0, 2]);
+
+  let noteOns = 0;
+  let noteOffs = 0;
+  for (let i = 0; i < bytes.length - 2; i++) {
+    if (bytes[i] === 0x90 && bytes[i + 2] === 80) noteOns++;
+    if (bytes[i] === 0x80 && bytes[i + 2] === 0) noteOffs++;
+  }
+  // Am, F/C, C: 3 tones + bass; G7: 4 tones + bass; N.C.: none
+  assert.equal(noteOns, 17);
+  assert.equal(noteOffs, 17);
+});
+
+test("CSV quotes fields and JSON rounds times", () => {
+  const chart = { events: [{ start: 0, end: 1.23456, chord: 'A,"B"' }] };
+  assert.equal(toCSV(chart), 'start,end,chord\n0.000,1.235,"A,""B"""\n');
+  const json = JSON.parse(toJSON(chart));
+  assert.deepEqual(json.events, [{ start: 0, end: 1.235, chord: 'A,"B"' }]);
+  assert.equal(json.bpm, null);
+});
@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseChordSymbol } from "../public/chord-symbols.js";
+import { guitarDiagramSVG, guitarVoicings, keyboardDiagramSVG, keyboardVoicings } from "../public/chord-diagrams.js";
+
+const OPEN_STRINGS = [40, 45, 50, 55, 59, 64]; // E2 A2 D3 G3 B3 E4
+
+/** MIDI notes of a fret string, low E first ("x" = muted). */
+function sounding(frets) {
+  return [...frets].flatMap((f, s) => (f === "x" ? [] : [OPEN_STRINGS[s] + parseInt(f, 16)]));
+}
+
+test("common shapes come first", () => {
+  assert.equal(guitarVoicings(parseChordSymbol("C"))[0], "x32010");
+  assert.equal(guitarVoicings(parseChordSymbol("Am"))[0], "x02210");
+  assert.equal(guitarVoicings(parseChordSymbol("G7"))[0], "320001");
+  assert.equal(guitarVoicings(parseChordSymbol("C/E"))[0], "032010");
+});
+
+for (const symbol of ["C", "F#m", "Bb7", "Ebmaj7", "Bm7b5", "Asus4", "Gdim7", "E5", "D/F#", "Am7/G", "Cmaj7#11"]) {
+  test(`${symbol}: every guitar voicing plays the chord over its bass`, () => {
+    const chord = parseChordSymbol(symbol);
+    const tones = new Set(chord.intervals.map((i) => (chord.root + i) % 12));
+    const bass = chord.bass ?? chord.root;
+    const voicings = guitarVoicings(chord);
+    assert.ok(voicings.length > 0);
+    for (const frets of voicings) {
+      const notes = sounding(frets);
+      assert.ok(notes.length >= 3, frets);
+      assert.equal(Math.min(...notes) % 12, bass, `${frets}: bass`);
+      for (const n of notes) assert.ok(tones.has(n % 12) || n % 12 === bass, `${frets}: ${n} outside the chord`);
+      // Only the fifth (and upper extensions) may be left out
+      assert.ok(notes.some((n) => n % 12 === chord.root), `${frets}: no root`);
+      const fretted = [...frets].filter((f) => f !== "x" && f !== "0").map((f) => parseInt(f, 16));
+      if (fretted.length) assert.ok(Math.max(...fretted) - Math.min(...fretted) <= 3, `${frets}: span`);
+    }
+  });
+}
+
+test("keyboard voicings: root position, then inversions, bass an octave down", () => {
+  const voicings = keyboardVoicings(parseChordSymbol("C/E"));
+  assert.deepEqual(voicings[0], { notes: [60, 64, 67], bass: 52 });
+  assert.deepEqual(voicings[1].notes, [64, 67, 72]);
+  for (const { notes, bass } of voicings) {
+    assert.deepEqual(notes, [...notes].sort((a, b) => a - b));
+    assert.ok(bass < notes[0]);
+  }
+});
+
+test("chord box marks muted strings, position and capo", () => {
+  const open = guitarDiagramSVG("x32010", { capo: 2, title: "C & co" });
+  assert.match(open, /<title>C &amp; co<\/title>/);
+  assert.equal((open.match(/>×</g) || []).length, 1);
+  assert.equal((open.match(/class="open"/g) || []).length, 2);
+  assert.match(open, />capo 2</);
+
+  const barre = guitarDiagramSVG("x35553");
+  assert.match(barre, />3fr</);
+  assert.match(barre, /<rect class="dot"/);
+});
+
+test("keyboard diagram lights the chord tones and the bass", () => {
+  const svg = keyboardDiagramSVG(keyboardVoicings(parseChordSymbol("C"))[0]);
+  assert.equal((svg.match(/class="key white bass"/g) || []).length, 1);
+  // C4 E4 G4 over C3; C3..B4 drawn
+  assert.equal((svg.match(/class="key white on"/g) || []).length, 3);
+  assert.equal((svg.match(/class="key (white|black)/g) || []).length, 24);
+});
@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CHORD_QUALITIES, NO_CHORD } from "../public/dsp-core.js";
+import { formatChord, parseChord, parseChordSymbol, readChordInput, transposeChord } from "../public/chord-symbols.js";
+
+const FLATS = ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"];
+
+test("every detector label reads back as itself", () => {
+  for (const [quality, { suffix }] of Object.entries(CHORD_QUALITIES)) {
+    const chord = parseChordSymbol(`A${suffix}`);
+    assert.equal(chord?.quality, quality, `A${suffix}`);
+    assert.equal(formatChord(chord), `A${suffix}`);
+  }
+});
+
+test("spelling variants normalize to the detector's suffixes", () => {
+  for (const [text, canonical] of [
+    ["Amin7", "Am7"],
+    ["A-7", "Am7"],
+    ["CΔ", "Cmaj7"],
+    ["CMaj7", "Cmaj7"],
+    ["Cadd2", "Cadd9"],
+    ["Dø", "Dm7b5"],
+    ["F#°7", "F#dim7"],
+    ["Gsus", "Gsus4"],
+    ["C+", "Caug"]
+  ]) {
+    assert.equal(formatChord(parseChordSymbol(text)), canonical, text);
+  }
+});
+
+test("chords outside the vocabulary keep their structure", () => {
+  for (const [text, canonical, intervals] of [
+    ["Cm(maj7)", "CmMaj7", [0, 3, 7, 11]],
+    ["C7(b9, #11)", "C7b9#11", [0, 4, 7, 10, 13, 18]],
+    ["C6/9", "C6/9", [0, 4, 7, 9, 14]],
+    ["Bbmaj7#11", "Bbmaj7#11", [0, 4, 7, 11, 18]],
+    ["G7sus4", "G7sus4", [0, 5, 7, 10]]
+  ]) {
+    const chord = parseChordSymbol(text);
+    assert.equal(chord.quality, null, text);
+    assert.equal(formatChord(chord), canonical);
+    assert.deepEqual(chord.intervals, intervals, text);
+  }
+});
+
+test("slash chords keep the bass as spelled; a bass on the root is dropped", () => {
+  const chord = parseChordSymbol("D/F#");
+  assert.equal(chord.root, 2);
+  assert.equal(chord.bass, 6);
+  assert.equal(formatChord(chord), "D/F#");
+  assert.equal(parseChordSymbol("C/C").bass, null);
+  assert.equal(formatChord(parseChordSymbol("Eb/Bb")), "Eb/Bb");
+});
+
+test("no chord parses as null", () => {
+  for (const text of ["N", "N.C."]) {
+    assert.deepEqual(parseChord(text), { ok: true, chord: null });
+    assert.equal(formatChord(parseChordSymbol(text)), NO_CHORD);
+  }
+});
+
+test("transposing moves root and bass and respells them", () => {
+  assert.equal(formatChord(transposeChord(parseChordSymbol("Bbmaj7#11"), 2)), "Cmaj7#11");
+  assert.equal(formatChord(transposeChord(parseChordSymbol("D/F#"), -2, (pc) => FLATS[pc])), "C/E");
+  assert.equal(formatChord(transposeChord(parseChordSymbol("A7"), 1, (pc) => FLATS[pc])), "Bb7");
+  assert.equal(formatChord(transposeChord(parseChordSymbol("C"), -13)), "B");
+});
+
+test("typed chords: canonical text, or an error with a correction", () => {
+  const read = readChordInput(" Amin7 ");
+  assert.equal(read.ok, true);
+  assert.equal(read.text, "Am7");
+  assert.equal(readChordInput("n.c.").text, NO_CHORD);
+  for (const [typed, suggestion] of [
+    ["Cmj7", "Cmaj7"],
+    ["am7", "Am7"],
+    ["H7", "B7"],
+    ["C/X", null],
+    ["Xm", null]
+  ]) {
+    const read = readChordInput(typed);
+    assert.equal(read.ok, false, typed);
+    assert.equal(typeof read.error, "string");
+    assert.equal(read.suggestion, suggestion, typed);
+  }
+});
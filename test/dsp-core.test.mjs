@@ -0,0 +1,154 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { AnalysisCore, BeatTracker, FFT, analyzePCM, eventAt, labelBeats } from "../public/dsp-core.js";
+import { SAMPLE_RATE, chordPads, clickTrack } from "./synth.mjs";
+
+// C - Am - F - G, 3 s each, over a 120 BPM click
+const song = chordPads(["C", "Am", "F", "G"]);
+clickTrack({ bpm: 120, seconds: 12 }, song);
+const result = await analyzePCM(song, SAMPLE_RATE, { yieldEvery: Infinity });
+
+test("FFT magnitudes peak at a sine's bin", () => {
+  const n = 1024;
+  const frame = Float32Array.from({ length: n }, (_, i) => Math.sin((2 * Math.PI * 32 * i) / n));
+  const mags = new FFT(n).magnitudes(frame, new Float32Array(n / 2));
+  let peak = 0;
+  for (let k = 1; k < mags.length; k++) if (mags[k] > mags[peak]) peak = k;
+  assert.equal(peak, 32);
+});
+
+test("analyzePCM covers the whole signal", () => {
+  assert.equal(result.duration, 12);
+  assert.equal(result.chromagram.length, Math.floor(song.length / result.hopSize));
+  assert.ok(result.events.length > 0);
+});
+
+test("analyzePCM finds the key and concert tuning", () => {
+  assert.equal(result.key.name, "C major");
+  assert.ok(Math.abs(result.tuning.cents) < 10, `tuning ${result.tuning.cents} cents`);
+});
+
+test("analyzePCM stamps chord changes where they happen", () => {
+  const times = result.events.map((ev) => ev.t);
+  assert.ok(times[0] < 0.3, `first chord at ${times[0]}`);
+  for (const boundary of [3, 6, 9]) {
+    assert.ok(
+      times.some((t) => Math.abs(t - boundary) < 0.3),
+      `no change near ${boundary}s: ${times.map((t) => t.toFixed(2)).join(", ")}`
+    );
+  }
+});
+
+for (const chordDecoding of ["hysteresis", "viterbi"]) {
+  test(`plain triads keep their names (${chordDecoding})`, async () => {
+    const { events } = await analyzePCM(song, SAMPLE_RATE, { yieldEvery: Infinity, chordDecoding });
+    const at = (t) => eventAt(events, t)?.chord.split("/")[0];
+    assert.deepEqual([1.5, 4.5, 7.5, 10.5].map(at), ["C", "Am", "F", "G"]);
+  });
+}
+
+test("played sevenths are still detected", async () => {
+  const sevenths = { Cmaj7: [60, 64, 67, 71], C7: [60, 64, 67, 70], Am7: [57, 60, 64, 67] };
+  for (const [name, notes] of Object.entries(sevenths)) {
+    const { events } = await analyzePCM(chordPads([notes], { secPerChord: 2 }), SAMPLE_RATE, { yieldEvery: Infinity });
+    assert.equal(eventAt(events, 1)?.chord.split("/")[0], name);
+  }
+});
+
+test("analyzePCM reads the tempo and beats of a click track", async () => {
+  assert.equal(result.bpm, 120);
+  assert.equal(result.beats.length, 24);
+  result.beats.forEach((b, k) => assert.ok(Math.abs(b.t - k * 0.5) < 0.03, `beat ${k} at ${b.t}`));
+
+  const slow = await analyzePCM(clickTrack({ bpm: 100, seconds: 20 }), SAMPLE_RATE, { yieldEvery: Infinity });
+  assert.equal(slow.bpm, 100);
+  assert.ok(slow.beats[0].t < 0.1, `first beat at ${slow.beats[0].t}`);
+});
+
+/** Chords changing on every bar line over an accented click. */
+function barSong({ bpm, beatsPerBar, seconds = 24 }) {
+  const bar = (beatsPerBar * 60) / bpm;
+  const names = Array.from({ length: Math.ceil(seconds / bar) }, (_, i) => ["C", "Am", "F", "G"][i % 4]);
+  const pcm = chordPads(names, { secPerChord: bar });
+  return clickTrack({ bpm, beatsPerBar, seconds: pcm.length / SAMPLE_RATE }, pcm);
+}
+
+for (const [timeSignature, beatsPerBar, bpm] of [
+  ["4/4", 4, 120],
+  ["3/4", 3, 90]
+]) {
+  test(`analyzePCM finds ${timeSignature} and its downbeats`, async () => {
+    const { meter, beats } = await analyzePCM(barSong({ bpm, beatsPerBar }), SAMPLE_RATE, { yieldEvery: Infinity });
+    assert.equal(meter.timeSignature, timeSignature);
+    assert.equal(meter.uncertain, false);
+    const bar = (beatsPerBar * 60) / bpm;
+    for (const b of beats.filter((b) => b.downbeat)) {
+      const offset = b.t / bar - Math.round(b.t / bar);
+      assert.ok(Math.abs(offset * bar) < 0.05, `downbeat off the bar line at ${b.t}`);
+    }
+  });
+}
+
+test("an ambiguous meter is flagged and not applied", async () => {
+  // Chords every 5 beats over a 4/4 click: the bar length isn't clear
+  const pcm = chordPads(["C", "Am", "F", "G", "C", "Am"]);
+  clickTrack({ bpm: 100, seconds: pcm.length / SAMPLE_RATE }, pcm);
+  const { meter, beats } = await analyzePCM(pcm, SAMPLE_RATE, { yieldEvery: Infinity });
+  assert.ok(meter.uncertain || meter.timeSignature === "4/4", JSON.stringify(meter));
+
+  const downbeats = beats.filter((b) => b.downbeat);
+  for (let i = 1; i < downbeats.length; i++) assert.ok(Math.abs(downbeats[i].t - downbeats[i - 1].t - 2.4) < 0.05);
+});
+
+test("beats without subdivisions carry no triplet evidence", () => {
+  const core = new AnalysisCore({ sampleRate: SAMPLE_RATE, tuningCents: 0 });
+  const clicks = clickTrack({ bpm: 120, seconds: 12 });
+  for (let end = core.fftSize; end <= clicks.length; end += 1024) {
+    core.process(clicks.subarray(end - core.fftSize, end), end);
+  }
+  core.finish();
+  const { ternary } = core.beatTracker.meterEvidence();
+  assert.ok(ternary.length > 16);
+  assert.ok(ternary.every((v) => v === null), JSON.stringify(ternary));
+});
+
+test("a meter found mid-stream relabels the beats already counted", () => {
+  const core = new AnalysisCore({ sampleRate: SAMPLE_RATE, tuningCents: 0 });
+  const tracker = core.beatTracker;
+  const pcm = barSong({ bpm: 90, beatsPerBar: 3, seconds: 30 });
+  // Copy kept the way the analysis worklet's listener keeps it: new beats, then labels only
+  const copy = [];
+  let revision = tracker.labelRevision;
+  for (let end = core.fftSize; end <= pcm.length; end += 1024) {
+    core.process(pcm.subarray(end - core.fftSize, end), end);
+    if (tracker.labelRevision !== revision) {
+      labelBeats(copy, tracker.beatsPerBar, tracker.downPhase);
+      revision = tracker.labelRevision;
+    }
+    copy.push(...core.beats.slice(copy.length).map((b) => ({ ...b })));
+  }
+  assert.equal(tracker.beatsPerBar, 3);
+  assert.ok(tracker.labelRevision > 0);
+  const { beats } = core;
+  for (let k = 1; k < beats.length; k++) assert.equal(beats[k].beat, (beats[k - 1].beat % 3) + 1, `beat ${k}`);
+  assert.deepEqual(copy, beats);
+});
+
+test("beat tracking keeps a bounded window of meter evidence", () => {
+  const tracker = new BeatTracker();
+  const fps = SAMPLE_RATE / 1024;
+  const chroma = new Float32Array(12).fill(1);
+  // Clicks at 120 BPM for ~2500 beats
+  for (let i = 0; i < 1250 * fps; i++) {
+    const t = i / fps;
+    tracker.update(t % 0.5 < 1 / fps ? 1 : 0.05, t, 0.5, chroma);
+  }
+  tracker.finish();
+  assert.ok(tracker.beats.length > 2400, `${tracker.beats.length} beats`);
+  const { accents, changes } = tracker.meterEvidence();
+  assert.ok(accents.length < 2048, `${accents.length} beats of evidence`);
+  assert.equal(changes.length, accents.length);
+  assert.ok(changes.every((c) => Number.isFinite(c)));
+  const { beats } = tracker;
+  for (let k = 1; k < beats.length; k++) assert.equal(beats[k].beat, (beats[k - 1].beat % 4) + 1, `beat ${k}`);
+});
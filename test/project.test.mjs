@@ -0,0 +1,34 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { sourceMatches, youtubeVideoId } from "../public/project.js";
+
+const youtube = (url) => ({ type: "youtube", url });
+
+test("youtubeVideoId reads watch, short, mobile and embed links", () => {
+  for (const url of [
+    "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+    "https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42s",
+    "https://m.youtube.com/watch?v=dQw4w9WgXcQ",
+    "https://youtu.be/dQw4w9WgXcQ?t=42",
+    "https://www.youtube.com/embed/dQw4w9WgXcQ",
+    "https://www.youtube.com/shorts/dQw4w9WgXcQ"
+  ]) {
+    assert.equal(youtubeVideoId(url), "dQw4w9WgXcQ", url);
+  }
+  assert.equal(youtubeVideoId("not a url"), null);
+});
+
+test("YouTube sources match by video id", () => {
+  const saved = youtube("https://www.youtube.com/watch?v=dQw4w9WgXcQ");
+  assert.ok(sourceMatches(saved, youtube("https://youtu.be/dQw4w9WgXcQ")));
+  assert.ok(sourceMatches(saved, youtube("https://m.youtube.com/watch?v=dQw4w9WgXcQ&t=10")));
+  assert.ok(!sourceMatches(saved, youtube("https://www.youtube.com/watch?v=9bZkp7q19f0")));
+  assert.ok(!sourceMatches(saved, { type: "file", name: "song.mp3", size: 1 }));
+});
+
+test("file sources match by hash, else by name and size", () => {
+  const saved = { type: "file", name: "a.mp3", size: 10, sha256: "ab" };
+  assert.ok(sourceMatches(saved, { type: "file", name: "renamed.mp3", size: 10, sha256: "ab" }));
+  assert.ok(!sourceMatches(saved, { type: "file", name: "a.mp3", size: 10, sha256: "cd" }));
+  assert.ok(sourceMatches({ ...saved, sha256: null }, { type: "file", name: "a.mp3", size: 10, sha256: "cd" }));
+});
@@ -0,0 +1,71 @@
+/**
+ * Synthetic test signals with a known answer: chord pads with a bass note and a
+ * click track with accented downbeats. Deterministic (no Math.random).
+ */
+
+export const SAMPLE_RATE = 44100;
+
+// Root first
+const CHORD_NOTES = {
+  C: [60, 64, 67],
+  Am: [57, 60, 64],
+  F: [53, 57, 60],
+  G: [55, 59, 62]
+};
+
+const midiToHz = (midi) => 440 * 2 ** ((midi - 69) / 12);
+
+/** Adds a harmonic tone (4 partials, 1/h amplitudes) to out[start, end) with 10 ms fades. */
+function addTone(out, midi, start, end, gain, sampleRate) {
+  const fade = Math.round(0.01 * sampleRate);
+  const w = (2 * Math.PI * midiToHz(midi)) / sampleRate;
+  for (let i = start; i < end; i++) {
+    const env = Math.min(1, (i - start) / fade, (end - i) / fade);
+    let s = 0;
+    for (let h = 1; h <= 4; h++) s += Math.sin(w * h * (i - start)) / h;
+    out[i] += gain * env * s;
+  }
+}
+
+/**
+ * Chord pads, `secPerChord` each: names from CHORD_NOTES or MIDI note lists (root
+ * first); the root is doubled two octaves down as the bass. Returns a mono Float32Array.
+ */
+export function chordPads(names, { secPerChord = 3, sampleRate = SAMPLE_RATE } = {}) {
+  const len = Math.round(names.length * secPerChord * sampleRate);
+  const out = new Float32Array(len);
+  names.forEach((name, k) => {
+    const notes = Array.isArray(name) ? name : CHORD_NOTES[name];
+    const start = Math.round(k * secPerChord * sampleRate);
+    const end = Math.round((k + 1) * secPerChord * sampleRate);
+    for (const midi of notes) addTone(out, midi, start, end, 0.08, sampleRate);
+    addTone(out, notes[0] - 24, start, end, 0.12, sampleRate);
+  });
+  return out;
+}
+
+/**
+ * Click track: a decaying noise burst plus a low thump on every beat, downbeats
+ * twice as loud. Added into `out` (or a new buffer of `seconds`).
+ */
+export function clickTrack(
+  { bpm = 120, beatsPerBar = 4, seconds = 12, sampleRate = SAMPLE_RATE, gain = 0.5 } = {},
+  out = new Float32Array(Math.round(seconds * sampleRate))
+) {
+  let seed = 1;
+  const noise = () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x3fffffff - 1;
+  };
+  const period = 60 / bpm;
+  const len = Math.round(0.06 * sampleRate);
+  for (let k = 0; k * period * sampleRate < out.length; k++) {
+    const start = Math.round(k * period * sampleRate);
+    const g = k % beatsPerBar === 0 ? gain : gain / 2;
+    for (let i = 0; i < len && start + i < out.length; i++) {
+      const env = Math.exp(-i / (0.008 * sampleRate));
+      out[start + i] += g * env * (0.6 * noise() + Math.sin((2 * Math.PI * 80 * i) / sampleRate));
+    }
+  }
+  return out;
+}
@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { FFT } from "../public/dsp-core.js";
+import { stretchChannels } from "../public/time-stretch.js";
+import { SAMPLE_RATE } from "./synth.mjs";
+
+function sine(hz, seconds) {
+  const w = (2 * Math.PI * hz) / SAMPLE_RATE;
+  return Float32Array.from({ length: Math.round(seconds * SAMPLE_RATE) }, (_, i) => 0.5 * Math.sin(w * i));
+}
+
+/** Frequency (Hz) of the loudest bin in a 4096-sample frame starting at `at`. */
+function peakHz(data, at) {
+  const n = 4096;
+  const mags = new FFT(n).magnitudes(data.subarray(at, at + n), new Float32Array(n / 2));
+  let peak = 1;
+  for (let k = 2; k < mags.length; k++) if (mags[k] > mags[peak]) peak = k;
+  return (peak * SAMPLE_RATE) / n;
+}
+
+function rms(data, from, to) {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += data[i] * data[i];
+  return Math.sqrt(sum / (to - from));
+}
+
+for (const rate of [0.5, 0.75, 1.5]) {
+  test(`stretching to ${rate}x changes the length, not the pitch or level`, async () => {
+    const input = sine(440, 2);
+    const [out] = await stretchChannels([input], SAMPLE_RATE, rate, { yieldEvery: Infinity });
+    assert.equal(out.length, Math.round(input.length / rate));
+    const binHz = SAMPLE_RATE / 4096;
+    for (const at of [0.25, 0.5, 0.75]) {
+      assert.ok(Math.abs(peakHz(out, Math.round(at * out.length) - 2048) - 440) <= binHz, `at ${at}`);
+    }
+    const level = rms(out, Math.round(0.1 * out.length), Math.round(0.9 * out.length));
+    assert.ok(Math.abs(level / rms(input, 0, input.length) - 1) < 0.1, `rms ratio ${level}`);
+  });
+}
+
+test("a region renders on its own and keeps the channels apart", async () => {
+  const left = sine(330, 3);
+  const right = sine(550, 3);
+  const start = SAMPLE_RATE;
+  const end = 2 * SAMPLE_RATE;
+  const out = await stretchChannels([left, right], SAMPLE_RATE, 0.8, { start, end, yieldEvery: Infinity });
+  assert.equal(out.length, 2);
+  assert.equal(out[0].length, Math.round((end - start) / 0.8));
+  const mid = Math.round(out[0].length / 2) - 2048;
+  const binHz = SAMPLE_RATE / 4096;
+  assert.ok(Math.abs(peakHz(out[0], mid) - 330) <= binHz);
+  assert.ok(Math.abs(peakHz(out[1], mid) - 550) <= binHz);
+  // No fade-in at the region start: frames read the audio just before it
+  assert.ok(rms(out[0], 0, 1024) > 0.25);
+});
+
+test("an aborted render returns null", async () => {
+  const abort = new AbortController();
+  const progress = [];
+  const pending = stretchChannels([sine(440, 4)], SAMPLE_RATE, 0.5, {
+    signal: abort.signal,
+    yieldEvery: 10,
+    onProgress: (p) => progress.push(p)
+  });
+  abort.abort();
+  assert.equal(await pending, null);
+  assert.ok(progress.length > 0 && progress.every((p) => p < 1));
+});
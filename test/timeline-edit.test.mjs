@@ -0,0 +1,183 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  EditHistory,
+  MIN_BLOCK_S,
+  blockLabel,
+  deleteBlocks,
+  insertBlock,
+  mergeBlocks,
+  moveEdge,
+  relabelBlocks,
+  snapshotTimeline,
+  splitBlock
+} from "../public/timeline-edit.js";
+
+function block(start, end, chord) {
+  return { start, end, chord, conf: 0.9, overridden: false, userChord: null, voicing: null };
+}
+
+/** C 0-4, Am 4-8, F 8-12, G 12-16 */
+const timeline = () => [block(0, 4, "C"), block(4, 8, "Am"), block(8, 12, "F"), block(12, 16, "G")];
+
+const shape = (events) => events.map((ev) => [ev.start, ev.end, blockLabel(ev)]);
+
+test("split cuts a block in two with the same chord", () => {
+  const events = timeline();
+  events[1].voicing = { guitar: "x02210", keys: null };
+  assert.ok(splitBlock(events, 1, 6));
+  assert.deepEqual(shape(events.slice(1, 3)), [
+    [4, 6, "Am"],
+    [6, 8, "Am"]
+  ]);
+  // Each half has its own voicing object
+  assert.notEqual(events[1].voicing, events[2].voicing);
+  assert.deepEqual(events[2].voicing, events[1].voicing);
+});
+
+test("split refuses pieces shorter than MIN_BLOCK_S and can cut the open block", () => {
+  const events = timeline();
+  assert.equal(splitBlock(events, 0, MIN_BLOCK_S / 2), false);
+  assert.equal(splitBlock(events, 0, 4 - MIN_BLOCK_S / 2), false);
+  assert.equal(events.length, 4);
+
+  events[3].end = null;
+  assert.ok(splitBlock(events, 3, 15));
+  assert.deepEqual(shape(events.slice(3)), [
+    [12, 15, "G"],
+    [15, null, "G"]
+  ]);
+});
+
+test("merge keeps the label of the longest block", () => {
+  const events = timeline();
+  events[2].end = 11;
+  events[3].start = 11;
+  assert.ok(mergeBlocks(events, 1, 3));
+  assert.deepEqual(shape(events), [
+    [0, 4, "C"],
+    [4, 16, "G"]
+  ]);
+  assert.equal(mergeBlocks(events, 1, 1), false);
+});
+
+test("delete gives the time to touching neighbours and joins equal ones", () => {
+  const split = timeline();
+  assert.ok(deleteBlocks(split, 1, 1));
+  assert.deepEqual(shape(split.slice(0, 2)), [
+    [0, 6, "C"],
+    [6, 12, "F"]
+  ]);
+
+  const equal = timeline();
+  equal[2].chord = "C";
+  assert.ok(deleteBlocks(equal, 1, 1));
+  assert.deepEqual(shape(equal), [
+    [0, 12, "C"],
+    [12, 16, "G"]
+  ]);
+
+  const edge = timeline();
+  assert.ok(deleteBlocks(edge, 0, 0));
+  assert.deepEqual(shape(edge)[0], [0, 8, "Am"]);
+});
+
+test("insert cuts a block out of whatever is there; short leftovers join it", () => {
+  const events = timeline();
+  const inserted = insertBlock(events, 3, 9, "E7");
+  assert.equal(inserted.overridden, true);
+  assert.deepEqual(shape(events), [
+    [0, 3, "C"],
+    [3, 9, "E7"],
+    [9, 12, "F"],
+    [12, 16, "G"]
+  ]);
+
+  const short = timeline();
+  insertBlock(short, 4 + MIN_BLOCK_S / 2, 8, "E7");
+  assert.deepEqual(shape(short).slice(0, 3), [
+    [0, 4, "C"],
+    [4, 8, "E7"],
+    [8, 12, "F"]
+  ]);
+  assert.equal(insertBlock(timeline(), 1, 1 + MIN_BLOCK_S / 2, "E7"), false);
+});
+
+test("relabel overrides blocks; the detected chord clears the override", () => {
+  const events = timeline();
+  events[0].voicing = { guitar: "x32010", keys: null };
+  assert.ok(relabelBlocks(events, 0, 1, "Cmaj7"));
+  assert.deepEqual(
+    events.slice(0, 2).map((ev) => [ev.overridden, ev.userChord, ev.voicing]),
+    [
+      [true, "Cmaj7", null],
+      [true, "Cmaj7", null]
+    ]
+  );
+  assert.ok(relabelBlocks(events, 0, 0, "C"));
+  assert.deepEqual([events[0].overridden, events[0].userChord], [false, null]);
+  assert.equal(relabelBlocks(events, 0, 0, "C"), false);
+});
+
+test("moving an edge drags a touching neighbour and stops short of squashing it", () => {
+  const events = timeline();
+  assert.ok(moveEdge(events, 1, "end", 9));
+  assert.deepEqual(shape(events.slice(1, 3)), [
+    [4, 9, "Am"],
+    [9, 12, "F"]
+  ]);
+  assert.ok(moveEdge(events, 1, "end", 20));
+  assert.equal(events[1].end, 12 - MIN_BLOCK_S);
+  assert.equal(events[2].start, 12 - MIN_BLOCK_S);
+
+  assert.ok(moveEdge(events, 1, "start", 1));
+  assert.deepEqual([events[0].end, events[1].start], [1, 1]);
+  assert.ok(moveEdge(events, 1, "start", -5));
+  assert.equal(events[1].start, MIN_BLOCK_S);
+  assert.equal(moveEdge(events, 1, "start", MIN_BLOCK_S), false);
+
+  // A gap stops the edge at the neighbour without moving it
+  const gap = timeline();
+  gap[2].start = 10;
+  assert.ok(moveEdge(gap, 1, "end", 11));
+  assert.deepEqual([gap[1].end, gap[2].start], [10, 10]);
+});
+
+test("history undoes and redoes snapshots, and a new edit drops the redo stack", () => {
+  const events = timeline();
+  const history = new EditHistory();
+  assert.equal(history.undo(snapshotTimeline(events)), null);
+
+  const before = snapshotTimeline(events);
+  splitBlock(events, 0, 2);
+  history.push("Split", before);
+  assert.equal(history.undoLabel, "Split");
+
+  const undone = history.undo(snapshotTimeline(events));
+  assert.equal(undone.length, 4);
+  assert.equal(history.undoLabel, null);
+  assert.equal(history.redoLabel, "Split");
+  assert.equal(history.redo(undone).length, 5);
+
+  history.undo(snapshotTimeline(events));
+  history.push("Delete", snapshotTimeline(events));
+  assert.equal(history.redoLabel, null);
+});
+
+test("history keeps at most `limit` steps", () => {
+  const history = new EditHistory(3);
+  for (let i = 0; i < 5; i++) history.push(`Edit ${i}`, i);
+  const states = [];
+  for (let s; (s = history.undo("now")) != null; ) states.push(s);
+  assert.deepEqual(states, [4, 3, 2]);
+});
+
+test("snapshots don't share voicings with the live timeline", () => {
+  const events = timeline();
+  events[0].voicing = { guitar: "x32010", keys: 1 };
+  const snapshot = snapshotTimeline(events);
+  events[0].voicing.keys = 2;
+  events[0].chord = "Cmaj7";
+  assert.equal(snapshot[0].voicing.keys, 1);
+  assert.equal(snapshot[0].chord, "C");
+});